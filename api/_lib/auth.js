@@ -0,0 +1,103 @@
+/**
+ * API Key Authentication
+ *
+ * Every route calls authenticate() first. Keys are sent as
+ * "Authorization: Bearer pm_..." (or "X-API-Key: pm_...") and resolved to
+ * a workspace through ./workspaces.js.
+ *
+ * AUTH_MODE:
+ * - optional (default): anonymous requests are allowed; a key that is sent must be valid
+ * - required: every request needs a valid key
+ * - off: keys are ignored
+ *
+ * On success the request carries:
+ * - req.workspace: the key's workspace (null when anonymous)
+ * - req.apiKey: key metadata without the hash (null when anonymous)
+ *
+ * The admin routes (/api/admin/*) use a separate ADMIN_TOKEN via requireAdmin().
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto'
+import { sendError } from './errors.js'
+import { log } from './logger.js'
+import { findByKey } from './workspaces.js'
+
+function getAuthMode() {
+    return (process.env.AUTH_MODE || 'optional').toLowerCase()
+}
+
+/**
+ * The bearer token or X-API-Key header, if any
+ */
+export function getBearerToken(req) {
+    const authorization = req.headers.authorization || ''
+    if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim() || null
+    return req.headers['x-api-key'] || null
+}
+
+function unauthorized(res, message) {
+    res.setHeader('WWW-Authenticate', 'Bearer')
+    sendError(res, 'UNAUTHORIZED', message)
+    return false
+}
+
+/**
+ * Validate the request's API key and attach its workspace.
+ * Sends the UNAUTHORIZED/SERVICE_UNAVAILABLE error and returns false when
+ * the request must stop.
+ */
+export async function authenticate(req, res) {
+    req.workspace = null
+    req.apiKey = null
+
+    const mode = getAuthMode()
+    if (mode === 'off') return true
+
+    const token = getBearerToken(req)
+    if (!token) {
+        return mode === 'required' ? unauthorized(res, 'API key required. Send Authorization: Bearer <key>.') : true
+    }
+
+    let match
+    try {
+        match = await findByKey(token)
+    } catch (error) {
+        log.error('Workspace store unavailable', { error })
+        sendError(res, 'SERVICE_UNAVAILABLE', 'Authentication is temporarily unavailable.')
+        return false
+    }
+
+    if (!match) return unauthorized(res, 'Invalid or revoked API key.')
+
+    req.workspace = match.workspace
+    req.apiKey = match.key
+    return true
+}
+
+function digest(value) {
+    return createHash('sha256').update(value).digest()
+}
+
+/**
+ * Whether the request carries the ADMIN_TOKEN (false when it is unset)
+ */
+export function isAdminRequest(req) {
+    const adminToken = process.env.ADMIN_TOKEN
+    const token = getBearerToken(req)
+    // Compare digests so the comparison is constant-time regardless of length
+    return Boolean(adminToken && token && timingSafeEqual(digest(token), digest(adminToken)))
+}
+
+/**
+ * Check the ADMIN_TOKEN bearer for admin routes.
+ * Sends the FORBIDDEN/UNAUTHORIZED error and returns false when the request
+ * must stop.
+ */
+export function requireAdmin(req, res) {
+    if (!process.env.ADMIN_TOKEN) {
+        sendError(res, 'FORBIDDEN', 'Admin API is disabled. Set ADMIN_TOKEN to enable it.')
+        return false
+    }
+
+    return isAdminRequest(req) || unauthorized(res, 'Invalid admin token.')
+}
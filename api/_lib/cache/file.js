@@ -0,0 +1,45 @@
+/**
+ * Filesystem cache store (development / single host)
+ *
+ * One JSON file per entry under CACHE_DIR (default: data/cache), named by the
+ * entry's hashed key. Expired entries are deleted when read.
+ */
+
+import { mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises'
+import { join, resolve } from 'node:path'
+
+export function createFileStore(dir = process.env.CACHE_DIR || 'data/cache') {
+    const root = resolve(dir)
+    const pathFor = key => join(root, `${key}.json`)
+
+    return {
+        name: 'file',
+
+        /**
+         * @returns {Promise<any>} The stored value, or undefined when missing or expired
+         */
+        async get(key) {
+            let entry
+            try {
+                entry = JSON.parse(await readFile(pathFor(key), 'utf8'))
+            } catch (error) {
+                if (error.code === 'ENOENT') return undefined
+                throw error
+            }
+
+            if (entry.expiresAt <= Date.now()) {
+                await unlink(pathFor(key)).catch(() => {})
+                return undefined
+            }
+            return entry.value
+        },
+
+        async set(key, value, ttlMs) {
+            await mkdir(root, { recursive: true })
+            // Write then rename so a concurrent read never sees a partial file
+            const temp = `${pathFor(key)}.${process.pid}.tmp`
+            await writeFile(temp, JSON.stringify({ expiresAt: Date.now() + ttlMs, value }))
+            await rename(temp, pathFor(key))
+        }
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * Result Cache
+ *
+ * Opt-in cache in front of the paid provider calls, so repeating a request
+ * does not bill the provider again:
+ * - text: raw LLM completions (/api/enhance-text, streamed or not)
+ * - vision: image analyses (/api/analyze-image)
+ * - image: generations that pass a seed (/api/generate-image); unseeded
+ *   generations are meant to differ and are never cached, and neither are
+ *   hosted image URLs (OpenAI's expire after about an hour)
+ *
+ * Keys hash the kind, the normalized prompt and parameters, the provider, the
+ * workspace and the validated configuration (../config.js), so changing a
+ * model or size naturally misses. Responses carry X-Cache: HIT | MISS while
+ * the cache is enabled. A request body with `cache: false` skips the lookup
+ * and stores the fresh result.
+ *
+ * Env:
+ * - RESULT_CACHE=on: enable (default: off)
+ * - CACHE_STORE=file|kv: defaults to kv when a KV URL is configured
+ *   (see ./kv.js), otherwise file (./file.js, CACHE_DIR)
+ * - CACHE_TTL_TEXT / CACHE_TTL_VISION / CACHE_TTL_IMAGE: e.g. 30m, 24h, 7d
+ *   (defaults: 24h, 7d, 24h)
+ * - CACHE_MAX_BYTES: larger results are not stored (default: 5000000)
+ *
+ * Invalid settings fail at startup (see ./settings.js and ../config.js).
+ *
+ * Store failures never fail a request: the lookup counts as a miss and a
+ * warning is logged. A custom store can be set with setCacheStore(); it needs
+ * get(key) → value | undefined and set(key, value, ttlMs).
+ */
+
+import { createHash } from 'node:crypto'
+import { getConfig } from '../config.js'
+import { log } from '../logger.js'
+import { createFileStore } from './file.js'
+import { createKvStore, getKvConfig } from './kv.js'
+import { getCacheStoreKind, getMaxBytes, getTtl } from './settings.js'
+
+let store = null
+
+export function isCacheEnabled() {
+    return (process.env.RESULT_CACHE || 'off').toLowerCase() === 'on'
+}
+
+/**
+ * Replace the cache store (e.g. another KV backend)
+ */
+export function setCacheStore(customStore) {
+    store = customStore
+}
+
+function getStore() {
+    if (!store) {
+        const kv = getKvConfig()
+        const kind = getCacheStoreKind()
+
+        if (kind === 'kv') {
+            if (!kv) throw new Error('CACHE_STORE=kv needs CACHE_KV_URL and CACHE_KV_TOKEN')
+            store = createKvStore(kv)
+        } else if (kind === 'file') {
+            store = createFileStore()
+        } else {
+            throw new Error(`Unknown CACHE_STORE: ${kind}`)
+        }
+    }
+    return store
+}
+
+/**
+ * Collapse whitespace so trivially different prompts share an entry
+ */
+export function normalizePrompt(text) {
+    return String(text).normalize('NFC').replace(/\s+/g, ' ').trim()
+}
+
+// JSON with sorted object keys, so key order never changes the hash
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`
+    }
+    return JSON.stringify(value)
+}
+
+function cacheKey(kind, parts) {
+    return createHash('sha256')
+        .update(stableStringify({ kind, config: getConfig(), ...parts }))
+        .digest('hex')
+}
+
+/**
+ * Open a cache entry for a request.
+ *
+ * @param {'text'|'vision'|'image'} kind
+ * @param {object} parts - Everything that determines the result
+ * @param {{ bypass?: boolean }} options - bypass: skip the lookup (cache: false)
+ * @returns {{ enabled: boolean, get: () => Promise<any>, set: (value) => Promise<void> }}
+ *   get() resolves undefined on a miss; both are no-ops while the cache is off.
+ */
+export function openCacheEntry(kind, parts, { bypass = false } = {}) {
+    if (!isCacheEnabled()) {
+        return { enabled: false, get: async () => undefined, set: async () => {} }
+    }
+
+    const key = cacheKey(kind, parts)
+
+    return {
+        enabled: true,
+
+        async get() {
+            if (bypass) return undefined
+            try {
+                return await getStore().get(key)
+            } catch (error) {
+                log.warn('Result cache unavailable, treating as a miss', { error })
+                return undefined
+            }
+        },
+
+        async set(value) {
+            try {
+                const size = Buffer.byteLength(JSON.stringify(value))
+                if (size > getMaxBytes()) return
+                await getStore().set(key, value, getTtl(kind))
+            } catch (error) {
+                log.warn('Result cache write failed', { error })
+            }
+        }
+    }
+}
+
+/**
+ * Return the cached value, or compute and store it
+ *
+ * @param {{ bypass?: boolean, storable?: (value) => boolean }} options - As for
+ *   openCacheEntry(); storable: whether a computed value may be stored (default: always)
+ * @returns {Promise<{ value: any, hit: boolean|null }>} hit is null while the cache is off
+ */
+export async function withCache(kind, parts, options, compute) {
+    const entry = openCacheEntry(kind, parts, options)
+    if (!entry.enabled) return { value: await compute(), hit: null }
+
+    const cached = await entry.get()
+    if (cached !== undefined) return { value: cached, hit: true }
+
+    const value = await compute()
+    if (!options.storable || options.storable(value)) await entry.set(value)
+    return { value, hit: false }
+}
+
+/**
+ * Whether the request asked to skip the cache lookup
+ */
+export function isCacheBypassed(req) {
+    return req.body?.cache === false
+}
+
+/**
+ * Set X-Cache from one or more lookups (HIT only if every lookup hit)
+ */
+export function setCacheHeader(res, ...hits) {
+    if (hits.length === 0 || hits.some(hit => hit === null) || res.headersSent) return
+    res.setHeader('X-Cache', hits.every(Boolean) ? 'HIT' : 'MISS')
+}
@@ -0,0 +1,54 @@
+/**
+ * KV cache store (production)
+ *
+ * Any Redis-compatible server exposing the Upstash REST protocol, including
+ * Vercel KV. Entries expire natively through PX.
+ *
+ * Env: CACHE_KV_URL + CACHE_KV_TOKEN
+ *      (falls back to KV_REST_API_URL + KV_REST_API_TOKEN)
+ */
+
+const KEY_PREFIX = 'cache:'
+
+export function getKvConfig(env = process.env) {
+    const url = env.CACHE_KV_URL || env.KV_REST_API_URL
+    const token = env.CACHE_KV_TOKEN || env.KV_REST_API_TOKEN
+    return url && token ? { url: url.replace(/\/+$/, ''), token } : null
+}
+
+export function createKvStore({ url, token }) {
+    const command = async (args) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(args)
+        })
+
+        if (!response.ok) {
+            throw new Error(`KV error: ${response.status} ${await response.text()}`)
+        }
+
+        const data = await response.json()
+        if (data.error) throw new Error(`KV error: ${data.error}`)
+        return data.result
+    }
+
+    return {
+        name: 'kv',
+
+        /**
+         * @returns {Promise<any>} The stored value, or undefined when missing or expired
+         */
+        async get(key) {
+            const result = await command(['GET', KEY_PREFIX + key])
+            return result === null ? undefined : JSON.parse(result)
+        },
+
+        async set(key, value, ttlMs) {
+            await command(['SET', KEY_PREFIX + key, JSON.stringify(value), 'PX', String(ttlMs)])
+        }
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Result cache settings, parsed and validated
+ *
+ * Kept apart from ./index.js, which reads the validated configuration to key
+ * its entries, so ../config.js can validate them at startup.
+ */
+
+import { getKvConfig } from './kv.js'
+
+export const CACHE_KINDS = ['text', 'vision', 'image']
+const DEFAULT_TTLS = { text: '24h', vision: '7d', image: '24h' }
+const DEFAULT_MAX_BYTES = 5000000
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+function getTtlKey(kind) {
+    return `CACHE_TTL_${kind.toUpperCase()}`
+}
+
+/**
+ * CACHE_TTL_<KIND> in ms, e.g. 30m, 24h, 7d
+ *
+ * @throws {Error} When the value is not a duration
+ */
+export function getTtl(kind, env = process.env) {
+    const value = env[getTtlKey(kind)] || DEFAULT_TTLS[kind]
+    const match = String(value).trim().toLowerCase().match(/^(\d+)\s*([smhd])$/)
+    if (!match || parseInt(match[1], 10) === 0) {
+        throw new Error(`Invalid ${getTtlKey(kind)} "${value}" (expected e.g. 24h)`)
+    }
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2]]
+}
+
+/**
+ * CACHE_MAX_BYTES (default: 5000000)
+ */
+export function getMaxBytes(env = process.env) {
+    return Number(env.CACHE_MAX_BYTES || DEFAULT_MAX_BYTES)
+}
+
+/**
+ * CACHE_STORE, defaulting to kv when a KV URL is configured
+ */
+export function getCacheStoreKind(env = process.env) {
+    return (env.CACHE_STORE || (getKvConfig(env) ? 'kv' : 'file')).toLowerCase()
+}
+
+/**
+ * Every problem with the cache settings, for ../config.js
+ *
+ * @returns {string[]}
+ */
+export function checkCacheConfig(env = process.env) {
+    const errors = []
+
+    const enabled = (env.RESULT_CACHE || 'off').toLowerCase()
+    if (enabled !== 'on' && enabled !== 'off') {
+        errors.push(`RESULT_CACHE must be on or off (got "${env.RESULT_CACHE}")`)
+    }
+    // The rest only matters once the cache is on
+    if (enabled !== 'on') return errors
+
+    for (const kind of CACHE_KINDS) {
+        try {
+            getTtl(kind, env)
+        } catch (error) {
+            errors.push(error.message)
+        }
+    }
+
+    const maxBytes = getMaxBytes(env)
+    if (!Number.isInteger(maxBytes) || maxBytes < 0) {
+        errors.push(`CACHE_MAX_BYTES must be a whole number of bytes (got "${env.CACHE_MAX_BYTES}")`)
+    }
+
+    const kind = getCacheStoreKind(env)
+    if (kind === 'kv' && !getKvConfig(env)) {
+        errors.push('CACHE_STORE=kv needs CACHE_KV_URL and CACHE_KV_TOKEN')
+    } else if (kind !== 'kv' && kind !== 'file') {
+        errors.push(`CACHE_STORE must be file or kv (got "${kind}")`)
+    }
+
+    return errors
+}
@@ -0,0 +1,231 @@
+/**
+ * Configuration Loader
+ *
+ * Reads and validates the provider/model settings documented in .env.example.
+ * Every route that calls a provider runs getConfig() at module load, so an
+ * invalid value fails the function at startup with every problem listed,
+ * instead of surfacing as provider errors on the first request.
+ * /api/health reports the same problems without failing.
+ *
+ * Settings:
+ * - OPENAI_BASE_URL: OpenAI-compatible API for text, vision and images
+ *   (default: https://api.openai.com/v1, or Hugging Face with USE_HUGGINGFACE)
+ * - OPENAI_MODEL: text model (default: gpt-4o-mini)
+ * - VISION_MODEL: vision model (default: gpt-4o)
+ * - IMAGE_MODEL: dall-e-3 (default) | dall-e-2; with USE_HUGGINGFACE, a
+ *   Hugging Face model id for the huggingface provider instead
+ * - IMAGE_SIZE: default OpenAI image size, one the model supports
+ * - IMAGE_QUALITY: standard (default) | hd (dall-e-3 only)
+ * - IMAGE_COUNT: default images per request, 1-MAX_COUNT (default: 2)
+ * - USE_HUGGINGFACE: true when OPENAI_BASE_URL is Hugging Face's
+ *   OpenAI-compatible API (which has no image endpoint)
+ * - HUGGINGFACE_LOADING_BUDGET_MS: how long a Hugging Face image request may
+ *   wait for a cold model to load before failing over, 0 to never wait
+ *   (default: 20000)
+ *
+ * Outbound request policy (see ./outbound.js):
+ * - PROVIDER_TIMEOUT_MS: timeout for every provider request; <ID>_TIMEOUT_MS
+ *   (e.g. OPENAI_TIMEOUT_MS) overrides it per provider (defaults: DEFAULT_TIMEOUTS)
+ * - PROVIDER_RETRIES: retries after a 429, 5xx or network error (default: 2)
+ * - CIRCUIT_BREAKER_THRESHOLD: consecutive failures before a provider is
+ *   skipped, 0 to disable (default: 5)
+ * - CIRCUIT_BREAKER_COOLDOWN_MS: how long it is skipped (default: 60000)
+ *
+ * Rate limits (RATE_LIMIT_<ROUTE>, RATE_LIMIT_STORE), moderation
+ * (MODERATION_PROVIDER, MODERATION_LEVEL, MODERATION_OUTPUTS), the result
+ * cache (CACHE_TTL_*, CACHE_MAX_BYTES, CACHE_STORE) and price overrides
+ * (USAGE_PRICING) are validated here too, see ./rateLimit/limits.js,
+ * ./moderation/settings.js, ./cache/settings.js and ./usage/pricing.js.
+ *
+ * Per-request overrides: /api/generate-image accepts `quality`; sizes come
+ * from aspectRatio/width/height (see ./imageOptions.js). Models are fixed by
+ * the deployment.
+ */
+
+import { checkCacheConfig } from './cache/settings.js'
+import { MAX_COUNT } from './imageOptions.js'
+import { checkModerationConfig } from './moderation/settings.js'
+import { checkRateLimitConfig } from './rateLimit/limits.js'
+import { checkPricingConfig } from './usage/pricing.js'
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1'
+const HUGGINGFACE_BASE_URL = 'https://api-inference.huggingface.co/v1'
+const HUGGINGFACE_MODEL_PATTERN = /^[\w.-]+\/[\w.-]+$/
+const DEFAULT_LOADING_BUDGET_MS = 20000
+
+/**
+ * Default request timeout per provider id (ms)
+ */
+export const DEFAULT_TIMEOUTS = {
+    gemini: 30000,
+    clipdrop: 30000,
+    huggingface: 60000,
+    openai: 60000,
+    together: 30000
+}
+
+/**
+ * What each supported OpenAI image model accepts
+ */
+export const OPENAI_IMAGE_MODELS = {
+    'dall-e-3': {
+        sizes: { '1:1': '1024x1024', '16:9': '1792x1024', '9:16': '1024x1792' },
+        qualities: ['standard', 'hd'],
+        maxPerRequest: 1
+    },
+    'dall-e-2': {
+        sizes: { '1:1': '1024x1024' },
+        extraSizes: ['256x256', '512x512'],
+        qualities: ['standard'],
+        maxPerRequest: 10
+    }
+}
+
+let cached = null
+
+function parseBoolean(name, value, errors) {
+    if (value === undefined || value === '') return false
+    const normalized = value.toLowerCase()
+    if (normalized === 'true' || normalized === '1') return true
+    if (normalized === 'false' || normalized === '0') return false
+    errors.push(`${name} must be true or false (got "${value}")`)
+    return false
+}
+
+function parseInteger(name, value, fallback, min, errors) {
+    if (value === undefined || value === '') return fallback
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < min) {
+        errors.push(`${name} must be a whole number of at least ${min} (got "${value}")`)
+        return fallback
+    }
+    return number
+}
+
+function parseUrl(name, value, errors) {
+    try {
+        const url = new URL(value)
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error()
+        return value.replace(/\/+$/, '')
+    } catch {
+        // The value is not echoed: URLs can carry credentials
+        errors.push(`${name} must be an http(s) URL`)
+        return null
+    }
+}
+
+/**
+ * Sizes an OpenAI image model renders
+ */
+export function getOpenAIImageSizes(model) {
+    const spec = OPENAI_IMAGE_MODELS[model]
+    return [...Object.values(spec.sizes), ...(spec.extraSizes || [])]
+}
+
+/**
+ * Build and validate the configuration from an environment
+ * @returns {{ config?: object, errors: string[] }}
+ */
+export function loadConfig(env = process.env) {
+    const errors = []
+    const useHuggingFace = parseBoolean('USE_HUGGINGFACE', env.USE_HUGGINGFACE, errors)
+
+    const baseUrl = env.OPENAI_BASE_URL
+        ? parseUrl('OPENAI_BASE_URL', env.OPENAI_BASE_URL, errors)
+        : useHuggingFace ? HUGGINGFACE_BASE_URL : OPENAI_BASE_URL
+
+    // IMAGE_MODEL names a Hugging Face model when the compatible API is Hugging Face
+    let openaiImageModel = 'dall-e-3'
+    let huggingfaceImageModel = null
+    if (env.IMAGE_MODEL) {
+        if (useHuggingFace) {
+            if (HUGGINGFACE_MODEL_PATTERN.test(env.IMAGE_MODEL)) huggingfaceImageModel = env.IMAGE_MODEL
+            else errors.push(`IMAGE_MODEL must be a Hugging Face model id like "owner/model" with USE_HUGGINGFACE=true (got "${env.IMAGE_MODEL}")`)
+        } else if (OPENAI_IMAGE_MODELS[env.IMAGE_MODEL]) {
+            openaiImageModel = env.IMAGE_MODEL
+        } else {
+            errors.push(`IMAGE_MODEL must be one of ${Object.keys(OPENAI_IMAGE_MODELS).join(', ')} (got "${env.IMAGE_MODEL}")`)
+        }
+    }
+
+    const spec = OPENAI_IMAGE_MODELS[openaiImageModel]
+    const sizes = getOpenAIImageSizes(openaiImageModel)
+    const imageSize = env.IMAGE_SIZE || spec.sizes['1:1']
+    if (!sizes.includes(imageSize)) {
+        errors.push(`IMAGE_SIZE ${imageSize} is not supported by ${openaiImageModel} (supported: ${sizes.join(', ')})`)
+    }
+
+    const imageQuality = (env.IMAGE_QUALITY || 'standard').toLowerCase()
+    if (!spec.qualities.includes(imageQuality)) {
+        errors.push(`IMAGE_QUALITY ${imageQuality} is not supported by ${openaiImageModel} (supported: ${spec.qualities.join(', ')})`)
+    }
+
+    let imageCount = 2
+    if (env.IMAGE_COUNT) {
+        imageCount = Number(env.IMAGE_COUNT)
+        if (!Number.isInteger(imageCount) || imageCount < 1 || imageCount > MAX_COUNT) {
+            errors.push(`IMAGE_COUNT must be an integer from 1 to ${MAX_COUNT} (got "${env.IMAGE_COUNT}")`)
+        }
+    }
+
+    const loadingBudgetMs = parseInteger('HUGGINGFACE_LOADING_BUDGET_MS', env.HUGGINGFACE_LOADING_BUDGET_MS, DEFAULT_LOADING_BUDGET_MS, 0, errors)
+
+    const defaultTimeout = parseInteger('PROVIDER_TIMEOUT_MS', env.PROVIDER_TIMEOUT_MS, null, 1, errors)
+    const timeouts = Object.fromEntries(Object.entries(DEFAULT_TIMEOUTS).map(([id, fallback]) => {
+        const name = `${id.toUpperCase()}_TIMEOUT_MS`
+        return [id, parseInteger(name, env[name], defaultTimeout ?? fallback, 1, errors)]
+    }))
+    const outbound = {
+        timeouts,
+        retries: parseInteger('PROVIDER_RETRIES', env.PROVIDER_RETRIES, 2, 0, errors),
+        breakerThreshold: parseInteger('CIRCUIT_BREAKER_THRESHOLD', env.CIRCUIT_BREAKER_THRESHOLD, 5, 0, errors),
+        breakerCooldownMs: parseInteger('CIRCUIT_BREAKER_COOLDOWN_MS', env.CIRCUIT_BREAKER_COOLDOWN_MS, 60000, 1, errors)
+    }
+
+    errors.push(...checkRateLimitConfig(env))
+    errors.push(...checkModerationConfig(env))
+    errors.push(...checkCacheConfig(env))
+    errors.push(...checkPricingConfig(env))
+
+    if (errors.length > 0) return { errors }
+
+    return {
+        errors,
+        config: {
+            openai: {
+                baseUrl,
+                textModel: env.OPENAI_MODEL || 'gpt-4o-mini',
+                visionModel: env.VISION_MODEL || 'gpt-4o',
+                // Hugging Face's OpenAI-compatible API serves chat only
+                imagesEnabled: !useHuggingFace,
+                imageModel: openaiImageModel,
+                imageSize,
+                imageQuality
+            },
+            huggingface: {
+                compatibleApi: useHuggingFace,
+                imageModel: huggingfaceImageModel,
+                loadingBudgetMs
+            },
+            image: {
+                count: imageCount
+            },
+            outbound
+        }
+    }
+}
+
+/**
+ * The validated configuration. Throws listing every invalid setting.
+ */
+export function getConfig() {
+    if (cached) return cached
+
+    const { config, errors } = loadConfig()
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n- ${errors.join('\n- ')}`)
+    }
+
+    cached = Object.freeze(config)
+    return cached
+}
@@ -0,0 +1,59 @@
+/**
+ * Data URL helpers shared by the vision and generation providers
+ */
+
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/]*={0,2})$/
+
+// File signatures of the image types the providers accept
+const IMAGE_SIGNATURES = [
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    // RIFF....WEBP
+    { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at: 8, tail: [0x57, 0x45, 0x42, 0x50] }
+]
+
+// Helper to clean base64 string
+export function getBase64Data(dataUrl) {
+    return dataUrl.split(',')[1]
+}
+
+export function getMimeType(dataUrl) {
+    return dataUrl.substring(dataUrl.indexOf(':') + 1, dataUrl.indexOf(';'))
+}
+
+/**
+ * Split a base64 data URL into its declared MIME type and payload
+ *
+ * @returns {{ mimeType: string, base64: string, bytes: number }|null} null when
+ *   the value is not a well-formed base64 data URL; `bytes` is the decoded size
+ */
+export function parseDataUrl(value) {
+    const match = typeof value === 'string' ? DATA_URL_PATTERN.exec(value) : null
+    if (!match || match[2].length % 4 !== 0) return null
+
+    const [, mimeType, base64] = match
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0
+    return { mimeType: mimeType.toLowerCase(), base64, bytes: base64.length / 4 * 3 - padding }
+}
+
+/**
+ * Identify PNG, JPEG or WebP content from its leading bytes
+ *
+ * @param {string} base64 - Payload of a data URL
+ * @returns {string|null} The MIME type, or null for anything else
+ */
+export function sniffImageType(base64) {
+    // 16 base64 characters decode to the 12 bytes the signatures need
+    const head = Buffer.from(base64.slice(0, 16), 'base64')
+    const matches = (bytes, offset = 0) => bytes.every((byte, i) => head[offset + i] === byte)
+
+    const signature = IMAGE_SIGNATURES.find(({ bytes, at, tail }) => matches(bytes) && (!tail || matches(tail, at)))
+    return signature?.mimeType || null
+}
+
+/**
+ * Decode a data URL into a Blob for multipart uploads
+ */
+export function toBlob(dataUrl) {
+    return new Blob([Buffer.from(getBase64Data(dataUrl), 'base64')], { type: getMimeType(dataUrl) })
+}
@@ -0,0 +1,147 @@
+/**
+ * API Error Contract
+ *
+ * Every route answers errors with one envelope:
+ * { "error": { "code": "PROVIDER_QUOTA", "message": "...", "provider": "openai",
+ *              "retryable": true, "requestId": "..." } }
+ *
+ * `code` comes from ERROR_CODES and fixes the HTTP status; clients branch on
+ * it rather than on `message`, which is for people. `provider` is set when a
+ * provider caused the error, `retryable` says whether the same request may
+ * succeed later, and `requestId` matches the X-Request-Id header and the logs
+ * (see ./logger.js). Some errors add details next to these fields, e.g.
+ * `attempts`, `warmingUp`, `retryAfter` or `categories`.
+ *
+ * Our own code throws apiError() with a code. Anything else is classified by
+ * classifyError(): provider errors carry the HTTP status the provider
+ * answered with (`upstreamStatus`, see providerError()), timeouts and open
+ * circuits are flagged by ./outbound.js. Provider messages are logged but not
+ * returned, since they can contain internal details.
+ */
+
+import { getRequestId } from './logger.js'
+
+export const ERROR_CODES = {
+    INVALID_REQUEST: { status: 400, retryable: false, message: 'Invalid request.' },
+    UNAUTHORIZED: { status: 401, retryable: false, message: 'Authentication required.' },
+    FORBIDDEN: { status: 403, retryable: false, message: 'Not allowed.' },
+    NOT_FOUND: { status: 404, retryable: false, message: 'Not found.' },
+    METHOD_NOT_ALLOWED: { status: 405, retryable: false, message: 'Method not allowed.' },
+    CONFLICT: { status: 409, retryable: false, message: 'Already exists.' },
+    PAYLOAD_TOO_LARGE: { status: 413, retryable: false, message: 'Request too large.' },
+    UNSUPPORTED_MEDIA_TYPE: { status: 415, retryable: false, message: 'Unsupported media type.' },
+    CONTENT_POLICY: { status: 422, retryable: false, message: 'The request was rejected by the content policy.' },
+    RATE_LIMITED: { status: 429, retryable: true, message: 'Rate limit exceeded.' },
+    INTERNAL: { status: 500, retryable: false, message: 'Internal server error. Please try again later.' },
+    PROVIDER_ERROR: { status: 502, retryable: false, message: 'The AI service rejected the request.' },
+    PROVIDER_AUTH: { status: 502, retryable: false, message: 'The AI service rejected the server\'s credentials.' },
+    INVALID_PROVIDER_RESPONSE: { status: 502, retryable: true, message: 'Invalid response from AI service. Please try again.' },
+    NO_PROVIDER: { status: 503, retryable: false, message: 'No AI provider is configured for this request.' },
+    PROVIDER_UNAVAILABLE: { status: 503, retryable: true, message: 'The AI service is unavailable. Please try again.' },
+    PROVIDER_QUOTA: { status: 503, retryable: true, message: 'The AI service\'s quota or rate limit was reached. Please try again later.' },
+    MODEL_WARMING_UP: { status: 503, retryable: true, message: 'The model is warming up. Try again shortly.' },
+    SERVICE_UNAVAILABLE: { status: 503, retryable: true, message: 'A storage backend is unavailable. Please try again.' },
+    TIMEOUT: { status: 504, retryable: true, message: 'The AI service took too long to respond.' }
+}
+
+const CONTENT_POLICY_PATTERN = /content[ _-]?policy|safety|moderation|nsfw|inappropriate/i
+const QUOTA_PATTERN = /quota|billing|insufficient[ _-]?(credits|funds)/i
+
+/**
+ * An error with a catalogue code (message defaults to the catalogue's)
+ *
+ * @param {keyof ERROR_CODES} code
+ * @param {string} [message]
+ * @param {object} [details] - Extra properties, e.g. { provider, attempts }
+ */
+export function apiError(code, message, details = {}) {
+    return Object.assign(new Error(message || ERROR_CODES[code].message), { code }, details)
+}
+
+/**
+ * A failed provider response: the message, the provider's HTTP status and,
+ * when its error body has one, the provider's own error code
+ */
+export function providerError(message, upstreamStatus, upstreamCode) {
+    return Object.assign(new Error(message), { upstreamStatus, ...(upstreamCode && { upstreamCode }) })
+}
+
+/**
+ * The catalogue code for any thrown error
+ */
+export function classifyError(error) {
+    if (ERROR_CODES[error.code]) return error.code
+    if (error.timeout) return 'TIMEOUT'
+    if (error.circuitOpen) return 'PROVIDER_UNAVAILABLE'
+    if (error.warmingUp) return 'MODEL_WARMING_UP'
+
+    const status = error.upstreamStatus
+    const text = `${error.upstreamCode || ''} ${error.message}`
+
+    if (status === 401 || status === 403) return 'PROVIDER_AUTH'
+    if (status === 402 || status === 429 || QUOTA_PATTERN.test(text)) return 'PROVIDER_QUOTA'
+    if (status === 408 || status === 504) return 'TIMEOUT'
+    if (status >= 500) return 'PROVIDER_UNAVAILABLE'
+    if (CONTENT_POLICY_PATTERN.test(text)) return 'CONTENT_POLICY'
+    if (status >= 400) return 'PROVIDER_ERROR'
+
+    if (error instanceof SyntaxError) return 'INVALID_PROVIDER_RESPONSE'
+    // fetch() rejects with a TypeError when the connection fails
+    if (error.provider && error.name === 'TypeError') return 'PROVIDER_UNAVAILABLE'
+    return error.provider ? 'PROVIDER_ERROR' : 'INTERNAL'
+}
+
+/**
+ * The error envelope for a code
+ *
+ * @param {keyof ERROR_CODES} code
+ * @param {string} [message] - Defaults to the catalogue's
+ * @param {object} [details] - { provider?, ...fields added to the envelope }
+ */
+export function errorBody(code, message, details = {}) {
+    const { provider, ...rest } = details
+    const requestId = getRequestId()
+
+    return {
+        error: {
+            code,
+            message: message || ERROR_CODES[code].message,
+            ...(provider && { provider }),
+            retryable: ERROR_CODES[code].retryable,
+            ...(requestId && { requestId }),
+            ...rest
+        }
+    }
+}
+
+/**
+ * Send an error envelope with the code's status
+ */
+export function sendError(res, code, message, details = {}) {
+    return res.status(ERROR_CODES[code].status).json(errorBody(code, message, details))
+}
+
+/**
+ * Describe a thrown error for a response: its code, the error's own message
+ * only when our code wrote it, and the moderation `categories` of a
+ * CONTENT_POLICY error from ./moderation
+ *
+ * @returns {{ code: string, message: string, provider?: string, categories?: string[] }}
+ */
+export function describeError(error) {
+    const code = classifyError(error)
+    return {
+        code,
+        message: ERROR_CODES[error.code] ? error.message : ERROR_CODES[code].message,
+        ...(error.provider && { provider: error.provider }),
+        ...(error.categories && { categories: error.categories })
+    }
+}
+
+/**
+ * Send a thrown error as an envelope (see describeError)
+ */
+export function sendFailure(res, error, details = {}) {
+    const { code, message, ...described } = describeError(error)
+    return sendError(res, code, message, { ...described, ...details })
+}
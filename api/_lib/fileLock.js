@@ -0,0 +1,124 @@
+/**
+ * Lock files shared by the workspace store and the file job store
+ *
+ * A lock is a file created exclusively that holds its owner's token. One
+ * older than its ttl is stale (its owner crashed or overran) and may be taken
+ * over. A lock is only ever removed after renaming it to a private name and
+ * checking it there: a takeover removes it only if it is still stale, a
+ * release only if it is still ours. Takeovers run one at a time, under a
+ * <lock>.takeover guard, and re-check the lock under it, so a taker that
+ * found it stale never removes the lock another taker has just acquired.
+ */
+
+import { randomBytes } from 'node:crypto'
+import { link, open, readFile, rename, stat, unlink } from 'node:fs/promises'
+
+export function newLockToken() {
+    return randomBytes(16).toString('hex')
+}
+
+/**
+ * Create the lock file unless it exists
+ *
+ * @returns {Promise<boolean>} Whether the lock was acquired
+ */
+export async function tryLock(lockPath, token) {
+    let handle
+    try {
+        handle = await open(lockPath, 'wx')
+    } catch (error) {
+        if (error.code === 'EEXIST') return false
+        throw error
+    }
+
+    try {
+        await handle.writeFile(token)
+    } finally {
+        await handle.close()
+    }
+    return true
+}
+
+/**
+ * Whether the lock file is older than ttlMs (a missing one is not stale)
+ */
+export async function isStaleLock(lockPath, ttlMs) {
+    const { mtimeMs } = await stat(lockPath).catch(() => ({ mtimeMs: Date.now() }))
+    return Date.now() - mtimeMs >= ttlMs
+}
+
+/**
+ * Move the lock file to a name only this call uses, so it can be checked
+ * without another writer replacing it in between
+ *
+ * @returns {Promise<string|null>} The new path, or null when there was no lock
+ */
+async function detachLock(lockPath) {
+    const detached = `${lockPath}.${randomBytes(8).toString('hex')}`
+    try {
+        await rename(lockPath, detached)
+        return detached
+    } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+    }
+}
+
+/**
+ * Put a detached lock back (hard links keep its mtime), unless another
+ * writer has locked in the meantime
+ */
+async function restoreLock(lockPath, detached) {
+    await link(detached, lockPath).catch(() => {})
+    await unlink(detached).catch(() => {})
+}
+
+/**
+ * Remove the lock if it is stale. Does nothing while another takeover is
+ * under way; the caller tries the lock again either way.
+ */
+export async function takeOverStaleLock(lockPath, ttlMs) {
+    const guard = `${lockPath}.takeover`
+    if (!(await tryLock(guard, ''))) {
+        // A taker that crashed mid-takeover leaves its guard behind
+        if (await isStaleLock(guard, ttlMs)) await unlink(guard).catch(() => {})
+        return
+    }
+
+    try {
+        if (!(await isStaleLock(lockPath, ttlMs))) return
+
+        const detached = await detachLock(lockPath)
+        if (!detached) return
+
+        const { mtimeMs } = await stat(detached)
+        if (Date.now() - mtimeMs >= ttlMs) {
+            await unlink(detached).catch(() => {})
+        } else {
+            // Released and locked again since the check above
+            await restoreLock(lockPath, detached)
+        }
+    } finally {
+        await unlink(guard).catch(() => {})
+    }
+}
+
+/**
+ * Release the lock if it is still ours. It is not when its owner outlived
+ * the ttl and another took the lock over.
+ *
+ * @returns {Promise<boolean>} False when the lock belonged to someone else
+ */
+export async function releaseLock(lockPath, token) {
+    const detached = await detachLock(lockPath)
+    if (!detached) return true
+
+    const owner = await readFile(detached, 'utf8').catch(() => null)
+    if (owner === token) {
+        await unlink(detached).catch(() => {})
+        return true
+    }
+
+    await restoreLock(lockPath, detached)
+    return false
+}
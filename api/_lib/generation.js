@@ -0,0 +1,205 @@
+/**
+ * Image Generation Planning
+ *
+ * Shared by /api/generate-image (one blocking request) and /api/jobs (one
+ * image per poll): resolves the preset, style and options of a request body,
+ * picks the providers that can honor them, and walks that chain.
+ */
+
+import { getConfig } from './config.js'
+import { apiError, describeError } from './errors.js'
+import { checkImageOptions, parseImageOptions, withoutInitImage } from './imageOptions.js'
+import { log } from './logger.js'
+import { moderateImages } from './moderation/index.js'
+import { getImageChain, invoke } from './providers/index.js'
+import { applyTemplate, getStylePreset } from './styles.js'
+import { checkText } from './validation.js'
+import { isProviderAllowed } from './workspaces.js'
+
+const MAX_STYLE_LENGTH = 500
+
+/**
+ * Build the final prompt: preset template first, then any free-form style
+ */
+function buildPrompt(prompt, style, preset) {
+    const base = preset ? applyTemplate(preset, prompt) : prompt
+    if (!style) return base
+    return `${base}. Image style: ${style}`
+}
+
+/**
+ * Per-provider input. A preset's negative prompt is merged into the native
+ * negativePrompt where supported, otherwise folded into the prompt text.
+ */
+function buildProviderInput(provider, prompt, options, preset) {
+    const presetNegative = preset?.negativePrompt
+
+    if (!presetNegative) return { prompt, ...options }
+
+    if (provider.imageOptions?.negativePrompt) {
+        const negativePrompt = [options.negativePrompt, presetNegative].filter(Boolean).join(', ')
+        return { prompt, ...options, negativePrompt }
+    }
+
+    return { prompt: `${prompt}. Avoid: ${presetNegative}`, ...options }
+}
+
+/**
+ * The image chain (see getImageChain in the registry) limited to the
+ * providers the caller's workspace may use
+ */
+function getWorkspaceImageChain(workspace) {
+    return getImageChain().filter(provider => isProviderAllowed(workspace, provider.id))
+}
+
+/**
+ * Resolve a generation request body into a plan.
+ *
+ * Requests with an API key use their workspace's allowed providers, and its
+ * defaults for any of preset/style, count and aspectRatio the request omits.
+ * With an initImage but no image-to-image provider configured, the plan falls
+ * back to text-only and carries a `notice`.
+ *
+ * @returns {{ plan?: { prompt, options, providers, rejected, preset, notice? }, code?: string, error?: string, attempts?: object[] }}
+ *   On failure, `code` (see ./errors.js) is INVALID_REQUEST, PAYLOAD_TOO_LARGE or
+ *   UNSUPPORTED_MEDIA_TYPE (initImage too large or not an image, see
+ *   ./validation.js), NO_PROVIDER (nothing configured) or SERVICE_UNAVAILABLE
+ */
+export function planGeneration(body, workspace = null) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { code: 'INVALID_REQUEST', error: 'Invalid request body.' }
+    }
+
+    const { value: prompt, error: promptError } = checkText(body.prompt)
+    if (promptError) return { code: 'INVALID_REQUEST', error: promptError }
+
+    const { value: requestStyle, error: styleError } = checkText(body.style, { field: 'style', required: false, maxLength: MAX_STYLE_LENGTH })
+    if (styleError) return { code: 'INVALID_REQUEST', error: styleError }
+    if (body.preset !== undefined && body.preset !== null && typeof body.preset !== 'string') {
+        return { code: 'INVALID_REQUEST', error: 'Invalid field type: preset must be a string.' }
+    }
+
+    // Workspace defaults only apply when the request sets neither preset nor style
+    const defaults = workspace?.defaults || {}
+    const styled = body.preset || requestStyle
+    const presetId = styled ? body.preset : defaults.preset
+    const style = styled ? requestStyle : defaults.style
+
+    const preset = presetId ? getStylePreset(presetId) : null
+    if (presetId && !preset) {
+        return { code: 'INVALID_REQUEST', error: `Unknown style preset: ${presetId}` }
+    }
+
+    let { options, error: optionsError, code: optionsCode = 'INVALID_REQUEST' } = parseImageOptions(body, {
+        aspectRatio: preset?.aspectRatio ?? defaults.aspectRatio,
+        count: defaults.count ?? getConfig().image.count
+    })
+    if (optionsError) return { code: optionsCode, error: optionsError }
+
+    let chain
+    try {
+        chain = getWorkspaceImageChain(workspace)
+    } catch (error) {
+        return { code: 'SERVICE_UNAVAILABLE', error: error.message, attempts: [] }
+    }
+
+    if (chain.length === 0) {
+        return {
+            code: 'NO_PROVIDER',
+            error: workspace?.allowedProviders
+                ? 'None of the providers allowed for this workspace are configured.'
+                : 'No supported API keys configured.',
+            attempts: []
+        }
+    }
+
+    // No image-to-image provider configured: generate from the prompt alone
+    let notice
+    if (options.initImage && !chain.some(provider => checkImageOptions(provider, options) === null)) {
+        options = withoutInitImage(options)
+        notice = 'No configured provider supports image-to-image; generated from the prompt only.'
+        log.warn(notice)
+    }
+
+    // Only try providers that can honor every requested option
+    const rejected = []
+    const providers = chain.filter(provider => {
+        const reason = checkImageOptions(provider, options)
+        if (reason) rejected.push({ provider: provider.id, code: 'INVALID_REQUEST', error: reason })
+        return !reason
+    })
+
+    if (providers.length === 0) {
+        return { code: 'INVALID_REQUEST', error: 'No configured image provider supports the requested options.', attempts: rejected }
+    }
+
+    return {
+        plan: {
+            prompt: buildPrompt(prompt, style, preset),
+            options,
+            providers,
+            rejected,
+            preset,
+            ...(notice && { notice })
+        }
+    }
+}
+
+/**
+ * Walk the provider chain until one returns images.
+ * On total failure the thrown error carries every attempt in `attempts` as
+ * { provider, code, error } (starting with any providers skipped because they
+ * cannot honor the options). Its code is MODEL_WARMING_UP, with `warmingUp:
+ * { provider, model, estimatedTime }`, when a provider's model was still
+ * loading, since retrying shortly may then succeed; otherwise the code every
+ * provider failed with, or PROVIDER_UNAVAILABLE when they differ.
+ * With output moderation on, flagged images throw CONTENT_POLICY (see
+ * ./moderation). `timeoutMs` and `retries` in the options, when set, apply
+ * to every provider call and to output moderation.
+ *
+ * @param {{ prompt: string, options: object, providers: object[], rejected?: object[], preset?: object|null }} plan
+ * @param {{ route?: string, workspace?: object|null }} context - Usage attribution
+ */
+export async function generateImages(plan, context = {}) {
+    const { prompt, options, providers, rejected = [], preset = null } = plan
+    const attempts = [...rejected]
+    let warmingUp = null
+
+    for (const provider of providers) {
+        let images
+        try {
+            const input = buildProviderInput(provider, prompt, options, preset)
+            images = await invoke(provider, 'image', input, context)
+        } catch (e) {
+            // Provider messages stay in the logs (see ./errors.js)
+            const { code, message } = describeError(e)
+            attempts.push({ provider: provider.id, code, error: message, ...(e.warmingUp && { warmingUp: true }) })
+            warmingUp ??= e.warmingUp && { provider: provider.id, ...e.warmingUp }
+            continue
+        }
+
+        // Withheld images fail the request instead of trying the next provider
+        await moderateImages(images, context, { timeoutMs: options.timeoutMs, retries: options.retries })
+        return { images, provider: provider.id, attempts }
+    }
+
+    throw chainError(attempts, warmingUp, rejected.length)
+}
+
+/**
+ * The error for a provider chain that failed as a whole (see generateImages)
+ *
+ * @param {object[]} attempts - { provider, code, error } per provider tried
+ * @param {object|null} warmingUp - { provider, model, estimatedTime } of the first loading model
+ * @param {number} [skipped] - Leading attempts that are providers skipped for their options
+ */
+export function chainError(attempts, warmingUp, skipped = 0) {
+    if (warmingUp) {
+        return apiError('MODEL_WARMING_UP', `The ${warmingUp.model} model is warming up. Try again shortly.`, { attempts, warmingUp })
+    }
+
+    // Providers skipped for their options say nothing about why the rest failed
+    const codes = new Set(attempts.slice(skipped).map(attempt => attempt.code))
+    if (codes.size === 1) return apiError([...codes][0], null, { attempts })
+    return apiError('PROVIDER_UNAVAILABLE', 'All image providers failed.', { attempts })
+}
@@ -0,0 +1,30 @@
+/**
+ * Shared HTTP helpers for the API routes
+ */
+
+/**
+ * Set security headers
+ */
+export function setSecurityHeaders(res) {
+    res.setHeader('X-Content-Type-Options', 'nosniff')
+    res.setHeader('X-Frame-Options', 'DENY')
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin')
+}
+
+/**
+ * Start a Server-Sent Events response
+ */
+export function startEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8')
+    res.setHeader('Cache-Control', 'no-cache, no-transform')
+    res.setHeader('Connection', 'keep-alive')
+    res.status(200)
+    res.flushHeaders?.()
+}
+
+/**
+ * Write one named SSE event with a JSON payload
+ */
+export function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
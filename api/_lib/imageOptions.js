@@ -0,0 +1,202 @@
+/**
+ * Image Generation Options
+ *
+ * Normalizes the request-level options accepted by /api/generate-image and
+ * checks them against what each provider declares it can honor.
+ *
+ * Request fields:
+ * - count: 1-4 (default: IMAGE_COUNT, see ./config.js)
+ * - aspectRatio: one of ASPECT_RATIOS (default: "1:1")
+ * - width / height: 256-2048, multiples of 16 (instead of aspectRatio)
+ * - seed: integer 0-4294967295
+ * - negativePrompt: string, max 1,000 characters
+ * - initImage: PNG/JPEG/WebP data URL to derive variations from (image-to-image),
+ *   checked by content and size (see ./validation.js)
+ * - strength: 0-1, how far to move away from initImage (only with initImage;
+ *   applied where the provider supports it, ignored elsewhere)
+ * - quality: one of IMAGE_QUALITIES, overrides IMAGE_QUALITY (applied where
+ *   the provider's model supports it, ignored elsewhere)
+ *
+ * Normalized options always carry count, aspectRatio (or null for a free size),
+ * width and height, so providers can pick whichever form their API takes.
+ * When the caller gave no size, `sizeIsDefault` is set: providers that cannot
+ * render the default ratio (e.g. from a style preset) use their own default
+ * size instead of being skipped.
+ *
+ * Providers declare their limits on the descriptor:
+ *
+ * imageOptions: {
+ *   aspectRatios: ['1:1', '16:9'],   // ratios accepted via aspectRatio
+ *   sizes: 'any' | ['1024x1024'],    // explicit width/height accepted
+ *   seed: true,
+ *   negativePrompt: true,
+ *   initImage: true,                 // image-to-image supported
+ *   strength: true                   // strength honored for image-to-image
+ * }
+ */
+
+import { checkImageDataUrl } from './validation.js'
+
+export const MAX_COUNT = 4
+export const IMAGE_QUALITIES = ['standard', 'hd']
+
+// Default pixel dimensions for each supported ratio (multiples of 16)
+export const ASPECT_RATIOS = {
+    '1:1': [1024, 1024],
+    '4:3': [1152, 896],
+    '3:4': [896, 1152],
+    '16:9': [1344, 768],
+    '9:16': [768, 1344]
+}
+
+const MIN_SIZE = 256
+const MAX_SIZE = 2048
+const MAX_SEED = 4294967295
+const MAX_NEGATIVE_PROMPT = 1000
+const DEFAULT_COUNT = 2
+
+function isDimension(value) {
+    return Number.isInteger(value) && value >= MIN_SIZE && value <= MAX_SIZE && value % 16 === 0
+}
+
+/**
+ * Find the named ratio matching width/height exactly, if any
+ */
+function ratioFor(width, height) {
+    return Object.keys(ASPECT_RATIOS).find(ratio => {
+        const [w, h] = ratio.split(':').map(Number)
+        return width * h === height * w
+    }) || null
+}
+
+/**
+ * Validate and normalize generation options from a request body
+ *
+ * @param {object} body - Request body
+ * @param {{ aspectRatio?: string, count?: number }} defaults - e.g. a style preset's default ratio, IMAGE_COUNT
+ * @returns {{ options?: object, error?: string, code?: string }} code is
+ *   PAYLOAD_TOO_LARGE or UNSUPPORTED_MEDIA_TYPE for an oversized or
+ *   unsupported initImage (otherwise unset: INVALID_REQUEST)
+ */
+export function parseImageOptions(body, defaults = {}) {
+    const { count, aspectRatio, width, height, seed, negativePrompt, initImage, strength, quality } = body
+    const options = { count: defaults.count ?? DEFAULT_COUNT }
+
+    if (count !== undefined) {
+        if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+            return { error: `Invalid count: must be an integer from 1 to ${MAX_COUNT}.` }
+        }
+        options.count = count
+    }
+
+    const hasSize = width !== undefined || height !== undefined
+
+    if (aspectRatio !== undefined && hasSize) {
+        return { error: 'Provide either aspectRatio or width/height, not both.' }
+    }
+
+    if (hasSize) {
+        if (!isDimension(width) || !isDimension(height)) {
+            return { error: `Invalid size: width and height must both be multiples of 16 from ${MIN_SIZE} to ${MAX_SIZE}.` }
+        }
+        options.width = width
+        options.height = height
+        options.aspectRatio = ratioFor(width, height)
+        options.customSize = true
+    } else {
+        const ratio = aspectRatio ?? defaults.aspectRatio ?? '1:1'
+        if (!ASPECT_RATIOS[ratio]) {
+            return { error: `Invalid aspectRatio: must be one of ${Object.keys(ASPECT_RATIOS).join(', ')}.` }
+        }
+        const [w, h] = ASPECT_RATIOS[ratio]
+        options.width = w
+        options.height = h
+        options.aspectRatio = ratio
+        options.customSize = false
+        options.sizeIsDefault = aspectRatio === undefined
+    }
+
+    if (seed !== undefined) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+            return { error: `Invalid seed: must be an integer from 0 to ${MAX_SEED}.` }
+        }
+        options.seed = seed
+    }
+
+    if (negativePrompt !== undefined) {
+        if (typeof negativePrompt !== 'string') {
+            return { error: 'Invalid field type: negativePrompt must be a string.' }
+        }
+        if (negativePrompt.length > MAX_NEGATIVE_PROMPT) {
+            return { error: `negativePrompt too long. Maximum ${MAX_NEGATIVE_PROMPT} characters allowed.` }
+        }
+        if (negativePrompt.trim()) options.negativePrompt = negativePrompt.trim()
+    }
+
+    if (initImage !== undefined && initImage !== null) {
+        const { value, code, error } = checkImageDataUrl(initImage, { field: 'initImage' })
+        if (error) return { error, code }
+        options.initImage = value
+    }
+
+    if (strength !== undefined) {
+        if (!options.initImage) {
+            return { error: 'strength requires initImage.' }
+        }
+        if (typeof strength !== 'number' || strength < 0 || strength > 1) {
+            return { error: 'Invalid strength: must be a number from 0 to 1.' }
+        }
+        options.strength = strength
+    }
+
+    if (quality !== undefined) {
+        if (!IMAGE_QUALITIES.includes(quality)) {
+            return { error: `Invalid quality: must be one of ${IMAGE_QUALITIES.join(', ')}.` }
+        }
+        options.quality = quality
+    }
+
+    return { options }
+}
+
+/**
+ * Copy of the options with image-to-image fields removed (text-only fallback)
+ */
+export function withoutInitImage(options) {
+    const { initImage: _initImage, strength: _strength, ...rest } = options
+    return rest
+}
+
+/**
+ * Check whether a provider can honor the requested options
+ *
+ * @returns {string|null} Reason the provider cannot honor them, or null
+ */
+export function checkImageOptions(provider, options) {
+    const limits = provider.imageOptions || {}
+    const name = provider.name
+
+    if (options.customSize) {
+        const size = `${options.width}x${options.height}`
+        const sizes = limits.sizes
+        if (sizes !== 'any' && !(sizes || []).includes(size)) {
+            return `${name} does not support size ${size}`
+        }
+    } else if (!options.sizeIsDefault && !(limits.aspectRatios || []).includes(options.aspectRatio)) {
+        return `${name} does not support aspect ratio ${options.aspectRatio}`
+    }
+
+    if (options.seed !== undefined && !limits.seed) {
+        return `${name} does not support seed`
+    }
+
+    if (options.negativePrompt && !limits.negativePrompt) {
+        return `${name} does not support negativePrompt`
+    }
+
+    if (options.initImage && !limits.initImage) {
+        return `${name} does not support image-to-image`
+    }
+
+    return null
+}
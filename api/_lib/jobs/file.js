@@ -0,0 +1,68 @@
+/**
+ * Filesystem job store (development / single host)
+ *
+ * One JSON file per job under JOBS_DIR (default: data/jobs). Step locks are
+ * <id>.lock files (see ../fileLock.js) holding their owner's token: a lock
+ * older than its ttl is taken over, so a crashed step never blocks the job,
+ * and a step that overran it never releases the lock of the step that took
+ * over. Expired jobs are deleted when read.
+ */
+
+import { randomBytes } from 'node:crypto'
+import { mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises'
+import { join, resolve } from 'node:path'
+import { isStaleLock, newLockToken, releaseLock, takeOverStaleLock, tryLock } from '../fileLock.js'
+
+export function createFileStore(dir = process.env.JOBS_DIR || 'data/jobs') {
+    const root = resolve(dir)
+    const pathFor = id => join(root, `${id}.json`)
+    const lockFor = id => join(root, `${id}.lock`)
+
+    return {
+        name: 'file',
+
+        /**
+         * @returns {Promise<object|undefined>} The job, or undefined when missing or expired
+         */
+        async get(id) {
+            let entry
+            try {
+                entry = JSON.parse(await readFile(pathFor(id), 'utf8'))
+            } catch (error) {
+                if (error.code === 'ENOENT') return undefined
+                throw error
+            }
+
+            if (entry.expiresAt <= Date.now()) {
+                await unlink(pathFor(id)).catch(() => {})
+                return undefined
+            }
+            return entry.job
+        },
+
+        async set(id, job, ttlMs) {
+            await mkdir(root, { recursive: true })
+            // Write then rename so a concurrent read never sees a partial file
+            const temp = `${pathFor(id)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`
+            await writeFile(temp, JSON.stringify({ expiresAt: Date.now() + ttlMs, job }))
+            await rename(temp, pathFor(id))
+        },
+
+        /**
+         * @returns {Promise<string|null>} The owner token for unlock(), or null when the lock is held
+         */
+        async lock(id, ttlMs) {
+            await mkdir(root, { recursive: true })
+            const token = newLockToken()
+            if (await tryLock(lockFor(id), token)) return token
+            if (!(await isStaleLock(lockFor(id), ttlMs))) return null
+
+            await takeOverStaleLock(lockFor(id), ttlMs)
+            return (await tryLock(lockFor(id), token)) ? token : null
+        },
+
+        async unlock(id, token) {
+            await releaseLock(lockFor(id), token)
+        }
+    }
+}
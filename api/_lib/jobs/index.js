@@ -0,0 +1,352 @@
+/**
+ * Image Generation Jobs
+ *
+ * Backs /api/jobs: a job stores a generation plan (see ../generation.js) and
+ * works through it one provider call per step, so no single request has to
+ * outlive a serverless time limit. There is no worker: each GET of a job runs
+ * the next step, so polling is what drives the job forward.
+ *
+ * A step asks one provider in the chain for the next image, once, without
+ * retries. When it fails, the job records its position in the chain
+ * (`chain.index`) and the next step asks the next provider; after a success
+ * the next image starts again at the top of the chain.
+ *
+ * Status: queued → running → succeeded | failed, or cancelled at any point.
+ * A step claims a lock first; a poll that finds the lock taken just reports
+ * the job as it stands. A cancel takes the same lock to save the job; while
+ * a step holds it, the cancel leaves a <id>.cancel marker instead, which
+ * reads of the job honor and the step saves when it finishes. The lock outlasts the slowest possible step (one
+ * provider call, then classifying its image with output moderation on), so a
+ * step is never run twice, and a job never keeps more than `count` images.
+ *
+ * Data URLs (the init image and rendered images) are stored under their own
+ * keys, <id>.init and <id>.image-<n>, and referenced from the job as
+ * { ref }, so the job record stays within KV value-size limits;
+ * toPublicJob() resolves them. A job fails when every provider fails for an image;
+ * the images rendered before that are kept, and `error` has the shape of an
+ * API error (see ../errors.js): { code, message, provider?, retryable, requestId }.
+ *
+ * When a provider's model was still loading (see ../providers/huggingface.js)
+ * the chain starts over instead, with `warmingUp: { provider, model,
+ * estimatedTime }` set, for up to MAX_WARMUP_MS.
+ *
+ * Env:
+ * - JOBS_STORE=file|kv: defaults to kv when a KV URL is configured
+ *   (see ./kv.js), otherwise file (./file.js, JOBS_DIR)
+ * - JOB_STEP_TIMEOUT_MS: provider timeout for one step (default: 25000);
+ *   keep it below the function's maxDuration, or half of it with
+ *   MODERATION_OUTPUTS=on
+ *
+ * Jobs expire JOB_TTL_MS after their last update.
+ */
+
+import { randomBytes } from 'node:crypto'
+import { apiError, describeError, errorBody } from '../errors.js'
+import { chainError, generateImages } from '../generation.js'
+import { log } from '../logger.js'
+import { isOutputModerationEnabled } from '../moderation/index.js'
+import { getProvider } from '../providers/index.js'
+import { getStylePreset } from '../styles.js'
+import { createFileStore } from './file.js'
+import { createKvStore, getKvConfig } from './kv.js'
+
+export const JOB_TTL_MS = 24 * 60 * 60 * 1000
+const DEFAULT_STEP_TIMEOUT_MS = 25000
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled']
+const MAX_WARMUP_MS = 5 * 60 * 1000
+// Store round trips and the work around the provider call
+const STEP_LOCK_MARGIN_MS = 10000
+
+let store = null
+
+/**
+ * Replace the job store (e.g. another KV backend). It needs get(id),
+ * set(id, value, ttlMs), lock(id, ttlMs), which resolves to an owner token or
+ * null when the lock is held, and unlock(id, token), which only releases the
+ * lock while that token still owns it.
+ */
+export function setJobStore(customStore) {
+    store = customStore
+}
+
+function getStore() {
+    if (!store) {
+        const kv = getKvConfig()
+        const kind = (process.env.JOBS_STORE || (kv ? 'kv' : 'file')).toLowerCase()
+
+        if (kind === 'kv') {
+            if (!kv) throw new Error('JOBS_STORE=kv needs JOBS_KV_URL and JOBS_KV_TOKEN')
+            store = createKvStore(kv)
+        } else if (kind === 'file') {
+            store = createFileStore()
+        } else {
+            throw new Error(`Unknown JOBS_STORE: ${kind}`)
+        }
+    }
+    return store
+}
+
+function getStepTimeout() {
+    const value = parseInt(process.env.JOB_STEP_TIMEOUT_MS || DEFAULT_STEP_TIMEOUT_MS, 10)
+    return Number.isInteger(value) && value > 0 ? value : DEFAULT_STEP_TIMEOUT_MS
+}
+
+/**
+ * How long a step holds the job's lock: its provider call and, with output
+ * moderation on, the classification of its image each get one attempt of
+ * JOB_STEP_TIMEOUT_MS
+ */
+function getStepLockTtl() {
+    const calls = isOutputModerationEnabled() ? 2 : 1
+    return calls * getStepTimeout() + STEP_LOCK_MARGIN_MS
+}
+
+export function isTerminal(job) {
+    return TERMINAL_STATUSES.includes(job.status)
+}
+
+async function saveJob(job) {
+    job.updatedAt = new Date().toISOString()
+    await getStore().set(job.id, job, JOB_TTL_MS)
+    return job
+}
+
+/**
+ * Store a new job for a plan from planGeneration()
+ */
+export async function createJob(plan, workspace = null) {
+    const now = new Date().toISOString()
+    const { prompt, options, providers, rejected, preset, notice } = plan
+    const { initImage, ...storedOptions } = options
+    const id = `job_${randomBytes(16).toString('base64url')}`
+
+    if (initImage) await getStore().set(`${id}.init`, initImage, JOB_TTL_MS)
+
+    const job = {
+        id,
+        status: 'queued',
+        workspaceId: workspace?.id || null,
+        createdAt: now,
+        updatedAt: now,
+        count: options.count,
+        mode: options.initImage ? 'image-to-image' : 'text-to-image',
+        ...(notice && { notice }),
+        images: [],
+        providers: [], // provider id per image
+        attempts: [...rejected],
+        error: null,
+        warmingUp: null,
+        chain: newChain(),
+        plan: {
+            prompt,
+            options: storedOptions,
+            initImageRef: initImage ? `${id}.init` : null,
+            providerIds: providers.map(provider => provider.id),
+            presetId: preset?.id || null
+        }
+    }
+
+    return saveJob(job)
+}
+
+/**
+ * @returns {Promise<object|undefined>} The job, or undefined when unknown or expired
+ */
+export async function getJob(id) {
+    const jobs = getStore()
+    const [job, cancelled] = await Promise.all([jobs.get(id), jobs.get(`${id}.cancel`)])
+    if (job && cancelled && !isTerminal(job)) job.status = 'cancelled'
+    return job
+}
+
+/**
+ * Re-read a job under the step lock, saving the cancel its marker asks for
+ */
+async function rereadJob(id) {
+    const jobs = getStore()
+    const job = await jobs.get(id)
+    if (!job || isTerminal(job)) return job
+    if (await jobs.get(`${id}.cancel`)) return saveJob({ ...job, status: 'cancelled' })
+    return job
+}
+
+/**
+ * Progress through the provider chain for the image being rendered: the
+ * position of the next provider to ask, the attempts so far and the first
+ * model found loading
+ */
+function newChain() {
+    return { index: 0, attempts: [], warmingUp: null }
+}
+
+/**
+ * Rebuild the generation plan for image `index` (one image, its own seed)
+ */
+async function restorePlan(job, index) {
+    const { prompt, options, initImageRef, providerIds, presetId } = job.plan
+    const providers = providerIds.map(getProvider).filter(Boolean)
+
+    const initImage = initImageRef ? await getStore().get(initImageRef) : undefined
+    if (initImageRef && !initImage) throw apiError('NOT_FOUND', 'The job\'s init image has expired.')
+
+    return {
+        prompt,
+        options: {
+            ...options,
+            ...(initImage && { initImage }),
+            count: 1,
+            // Offset the seed per image, like a multi-image request would
+            ...(options.seed !== undefined && { seed: options.seed + index }),
+            timeoutMs: getStepTimeout(),
+            // A failed call moves on to the next provider at the next step
+            retries: 0
+        },
+        providers,
+        preset: presetId ? getStylePreset(presetId) : null
+    }
+}
+
+/**
+ * A rendered image as stored in the job: data URLs under their own key
+ */
+async function storeImage(jobId, index, image) {
+    if (!image.startsWith('data:')) return image
+
+    const ref = `${jobId}.image-${index}`
+    await getStore().set(ref, image, JOB_TTL_MS)
+    return { ref }
+}
+
+/**
+ * Run the job's next step (ask the next provider in the chain for the next
+ * image) unless it is finished or another request holds the step lock
+ *
+ * @param {object} job - As returned by getJob()
+ * @param {{ workspace?: object|null }} context - Usage attribution
+ * @returns {Promise<object>} The job after the step
+ */
+export async function advanceJob(job, { workspace = null } = {}) {
+    if (isTerminal(job)) return job
+
+    const jobs = getStore()
+    const lock = await jobs.lock(job.id, getStepLockTtl())
+    if (!lock) return job
+
+    try {
+        // Re-read under the lock: another step or a cancel may have landed
+        let current = await rereadJob(job.id)
+        if (!current || isTerminal(current)) return current || job
+
+        const index = current.images.length
+        if (current.status === 'queued') {
+            current.status = 'running'
+            current = await saveJob(current)
+        }
+
+        const chain = current.chain || newChain()
+        let result = null
+        let failure = null
+        let providers = []
+        try {
+            const plan = await restorePlan(current, index)
+            providers = plan.providers
+            const provider = providers[chain.index]
+            if (!provider) throw apiError('NO_PROVIDER', 'None of the job\'s providers are available.')
+            result = await generateImages({ ...plan, providers: [provider], rejected: [] }, { route: 'jobs', workspace })
+        } catch (error) {
+            failure = error
+        }
+
+        // A cancel during the step wins over its result
+        const latest = await rereadJob(job.id)
+        if (!latest || isTerminal(latest)) return latest || current
+
+        if (result && latest.images.length < latest.count) {
+            latest.images.push(await storeImage(latest.id, latest.images.length, result.images[0]))
+            latest.providers.push(result.provider)
+            latest.chain = newChain()
+            latest.warmingUp = null
+            latest.warmingSince = null
+            if (latest.images.length >= latest.count) latest.status = 'succeeded'
+        } else if (result) {
+            // Another step already rendered the last image
+            return latest
+        } else if (failure.attempts) {
+            // A provider failed: the next step asks the next one
+            latest.attempts.push(...failure.attempts)
+            latest.chain = {
+                index: chain.index + 1,
+                attempts: [...chain.attempts, ...failure.attempts],
+                warmingUp: chain.warmingUp || failure.warmingUp || null
+            }
+            if (latest.chain.index >= providers.length) endChain(latest)
+        } else {
+            // Not a provider failure (e.g. withheld by moderation): no other provider can help
+            failJob(latest, failure)
+        }
+
+        return await saveJob(latest)
+    } finally {
+        await jobs.unlock(job.id, lock).catch(error => log.warn('Job unlock failed', { jobId: job.id, error }))
+    }
+}
+
+/**
+ * Every provider failed for the current image: start the chain over while a
+ * model is warming up, otherwise fail the job
+ */
+function endChain(job) {
+    const { attempts, warmingUp } = job.chain
+
+    if (warmingUp && Date.now() - (job.warmingSince ?? Date.now()) < MAX_WARMUP_MS) {
+        // Not a failure yet: the chain is retried once the model has loaded
+        job.warmingUp = warmingUp
+        job.warmingSince ??= Date.now()
+        job.chain = newChain()
+        return
+    }
+
+    failJob(job, chainError(attempts, warmingUp))
+}
+
+function failJob(job, failure) {
+    const { code, message, ...details } = describeError(failure)
+    job.error = errorBody(code, message, details).error
+    job.status = 'failed'
+}
+
+/**
+ * Cancel a job. Finished jobs are returned unchanged.
+ *
+ * The job is re-read and saved under the step lock, so nothing a step saved
+ * is lost; while a step holds the lock, the marker cancels the job.
+ */
+export async function cancelJob(job) {
+    if (isTerminal(job)) return job
+
+    const jobs = getStore()
+    await jobs.set(`${job.id}.cancel`, true, JOB_TTL_MS)
+    const lock = await jobs.lock(job.id, getStepLockTtl())
+    if (!lock) return { ...job, status: 'cancelled' }
+
+    try {
+        return (await rereadJob(job.id)) || { ...job, status: 'cancelled' }
+    } finally {
+        await jobs.unlock(job.id, lock).catch(error => log.warn('Job unlock failed', { jobId: job.id, error }))
+    }
+}
+
+/**
+ * The job as returned to clients: without the stored plan, with stored
+ * images resolved (one that has already expired is left out)
+ */
+export async function toPublicJob(job) {
+    const { plan, workspaceId, warmingSince, chain, ...rest } = job
+    const images = await Promise.all(job.images.map(image => (image.ref ? getStore().get(image.ref) : image)))
+
+    return {
+        ...rest,
+        images: images.filter(Boolean),
+        completed: job.images.length
+    }
+}
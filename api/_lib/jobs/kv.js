@@ -0,0 +1,75 @@
+/**
+ * KV job store (production)
+ *
+ * Any Redis-compatible server exposing the Upstash REST protocol, including
+ * Vercel KV. Jobs expire natively through PX; step locks are SET NX PX keys
+ * holding their owner's token, released by a compare-and-delete script so a
+ * step that overran its ttl never deletes the lock of the step after it.
+ *
+ * Env: JOBS_KV_URL + JOBS_KV_TOKEN
+ *      (falls back to KV_REST_API_URL + KV_REST_API_TOKEN)
+ */
+
+import { randomBytes } from 'node:crypto'
+
+const KEY_PREFIX = 'job:'
+const LOCK_PREFIX = 'job-lock:'
+
+// DEL the lock only while it still holds the caller's token
+const RELEASE_SCRIPT = 'if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) else return 0 end'
+
+export function getKvConfig() {
+    const url = process.env.JOBS_KV_URL || process.env.KV_REST_API_URL
+    const token = process.env.JOBS_KV_TOKEN || process.env.KV_REST_API_TOKEN
+    return url && token ? { url: url.replace(/\/+$/, ''), token } : null
+}
+
+export function createKvStore({ url, token }) {
+    const command = async (args) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(args)
+        })
+
+        if (!response.ok) {
+            throw new Error(`KV error: ${response.status} ${await response.text()}`)
+        }
+
+        const data = await response.json()
+        if (data.error) throw new Error(`KV error: ${data.error}`)
+        return data.result
+    }
+
+    return {
+        name: 'kv',
+
+        /**
+         * @returns {Promise<object|undefined>} The job, or undefined when missing or expired
+         */
+        async get(id) {
+            const result = await command(['GET', KEY_PREFIX + id])
+            return result === null ? undefined : JSON.parse(result)
+        },
+
+        async set(id, job, ttlMs) {
+            await command(['SET', KEY_PREFIX + id, JSON.stringify(job), 'PX', String(ttlMs)])
+        },
+
+        /**
+         * @returns {Promise<string|null>} The owner token for unlock(), or null when the lock is held
+         */
+        async lock(id, ttlMs) {
+            const token = randomBytes(16).toString('hex')
+            const result = await command(['SET', LOCK_PREFIX + id, token, 'NX', 'PX', String(ttlMs)])
+            return result === 'OK' ? token : null
+        },
+
+        async unlock(id, token) {
+            await command(['EVAL', RELEASE_SCRIPT, '1', LOCK_PREFIX + id, token])
+        }
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Structured Logging & Request Tracing
+ *
+ * Every line is one JSON object:
+ * { "time": "...", "level": "info", "msg": "...", "requestId": "...", "route": "...", ...fields }
+ * error and warn lines go to stderr, the rest to stdout.
+ *
+ * withRequestTrace() gives each API request a correlation id: the caller's
+ * X-Request-Id when it is a plain token, otherwise a new UUID. The id is
+ * echoed in the X-Request-Id response header and added to every line logged
+ * while the request runs, so an error seen in the browser can be matched to
+ * the backend lines that caused it.
+ *
+ * Secrets never reach the output: fields named like keys, tokens or
+ * authorization are replaced, and strings are scrubbed of Bearer tokens,
+ * key=/token= query parameters, sk-/hf_ style keys and the values of every
+ * *_API_KEY, *_TOKEN and *_SECRET variable.
+ *
+ * Env: LOG_LEVEL=debug|info|warn|error|silent (default: info)
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { randomUUID } from 'node:crypto'
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }
+const REDACTED = '[REDACTED]'
+
+// Matches accessToken or x-api-key, but not counts such as outputTokens
+const SECRET_FIELD = /(authorization|cookie|password|secret|token|api[-_]?key)$/i
+const SECRET_ENV = /(_API_KEY|_TOKEN|_SECRET)$/
+const SECRET_PATTERNS = [
+    [/(Bearer|Basic)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`],
+    [/([?&](?:key|api_key|apikey|token|access_token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+    [/\b(sk|hf)[-_][\w-]{8,}/g, REDACTED]
+]
+// Incoming ids are logged and echoed, so only accept plain tokens
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+const requestContext = new AsyncLocalStorage()
+
+function getThreshold() {
+    return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info
+}
+
+function getSecretValues() {
+    return Object.entries(process.env)
+        .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 8)
+        .map(([, value]) => value)
+}
+
+function redactString(value, secrets) {
+    let result = value
+    for (const secret of secrets) result = result.split(secret).join(REDACTED)
+    for (const [pattern, replacement] of SECRET_PATTERNS) result = result.replace(pattern, replacement)
+    return result
+}
+
+function redactValue(value, secrets, depth = 0) {
+    if (typeof value === 'string') return redactString(value, secrets)
+    if (value instanceof Error) return redactString(value.message, secrets)
+    if (!value || typeof value !== 'object') return value
+    if (depth > 5) return '[Object]'
+    if (Array.isArray(value)) return value.map(item => redactValue(item, secrets, depth + 1))
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_FIELD.test(key) && item ? REDACTED : redactValue(item, secrets, depth + 1)
+    ]))
+}
+
+/**
+ * Scrub API keys and tokens from a string or object before it is logged
+ */
+export function redact(value) {
+    return redactValue(value, getSecretValues())
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < getThreshold()) return
+
+    const entry = redact({
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...requestContext.getStore(),
+        ...fields
+    })
+
+    const line = JSON.stringify(entry)
+    if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + '\n')
+    else process.stdout.write(line + '\n')
+}
+
+export const log = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+}
+
+/**
+ * The current request's correlation id, or null outside a request
+ */
+export function getRequestId() {
+    return requestContext.getStore()?.requestId || null
+}
+
+/**
+ * Trace an API handler: set X-Request-Id, tag every log line of the request
+ * with its id and route, and log the response when it ends. The id lives in
+ * a context scoped to this call (AsyncLocalStorage.run), so it never leaks
+ * into work a warm instance runs after the handler.
+ *
+ * @param {string} route
+ * @param {(req, res) => Promise<any>} handler
+ * @returns {(req, res) => Promise<any>} The handler to export
+ */
+export function withRequestTrace(route, handler) {
+    return function tracedHandler(req, res) {
+        const incoming = req.headers?.['x-request-id']
+        const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID()
+        const started = Date.now()
+
+        res.setHeader('X-Request-Id', requestId)
+
+        res.on?.('finish', () => {
+            const status = res.statusCode
+            write(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'Request completed', {
+                requestId,
+                route,
+                method: req.method,
+                status,
+                durationMs: Date.now() - started
+            })
+        })
+
+        return requestContext.run({ requestId, route }, () => handler(req, res))
+    }
+}
+
+function outcomeOf(error) {
+    if (!error) return 'ok'
+    if (error.timeout) return 'timeout'
+    if (error.circuitOpen) return 'skipped'
+    if (error.warmingUp) return 'warming-up'
+    if (error.name === 'AbortError') return 'cancelled'
+    return 'error'
+}
+
+/**
+ * Time one operation (e.g. a provider call). end() logs its duration and
+ * outcome: ok, error, timeout, skipped, warming-up or cancelled.
+ *
+ * @param {string} name - Logged as `msg`
+ * @param {object} fields - Logged with the span, e.g. { provider, capability }
+ * @returns {{ end: (error?: Error|null, fields?: object) => void }}
+ */
+export function startSpan(name, fields = {}) {
+    const started = Date.now()
+
+    return {
+        end(error = null, extra = {}) {
+            const outcome = outcomeOf(error)
+            write(outcome === 'ok' ? 'info' : 'warn', name, {
+                ...fields,
+                ...extra,
+                durationMs: Date.now() - started,
+                outcome,
+                ...(error && { error: error.message })
+            })
+        }
+    }
+}
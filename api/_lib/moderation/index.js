@@ -0,0 +1,179 @@
+/**
+ * Content Moderation
+ *
+ * A gate in front of the providers: prompts are checked before
+ * /api/enhance-text, /api/generate-image and POST /api/jobs call a provider,
+ * and with MODERATION_OUTPUTS=on generated images are classified before they
+ * are returned. A flagged prompt or image fails the request with
+ * CONTENT_POLICY (422, see ../errors.js) and the matched `categories`.
+ *
+ * Moderator: MODERATION_PROVIDER=keyword|openai|off (default keyword).
+ * - keyword: the local policy in ./keyword.js, for offline use (text only)
+ * - openai: OpenAI's moderation model through the provider registry, metered
+ *   like any other call (capability "moderation"); classifies text and images
+ * MODERATION_BLOCKLIST terms are blocked by either moderator. A custom
+ * moderator can be set with setModerator(); it needs
+ * checkText(text, level, context) and optionally checkImage(image, level,
+ * context, limits) → { flagged, categories }.
+ *
+ * Strictness: MODERATION_LEVEL=off|standard|strict (default standard), which
+ * a workspace's `moderation` field overrides (see ../workspaces.js). The
+ * keyword gate is on by default; MODERATION_PROVIDER=off or
+ * MODERATION_LEVEL=off turns it off. The settings are validated at startup
+ * with the rest of the configuration (see ./settings.js and ../config.js). "strict"
+ * adds the keyword policy's broader terms, or blocks any OpenAI category
+ * scoring STRICT_SCORE or more rather than only what OpenAI flags.
+ *
+ * Checks fail closed: when the moderator cannot be reached, the request fails
+ * with the moderator's error (e.g. TIMEOUT) instead of skipping the check.
+ */
+
+import { apiError } from '../errors.js'
+import { log } from '../logger.js'
+import { getProvider, invoke, isConfigured } from '../providers/index.js'
+import { checkBlocklist, checkKeywords } from './keyword.js'
+import { getDefaultLevel, getModeratorKind, isOutputModerationEnabled, MODERATION_LEVELS } from './settings.js'
+
+export { isOutputModerationEnabled, MODERATION_LEVELS }
+
+const STRICT_SCORE = 0.2
+
+let moderator = null
+
+/**
+ * Replace the moderator (e.g. a hosted classifier)
+ */
+export function setModerator(custom) {
+    moderator = custom
+}
+
+function createKeywordModerator() {
+    return {
+        id: 'keyword',
+        checkText: async (text, level) => checkKeywords(text, level)
+    }
+}
+
+function createOpenAIModerator() {
+    const classify = async (input, level, context) => {
+        const provider = getProvider('openai')
+        if (!isConfigured(provider)) {
+            throw apiError('NO_PROVIDER', 'MODERATION_PROVIDER=openai needs OPENAI_API_KEY.')
+        }
+
+        const result = await invoke(provider, 'moderation', input, context)
+        const categories = Object.keys(result.categories).filter(category =>
+            result.categories[category] || (level === 'strict' && result.scores?.[category] >= STRICT_SCORE)
+        )
+        return { flagged: result.flagged || categories.length > 0, categories }
+    }
+
+    return {
+        id: 'openai',
+        checkText: async (text, level, context) => {
+            const custom = checkBlocklist(text)
+            if (custom.flagged) return custom
+            return classify({ text }, level, context)
+        },
+        checkImage: (image, level, context, limits) => classify({ image, ...limits }, level, context)
+    }
+}
+
+/**
+ * The configured moderator, or null when moderation is off
+ */
+function getModerator() {
+    if (!moderator) {
+        const kind = getModeratorKind()
+
+        if (kind === 'keyword') {
+            moderator = createKeywordModerator()
+        } else if (kind === 'openai') {
+            moderator = createOpenAIModerator()
+        } else if (kind !== 'off') {
+            throw new Error(`Unknown MODERATION_PROVIDER: ${kind}`)
+        }
+    }
+    return moderator
+}
+
+/**
+ * The strictness for a request: the workspace's, else MODERATION_LEVEL
+ *
+ * @param {object|null} [workspace]
+ * @returns {'off'|'standard'|'strict'}
+ */
+export function getModerationLevel(workspace) {
+    const level = workspace?.moderation?.toLowerCase() || getDefaultLevel()
+    if (!MODERATION_LEVELS.includes(level)) throw new Error(`Unknown MODERATION_LEVEL: ${level}`)
+    return level
+}
+
+/**
+ * Check prompt text before it is sent to a provider. Throws CONTENT_POLICY
+ * when it is flagged.
+ *
+ * @param {string|string[]} texts - Prompt and related fields; empty ones are skipped
+ * @param {{ route?: string, workspace?: object|null }} context - As for invoke()
+ */
+export async function moderatePrompt(texts, context = {}) {
+    const level = getModerationLevel(context.workspace)
+    const text = [].concat(texts).filter(Boolean).join('\n')
+    if (level === 'off' || !text) return
+
+    const active = getModerator()
+    if (!active) return
+
+    const { flagged, categories } = await active.checkText(text, level, context)
+    if (flagged) {
+        log.warn('Prompt blocked by moderation', { route: context.route, moderator: active.id, level, categories })
+        throw apiError('CONTENT_POLICY', 'The prompt was blocked by the content policy.', { categories })
+    }
+}
+
+/**
+ * Classify generated images before they are returned, when
+ * MODERATION_OUTPUTS=on and the moderator can classify images. Throws
+ * CONTENT_POLICY when any of them is flagged.
+ *
+ * @param {string[]} images - Data URLs or URLs
+ * @param {{ route?: string, workspace?: object|null }} context
+ * @param {{ timeoutMs?: number, retries?: number }} [limits] - Per classification call
+ */
+export async function moderateImages(images, context = {}, limits = {}) {
+    if (!isOutputModerationEnabled()) return
+
+    const level = getModerationLevel(context.workspace)
+    const active = level === 'off' ? null : getModerator()
+    if (!active?.checkImage) return
+
+    const results = await Promise.all(images.map(image => active.checkImage(image, level, context, limits)))
+    if (results.some(result => result.flagged)) {
+        const categories = [...new Set(results.flatMap(result => result.categories))]
+        log.warn('Generated images withheld by moderation', { route: context.route, moderator: active.id, level, categories })
+        throw apiError('CONTENT_POLICY', 'The generated images were withheld by the content policy.', { categories })
+    }
+}
+
+/**
+ * Settings and misconfigurations, for /api/health. Invalid values are
+ * reported with the rest of the configuration (see ../config.js).
+ *
+ * @param {object|null} [workspace] - Reports its level when it sets one
+ * @returns {{ provider: string, level: string, outputs: boolean, issues: string[] }}
+ */
+export function getModerationStatus(workspace) {
+    const provider = getModeratorKind()
+    const level = workspace?.moderation?.toLowerCase() || getDefaultLevel()
+    const outputs = isOutputModerationEnabled()
+    const issues = []
+
+    if (provider === 'openai' && !isConfigured(getProvider('openai'))) {
+        issues.push('MODERATION_PROVIDER=openai needs OPENAI_API_KEY')
+    }
+    if (outputs && provider !== 'openai') {
+        issues.push(`MODERATION_OUTPUTS=on has no effect with MODERATION_PROVIDER=${provider} (only openai classifies images)`)
+    }
+
+    return { provider, level, outputs, issues }
+}
@@ -0,0 +1,134 @@
+/**
+ * Local Keyword Policy
+ *
+ * Offline moderator: regular expressions per category, each enabled from a
+ * strictness level up. "standard" only blocks clearly disallowed requests,
+ * so ordinary prompts ("a knight in battle") pass; "strict" adds broader
+ * terms for audiences that need them (nudity, weapons, drugs, ...).
+ *
+ * MODERATION_BLOCKLIST adds comma-separated terms, blocked as whole words at
+ * every level and by every moderator (category "custom", see checkBlocklist).
+ *
+ * Terms only match as whole words, with letters of any script counting as
+ * word characters ("ren" is not found in "René"), and "xxx" is not matched
+ * as a placeholder ("#XXX", "XXX-XXX").
+ *
+ * Text only: generated images cannot be classified locally.
+ */
+
+// \b and \w only know ASCII letters; see wordPattern()
+const WORD_CHAR = '[\\p{L}\\p{N}\\p{M}_]'
+const WORD_BOUNDARY = `(?:(?<!${WORD_CHAR})(?=${WORD_CHAR})|(?<=${WORD_CHAR})(?!${WORD_CHAR}))`
+
+/**
+ * A pattern written with \b and \w, matching on Unicode word boundaries
+ */
+function wordPattern(pattern) {
+    const source = pattern.source.replaceAll('\\b', WORD_BOUNDARY).replaceAll('\\w', WORD_CHAR)
+    return new RegExp(source, 'u')
+}
+
+const RULES = [
+    {
+        category: 'sexual/minors',
+        level: 'standard',
+        pattern: /\b(child|children|kids?|minors?|underage|preteens?|toddlers?|schoolgirls?|schoolboys?|loli|shota)\b.{0,60}\b(nude|naked|sex|sexual|porn\w*|erotic|explicit|nsfw)\b|\b(nude|naked|sex|sexual|porn\w*|erotic|explicit|nsfw)\b.{0,60}\b(child|children|kids?|minors?|underage|preteens?|toddlers?|schoolgirls?|schoolboys?|loli|shota)\b/
+    },
+    {
+        category: 'sexual',
+        level: 'standard',
+        pattern: /\b(porn\w*|hardcore|(?<![#-])xxx(?!-)|sex acts?|explicit sex|genitals?|intercourse)\b/
+    },
+    {
+        category: 'violence/graphic',
+        level: 'standard',
+        pattern: /\b(gore|gory|dismember\w*|decapitat\w*|disembowel\w*|mutilat\w*|beheading)\b/
+    },
+    {
+        category: 'hate',
+        level: 'standard',
+        pattern: /\b(nazi propaganda|white power|hate symbols?|ethnic cleansing propaganda)\b/
+    },
+    {
+        category: 'sexual',
+        level: 'strict',
+        pattern: /\b(nude|nudity|naked|topless|lingerie|erotic|sensual|nsfw|sexy|seductive)\b/
+    },
+    {
+        category: 'violence',
+        level: 'strict',
+        pattern: /\b(blood|bloody|corpses?|murder\w*|kill\w*|stab\w*|shooting|guns?|rifles?|weapons?|torture\w*)\b/
+    },
+    {
+        category: 'self-harm',
+        level: 'strict',
+        pattern: /\b(suicide|self[- ]harm|overdose)\b/
+    },
+    {
+        category: 'drugs',
+        level: 'strict',
+        pattern: /\b(cocaine|heroin|meth|methamphetamine|drug use|narcotics?)\b/
+    },
+    {
+        category: 'hate',
+        level: 'strict',
+        pattern: /\b(swastikas?|kkk|nazis?)\b/
+    }
+].map(rule => ({ ...rule, pattern: wordPattern(rule.pattern) }))
+
+const LEVEL_RANK = { standard: 1, strict: 2 }
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * MODERATION_BLOCKLIST as one pattern, or null when unset
+ */
+function getBlocklist() {
+    const terms = (process.env.MODERATION_BLOCKLIST || '')
+        .split(',')
+        .map(term => term.trim().toLowerCase())
+        .filter(Boolean)
+    if (terms.length === 0) return null
+    return new RegExp(`${WORD_BOUNDARY}(${terms.map(escapeRegExp).join('|')})${WORD_BOUNDARY}`, 'u')
+}
+
+/**
+ * Lowercase, fold Unicode look-alikes (NFKC) and collapse whitespace
+ */
+function normalize(text) {
+    return text.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ')
+}
+
+/**
+ * Check text against MODERATION_BLOCKLIST
+ *
+ * @returns {{ flagged: boolean, categories: string[] }}
+ */
+export function checkBlocklist(text) {
+    const flagged = Boolean(getBlocklist()?.test(normalize(text)))
+    return { flagged, categories: flagged ? ['custom'] : [] }
+}
+
+/**
+ * Check text against the rules enabled at `level` and the blocklist
+ *
+ * @param {string} text
+ * @param {'standard'|'strict'} level
+ * @returns {{ flagged: boolean, categories: string[] }}
+ */
+export function checkKeywords(text, level) {
+    const normalized = normalize(text)
+    const categories = new Set()
+
+    for (const rule of RULES) {
+        if (LEVEL_RANK[rule.level] <= LEVEL_RANK[level] && rule.pattern.test(normalized)) {
+            categories.add(rule.category)
+        }
+    }
+
+    for (const category of checkBlocklist(text).categories) categories.add(category)
+
+    return { flagged: categories.size > 0, categories: [...categories] }
+}
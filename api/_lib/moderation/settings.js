@@ -0,0 +1,56 @@
+/**
+ * Moderation settings, parsed and validated
+ *
+ * Kept apart from ./index.js so ../config.js can validate them at startup
+ * without importing the provider registry.
+ */
+
+export const MODERATION_LEVELS = ['off', 'standard', 'strict']
+export const MODERATION_PROVIDERS = ['keyword', 'openai', 'off']
+
+/**
+ * MODERATION_PROVIDER (default: keyword)
+ */
+export function getModeratorKind(env = process.env) {
+    return (env.MODERATION_PROVIDER || 'keyword').toLowerCase()
+}
+
+/**
+ * MODERATION_LEVEL (default: standard)
+ */
+export function getDefaultLevel(env = process.env) {
+    return (env.MODERATION_LEVEL || 'standard').toLowerCase()
+}
+
+/**
+ * Whether generated images are classified (MODERATION_OUTPUTS=on)
+ */
+export function isOutputModerationEnabled(env = process.env) {
+    return (env.MODERATION_OUTPUTS || 'off').toLowerCase() === 'on'
+}
+
+/**
+ * Every problem with the moderation settings, for ../config.js
+ *
+ * @returns {string[]}
+ */
+export function checkModerationConfig(env = process.env) {
+    const errors = []
+
+    const provider = getModeratorKind(env)
+    if (!MODERATION_PROVIDERS.includes(provider)) {
+        errors.push(`MODERATION_PROVIDER must be one of ${MODERATION_PROVIDERS.join(', ')} (got "${provider}")`)
+    }
+
+    const level = getDefaultLevel(env)
+    if (!MODERATION_LEVELS.includes(level)) {
+        errors.push(`MODERATION_LEVEL must be one of ${MODERATION_LEVELS.join(', ')} (got "${level}")`)
+    }
+
+    const outputs = (env.MODERATION_OUTPUTS || 'off').toLowerCase()
+    if (outputs !== 'on' && outputs !== 'off') {
+        errors.push(`MODERATION_OUTPUTS must be on or off (got "${env.MODERATION_OUTPUTS}")`)
+    }
+
+    return errors
+}
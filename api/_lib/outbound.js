@@ -0,0 +1,199 @@
+/**
+ * Outbound Provider Requests
+ *
+ * Every provider capability calls its API through providerFetch(), so one
+ * policy applies everywhere (settings in ./config.js):
+ * - a timeout per provider (`timeoutMs` per call overrides it)
+ * - retries on 429, 5xx and network errors, with exponential backoff and
+ *   full jitter; a Retry-After header sets the delay instead, and one longer
+ *   than MAX_RETRY_DELAY_MS ends the retries
+ * - a circuit breaker per provider: after breakerThreshold consecutive
+ *   failed calls the provider is skipped for breakerCooldownMs, then a single
+ *   trial call decides whether it is used again
+ *
+ * Timeouts are not retried, and only retryable statuses count as failures:
+ * a 400 or 401 says nothing about the provider's health. Breaker state lives
+ * in memory, so each serverless instance trips separately. Health probes
+ * (/api/health) call fetch() directly, so they neither retry nor trip it.
+ */
+
+import { getConfig } from './config.js'
+import { log } from './logger.js'
+
+const BASE_RETRY_DELAY_MS = 500
+export const MAX_RETRY_DELAY_MS = 10000
+
+const circuits = new Map() // provider id → { failures, openUntil, trial }
+
+function getCircuit(providerId) {
+    if (!circuits.has(providerId)) circuits.set(providerId, { failures: 0, openUntil: 0, trial: false })
+    return circuits.get(providerId)
+}
+
+/**
+ * 'closed' (in use), 'open' (skipped) or 'half-open' (next call is a trial)
+ */
+export function getCircuitState(providerId) {
+    const circuit = getCircuit(providerId)
+    if (!circuit.openUntil) return 'closed'
+    return circuit.openUntil > Date.now() ? 'open' : 'half-open'
+}
+
+function circuitOpenError(providerId, circuit) {
+    const error = new Error(`${providerId} skipped: ${circuit.failures} consecutive failures (circuit open)`)
+    error.circuitOpen = true
+    error.provider = providerId
+    return error
+}
+
+/**
+ * Throw if the provider is being skipped. Claims the trial call when the
+ * cooldown is over; concurrent calls keep failing fast until it settles.
+ */
+function enterCircuit(providerId) {
+    const circuit = getCircuit(providerId)
+    const state = getCircuitState(providerId)
+
+    if (state === 'open' || (state === 'half-open' && circuit.trial)) {
+        throw circuitOpenError(providerId, circuit)
+    }
+    if (state === 'half-open') circuit.trial = true
+}
+
+function recordOutcome(providerId, failed) {
+    const circuit = getCircuit(providerId)
+    const { breakerThreshold, breakerCooldownMs } = getConfig().outbound
+
+    if (!failed) {
+        circuits.set(providerId, { failures: 0, openUntil: 0, trial: false })
+        return
+    }
+
+    circuit.failures++
+    if (breakerThreshold > 0 && (circuit.trial || circuit.failures >= breakerThreshold)) {
+        if (!circuit.trial) log.warn('Circuit opened', { provider: providerId, failures: circuit.failures })
+        circuit.openUntil = Date.now() + breakerCooldownMs
+    }
+    circuit.trial = false
+}
+
+/**
+ * Fail fast, before a capability runs, while the provider is skipped
+ */
+export function assertCircuitClosed(providerId) {
+    if (getCircuitState(providerId) === 'open') {
+        throw circuitOpenError(providerId, getCircuit(providerId))
+    }
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500
+}
+
+/**
+ * Retry-After as milliseconds (delta-seconds or HTTP date), or null
+ */
+function parseRetryAfter(value) {
+    if (!value) return null
+    const seconds = Number(value)
+    if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0)
+    const date = Date.parse(value)
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0)
+}
+
+function backoffDelay(attempt) {
+    return Math.random() * Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt)
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * One attempt with a timeout. Streaming responses are only timed until
+ * their headers arrive, so a long stream is not cut off.
+ */
+async function fetchWithTimeout(url, init, timeoutMs, stream) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeoutMs)
+    const signal = init.signal ? AbortSignal.any([init.signal, controller.signal]) : controller.signal
+
+    try {
+        return await fetch(url, { ...init, signal })
+    } catch (error) {
+        if (controller.signal.aborted && !init.signal?.aborted) {
+            const timeout = new Error(`Request timed out after ${timeoutMs}ms`)
+            timeout.timeout = true
+            throw timeout
+        }
+        throw error
+    } finally {
+        // Keep timing the body of non-streaming responses without holding the process open
+        if (stream) clearTimeout(timer)
+        else timer.unref?.()
+    }
+}
+
+/**
+ * fetch() for provider APIs, with the provider's timeout, retries and
+ * circuit breaker.
+ *
+ * Resolves with the final response, even when it is an error status, so
+ * providers keep their own error messages. Rejects on timeouts, network
+ * errors after the last retry, and while the circuit is open (`circuitOpen`).
+ *
+ * @param {string} providerId - Registry id (selects the timeout and circuit)
+ * @param {string} url
+ * @param {RequestInit} init - Bodies must be replayable (strings, FormData, Blobs)
+ * @param {{ timeoutMs?: number, retries?: number, retryOn?: (status: number) => boolean, stream?: boolean }} options
+ *   retryOn: statuses that are retried and count as failures (default: 429 and 5xx)
+ * @returns {Promise<Response>}
+ */
+export async function providerFetch(providerId, url, init = {}, options = {}) {
+    const { outbound } = getConfig()
+    const {
+        timeoutMs = outbound.timeouts[providerId],
+        retries = outbound.retries,
+        retryOn = isRetryableStatus,
+        stream = false
+    } = options
+
+    enterCircuit(providerId)
+
+    for (let attempt = 0; ; attempt++) {
+        let response = null
+        let failure = null
+        try {
+            response = await fetchWithTimeout(url, init, timeoutMs, stream)
+        } catch (error) {
+            failure = error
+        }
+
+        const cancelled = Boolean(init.signal?.aborted)
+        const retryable = failure ? !failure.timeout && !cancelled : retryOn(response.status)
+        let delay = backoffDelay(attempt)
+        if (response && retryable) {
+            const retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+            if (retryAfter !== null) delay = retryAfter
+        }
+
+        if (!retryable || attempt >= retries || delay > MAX_RETRY_DELAY_MS) {
+            // A caller cancelling says nothing about the provider
+            if (!cancelled) recordOutcome(providerId, Boolean(failure) || retryable)
+            else getCircuit(providerId).trial = false
+            if (failure) throw failure
+            return response
+        }
+
+        log.warn('Provider request retrying', {
+            provider: providerId,
+            ...(failure ? { error: failure } : { status: response.status }),
+            delayMs: Math.round(delay),
+            retry: attempt + 1,
+            retries
+        })
+        // Free the connection before trying again
+        await response?.body?.cancel().catch(() => {})
+        await sleep(delay)
+    }
+}
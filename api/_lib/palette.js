@@ -0,0 +1,137 @@
+/**
+ * Color Palette Extraction
+ *
+ * The dominant colors of an image, computed from its decoded pixels rather
+ * than asked of a vision model, so the same image always yields the same
+ * palette. The image is downscaled to at most SAMPLE_SIZE pixels a side and
+ * quantized: median cut picks `count` starting colors (the box of colors with
+ * the widest channel range, weighted by its pixel count, is split at its
+ * median), then k-means moves them to the centers of the pixels nearest to
+ * them. Each color is weighted by its share of the pixels; colors under
+ * MIN_WEIGHT (usually blends along edges) are dropped. Transparent pixels are
+ * ignored.
+ */
+
+import sharp from 'sharp'
+import { getBase64Data } from './dataUrl.js'
+
+const SAMPLE_SIZE = 64
+const DEFAULT_COLORS = 6
+const KMEANS_ITERATIONS = 8
+const MIN_WEIGHT = 0.03
+// Alpha below this counts as transparent
+const MIN_ALPHA = 128
+
+function toHex(channels) {
+    return `#${channels.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`
+}
+
+/**
+ * The channel (0-2) with the widest range in a box, and that range
+ */
+function widestChannel(pixels) {
+    let best = { channel: 0, range: -1 }
+    for (let channel = 0; channel < 3; channel++) {
+        let min = 255
+        let max = 0
+        for (const pixel of pixels) {
+            if (pixel[channel] < min) min = pixel[channel]
+            if (pixel[channel] > max) max = pixel[channel]
+        }
+        if (max - min > best.range) best = { channel, range: max - min }
+    }
+    return best
+}
+
+function medianCut(pixels, count) {
+    const boxes = [pixels]
+
+    while (boxes.length < count) {
+        let split = null
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return
+            const { channel, range } = widestChannel(box)
+            const score = range * box.length
+            if (range > 0 && (!split || score > split.score)) split = { index, channel, score }
+        })
+        if (!split) break
+
+        const box = boxes[split.index]
+        // Ties broken by the other channels, so the order never depends on the sort
+        box.sort((a, b) => a[split.channel] - b[split.channel] || a[0] - b[0] || a[1] - b[1] || a[2] - b[2])
+        const middle = box.length >> 1
+        boxes.splice(split.index, 1, box.slice(0, middle), box.slice(middle))
+    }
+    return boxes
+}
+
+function average(pixels) {
+    const sums = [0, 0, 0]
+    for (const pixel of pixels) {
+        sums[0] += pixel[0]
+        sums[1] += pixel[1]
+        sums[2] += pixel[2]
+    }
+    return sums.map(sum => sum / pixels.length)
+}
+
+/**
+ * Group pixels by their nearest center (the first one on ties)
+ */
+function assign(pixels, centers) {
+    const clusters = centers.map(() => [])
+    for (const pixel of pixels) {
+        let nearest = 0
+        let nearestDistance = Infinity
+        centers.forEach((center, index) => {
+            const distance = (pixel[0] - center[0]) ** 2 + (pixel[1] - center[1]) ** 2 + (pixel[2] - center[2]) ** 2
+            if (distance < nearestDistance) {
+                nearest = index
+                nearestDistance = distance
+            }
+        })
+        clusters[nearest].push(pixel)
+    }
+    return clusters
+}
+
+/**
+ * Extract the dominant colors of an image
+ *
+ * @param {string} dataUrl - A PNG, JPEG or WebP data URL (see ./validation.js)
+ * @param {{ count?: number }} options - Maximum number of colors
+ * @returns {Promise<Array<{ hex: string, weight: number }>>} Most common
+ *   first; weights are shares of the opaque pixels (0-1, 3 decimals)
+ */
+export async function extractPalette(dataUrl, { count = DEFAULT_COLORS } = {}) {
+    const { data, info } = await sharp(Buffer.from(getBase64Data(dataUrl), 'base64'))
+        .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+
+    const pixels = []
+    for (let i = 0; i < data.length; i += info.channels) {
+        if (data[i + 3] >= MIN_ALPHA) pixels.push([data[i], data[i + 1], data[i + 2]])
+    }
+    if (pixels.length === 0) return []
+
+    let centers = medianCut(pixels, count).map(average)
+    let clusters = assign(pixels, centers)
+    for (let i = 0; i < KMEANS_ITERATIONS; i++) {
+        centers = clusters.filter(cluster => cluster.length > 0).map(average)
+        clusters = assign(pixels, centers)
+    }
+
+    const palette = new Map()
+    clusters.forEach((cluster, index) => {
+        // Colors that round to the same hex are one entry
+        const hex = toHex(centers[index])
+        palette.set(hex, (palette.get(hex) || 0) + cluster.length)
+    })
+
+    return [...palette]
+        .map(([hex, pixelCount]) => ({ hex, weight: Math.round(pixelCount / pixels.length * 1000) / 1000 }))
+        .filter(color => color.weight >= MIN_WEIGHT)
+        .sort((a, b) => b.weight - a.weight || a.hex.localeCompare(b.hex))
+}
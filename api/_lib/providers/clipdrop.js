@@ -0,0 +1,78 @@
+/**
+ * Clipdrop Provider (Stability AI SDXL)
+ *
+ * Capabilities:
+ * - image: text-to-image/v1, or reimagine/v1 when an initImage is given
+ *
+ * Environment Variables:
+ * - CLIPDROP_API_KEY: REQUIRED
+ */
+
+import { toBlob } from '../dataUrl.js'
+import { apiError, providerError } from '../errors.js'
+import { providerFetch } from '../outbound.js'
+
+/**
+ * Clipdrop API - one request per image
+ * Output is fixed at 1024x1024 with no seed or negative prompt support
+ * (default sizes from style presets are ignored).
+ * With an initImage, Reimagine produces variations of it (the prompt is unused).
+ *
+ * @param {{ prompt: string, count: number, initImage?: string, timeoutMs?: number, retries?: number }} input
+ * @returns {Promise<string[]>} Image data URLs
+ */
+async function generateWithClipdrop({ prompt, count, initImage, timeoutMs, retries }, meter = {}) {
+    const apiKey = process.env.CLIPDROP_API_KEY
+    if (!apiKey) throw apiError('NO_PROVIDER', 'CLIPDROP_API_KEY not set')
+    meter.model = initImage ? 'reimagine-v1' : 'text-to-image-v1'
+
+    const endpoint = initImage
+        ? 'https://clipdrop-api.co/reimagine/v1/reimagine'
+        : 'https://clipdrop-api.co/text-to-image/v1'
+    const requests = []
+
+    for (let i = 0; i < count; i++) {
+        const form = new FormData()
+        if (initImage) {
+            form.append('image_file', toBlob(initImage), 'image')
+        } else {
+            form.append('prompt', prompt)
+        }
+
+        const request = providerFetch('clipdrop', endpoint, {
+            method: 'POST',
+            headers: { 'x-api-key': apiKey },
+            body: form
+        }, { timeoutMs, retries }).then(async (response) => {
+            if (!response.ok) {
+                const text = await response.text()
+                throw providerError(`Clipdrop error ${response.status}: ${text}`, response.status)
+            }
+            const mimeType = response.headers.get('content-type') || 'image/png'
+            const arrayBuffer = await response.arrayBuffer()
+            const base64 = Buffer.from(arrayBuffer).toString('base64')
+            return `data:${mimeType};base64,${base64}`
+        })
+        requests.push(request)
+    }
+
+    return Promise.all(requests)
+}
+
+export default {
+    id: 'clipdrop',
+    name: 'Clipdrop',
+    envKeys: ['CLIPDROP_API_KEY'],
+    imageOptions: {
+        aspectRatios: ['1:1'],
+        sizes: ['1024x1024'],
+        seed: false,
+        negativePrompt: false,
+        initImage: true,
+        strength: false
+    },
+    // No probe: Clipdrop has no free endpoint that checks the key
+    capabilities: {
+        image: generateWithClipdrop
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Google Gemini Provider
+ *
+ * Capabilities:
+ * - vision: Gemini 1.5 Flash/Pro (generateContent)
+ * - image: Imagen 3 (predict)
+ *
+ * Environment Variables:
+ * - GOOGLE_API_KEY: REQUIRED (sent in the x-goog-api-key header, never in URLs)
+ */
+
+import { getBase64Data, getMimeType } from '../dataUrl.js'
+import { apiError, providerError } from '../errors.js'
+import { log } from '../logger.js'
+import { providerFetch } from '../outbound.js'
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models'
+
+// List of models to try in order of preference/stability
+const VISION_MODELS = [
+    'gemini-1.5-flash-001', // Stable version
+    'gemini-1.5-flash-002', // Newer stable
+    'gemini-1.5-flash',     // Alias
+    'gemini-1.5-flash-8b',  // High efficiency
+    'gemini-2.0-flash-exp', // Experimental (Good but hits quota)
+    'gemini-1.5-pro'        // Fallback
+]
+
+/**
+ * Google Gemini (Imagen 3)
+ *
+ * @param {{ prompt: string, count: number, aspectRatio: string, seed?: number, negativePrompt?: string, timeoutMs?: number, retries?: number }} input
+ * @returns {Promise<string[]>} Image data URLs
+ */
+async function generateWithGemini({ prompt, count, aspectRatio, seed, negativePrompt, timeoutMs, retries }, meter = {}) {
+    const apiKey = process.env.GOOGLE_API_KEY
+    if (!apiKey) throw apiError('NO_PROVIDER', 'GOOGLE_API_KEY not set')
+
+    // Provide fallback model IDs if 001 is deprecated/restricted
+    const model = 'imagen-3.0-generate-001'
+    meter.model = model
+    const endpoint = `${API_BASE}/${model}:predict`
+
+    const parameters = {
+        sampleCount: Math.min(count, 4),
+        aspectRatio
+    }
+    if (negativePrompt) parameters.negativePrompt = negativePrompt
+    if (seed !== undefined) {
+        // Imagen only honors a seed when watermarking is disabled
+        parameters.seed = seed
+        parameters.addWatermark = false
+    }
+
+    const response = await providerFetch('gemini', endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+        body: JSON.stringify({
+            instances: [{ prompt }],
+            parameters
+        })
+    }, { timeoutMs, retries })
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        const msg = errorData.error?.message || `Gemini API error ${response.status}`
+        throw providerError(msg, response.status, errorData.error?.status)
+    }
+
+    const data = await response.json()
+    if (!data.predictions) throw apiError('INVALID_PROVIDER_RESPONSE', 'Gemini returned no predictions')
+
+    return data.predictions.map(pred => `data:${pred.mimeType};base64,${pred.bytesBase64Encoded}`)
+}
+
+/**
+ * Gemini Vision - tries each model in VISION_MODELS until one answers.
+ * Models this key cannot use, or whose own quota is spent (429), fall through
+ * to the next; a server error (already retried) ends the search.
+ *
+ * @param {{ imageBase64: string, systemPrompt: string, followUp?: { reply: string, instruction: string } }} input
+ *   followUp: continue the conversation after an earlier reply (e.g. to repair it)
+ * @returns {Promise<string>} The model's reply (JSON text)
+ */
+async function analyzeWithGemini({ imageBase64, systemPrompt, followUp }, meter = {}) {
+    const apiKey = process.env.GOOGLE_API_KEY
+    if (!apiKey) throw apiError('NO_PROVIDER', 'GOOGLE_API_KEY not set')
+
+    const mimeType = getMimeType(imageBase64)
+    const rawBase64 = getBase64Data(imageBase64)
+    const skipped = []
+    let lastFailure = {}
+
+    for (const model of VISION_MODELS) {
+        const endpoint = `${API_BASE}/${model}:generateContent`
+
+        const response = await providerFetch('gemini', endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+            body: JSON.stringify({
+                contents: [
+                    {
+                        role: 'user',
+                        parts: [
+                            { text: systemPrompt },
+                            {
+                                inline_data: {
+                                    mime_type: mimeType,
+                                    data: rawBase64
+                                }
+                            }
+                        ]
+                    },
+                    ...(followUp ? [
+                        { role: 'model', parts: [{ text: followUp.reply }] },
+                        { role: 'user', parts: [{ text: followUp.instruction }] }
+                    ] : [])
+                ],
+                generationConfig: {
+                    response_mime_type: "application/json"
+                }
+            })
+        }, { retryOn: status => status >= 500 })
+
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}))
+            const message = err.error?.message || `Status ${response.status}`
+            if (response.status >= 500) throw providerError(`Gemini ${model}: ${message}`, response.status, err.error?.status)
+            lastFailure = { status: response.status, code: err.error?.status }
+            skipped.push(`${model}: ${message}`)
+            continue
+        }
+
+        const data = await response.json()
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text
+        if (!text) {
+            skipped.push(`${model}: Empty response`)
+            continue
+        }
+
+        meter.model = model
+        meter.inputTokens = data.usageMetadata?.promptTokenCount || 0
+        meter.outputTokens = data.usageMetadata?.candidatesTokenCount || 0
+
+        if (skipped.length > 0) log.warn('Gemini vision fell back', { model, skipped })
+        return text
+    }
+
+    throw providerError(`All Gemini models failed (${skipped.join('; ')})`, lastFailure.status, lastFailure.code)
+}
+
+/**
+ * Health probe: list models (free, verifies the key)
+ */
+function probeGemini(signal) {
+    return fetch(`${API_BASE}?pageSize=1`, {
+        headers: { 'x-goog-api-key': process.env.GOOGLE_API_KEY },
+        signal
+    })
+}
+
+export default {
+    id: 'gemini',
+    name: 'Google Gemini',
+    envKeys: ['GOOGLE_API_KEY'],
+    imageOptions: {
+        aspectRatios: ['1:1', '4:3', '3:4', '16:9', '9:16'],
+        sizes: null,
+        seed: true,
+        negativePrompt: true
+    },
+    probe: probeGemini,
+    capabilities: {
+        vision: analyzeWithGemini,
+        image: generateWithGemini
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Hugging Face Provider (Inference API)
+ *
+ * Capabilities:
+ * - image: FLUX.1-dev, or SDXL Refiner (image-to-image) when an initImage is given
+ *
+ * Cold models answer 503 with an `estimated_time` while they load. If the
+ * estimate fits the loading budget, the request is retried with
+ * x-wait-for-model so Hugging Face holds it until the model is ready;
+ * otherwise (or when the wait runs out) it fails with `error.warmingUp`, so
+ * callers can report the model as warming up rather than broken.
+ *
+ * Environment Variables:
+ * - HUGGINGFACE_API_KEY: REQUIRED
+ * - IMAGE_MODEL: text-to-image model when USE_HUGGINGFACE=true (see ../config.js)
+ * - HUGGINGFACE_LOADING_BUDGET_MS: loading budget (see ../config.js)
+ */
+
+import { getConfig } from '../config.js'
+import { getBase64Data } from '../dataUrl.js'
+import { apiError, providerError } from '../errors.js'
+import { log } from '../logger.js'
+import { providerFetch } from '../outbound.js'
+
+const TEXT_TO_IMAGE_MODEL = 'black-forest-labs/FLUX.1-dev'
+const IMAGE_TO_IMAGE_MODEL = 'stabilityai/stable-diffusion-xl-refiner-1.0'
+
+function warmingUpError(model, estimatedTime) {
+    const error = new Error(`HF model ${model} is still loading`)
+    error.warmingUp = { model, estimatedTime }
+    return error
+}
+
+// 503 means the model is loading, which requestImage() waits for itself
+function isRetryableStatus(status) {
+    return status === 429 || (status >= 500 && status !== 503)
+}
+
+/**
+ * POST one image request, waiting for a loading model until `deadline`
+ */
+async function requestImage(endpoint, apiKey, model, payload, deadline, { timeoutMs, retries }) {
+    let waitForModel = false
+
+    for (;;) {
+        const remaining = deadline - Date.now()
+        let response
+        try {
+            response = await providerFetch('huggingface', endpoint, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json',
+                    ...(waitForModel && { 'x-wait-for-model': 'true' })
+                },
+                body: JSON.stringify(payload)
+            }, {
+                timeoutMs: waitForModel ? Math.max(remaining, 1) : timeoutMs,
+                retries,
+                retryOn: isRetryableStatus
+            })
+        } catch (error) {
+            if (waitForModel && error.timeout) throw warmingUpError(model, null)
+            throw error
+        }
+
+        if (response.ok) {
+            // HF returns blob/buffer usually
+            const arrayBuffer = await response.arrayBuffer()
+            const base64 = Buffer.from(arrayBuffer).toString('base64')
+            return `data:image/jpeg;base64,${base64}`
+        }
+
+        const data = response.status === 503 ? await response.json().catch(() => ({})) : {}
+        const loading = data.estimated_time !== undefined || /loading/i.test(data.error || '')
+        if (!loading) throw providerError(`HF error ${response.status}`, response.status)
+
+        const estimatedTime = Number(data.estimated_time) || null
+        if (waitForModel || remaining <= 0 || (estimatedTime && estimatedTime * 1000 > remaining)) {
+            throw warmingUpError(model, estimatedTime)
+        }
+
+        log.info('Hugging Face model loading, waiting', { model, estimatedTime })
+        waitForModel = true
+    }
+}
+
+/**
+ * Hugging Face API - one request per image
+ *
+ * @param {{ prompt: string, count: number, width: number, height: number, seed?: number, negativePrompt?: string, initImage?: string, strength?: number, timeoutMs?: number, retries?: number }} input
+ *   timeoutMs overrides the provider timeout and caps the loading budget
+ * @returns {Promise<string[]>} Image data URLs
+ */
+async function generateWithHuggingFace({ prompt, count, width, height, seed, negativePrompt, initImage, strength, timeoutMs, retries }, meter = {}) {
+    const apiKey = process.env.HUGGINGFACE_API_KEY
+    if (!apiKey) throw apiError('NO_PROVIDER', 'HUGGINGFACE_API_KEY not set')
+
+    const model = initImage
+        ? IMAGE_TO_IMAGE_MODEL
+        : getConfig().huggingface.imageModel || TEXT_TO_IMAGE_MODEL
+    meter.model = model
+    const endpoint = `https://api-inference.huggingface.co/models/${model}`
+    const budget = Math.min(getConfig().huggingface.loadingBudgetMs, timeoutMs ?? Infinity)
+    const deadline = Date.now() + budget
+
+    const requests = []
+
+    for (let i = 0; i < count; i++) {
+        const parameters = { width, height }
+        if (negativePrompt) parameters.negative_prompt = negativePrompt
+        // Offset the seed per image so a seeded batch is reproducible but not identical
+        if (seed !== undefined) parameters.seed = seed + i
+
+        // Image-to-image takes the source image as `inputs` and the text as a parameter
+        let inputs = prompt
+        if (initImage) {
+            inputs = getBase64Data(initImage)
+            parameters.prompt = prompt
+            if (strength !== undefined) parameters.strength = strength
+        }
+
+        requests.push(requestImage(endpoint, apiKey, model, { inputs, parameters }, deadline, { timeoutMs, retries }))
+    }
+
+    return Promise.all(requests)
+}
+
+/**
+ * Health probe: resolve the token's account (free, verifies the key)
+ */
+function probeHuggingFace(signal) {
+    return fetch('https://huggingface.co/api/whoami-v2', {
+        headers: { 'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}` },
+        signal
+    })
+}
+
+export default {
+    id: 'huggingface',
+    name: 'Hugging Face',
+    envKeys: ['HUGGINGFACE_API_KEY'],
+    imageOptions: {
+        aspectRatios: ['1:1', '4:3', '3:4', '16:9', '9:16'],
+        sizes: 'any',
+        seed: true,
+        negativePrompt: true,
+        initImage: true,
+        strength: true
+    },
+    probe: probeHuggingFace,
+    capabilities: {
+        image: generateWithHuggingFace
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Provider Registry
+ *
+ * Single place where every AI backend is declared. Each provider module
+ * exports a descriptor:
+ *
+ * {
+ *   id: 'gemini',
+ *   name: 'Google Gemini',
+ *   envKeys: ['GOOGLE_API_KEY'],       // all must be set to be "configured"
+ *   imageOptions: { ... },             // image providers only, see ../imageOptions.js
+ *   probe: (signal) => Promise<Response>,  // optional free, authenticated request for /api/health
+ *   enabled: (capability) => boolean,  // optional; false for a capability the config turns off
+ *   capabilities: {
+ *     text:   ({ messages, temperature?, maxTokens? }, meter) => Promise<string>
+ *     textStream: ({ messages, temperature?, maxTokens? }, meter) => AsyncIterable<string>
+ *     vision: ({ imageBase64, systemPrompt, followUp? }, meter) => Promise<string>  // raw reply; followUp: { reply, instruction }
+ *     image:  ({ prompt, count, aspectRatio, width, height, seed?, negativePrompt? }, meter) => Promise<string[]>
+ *     moderation: ({ text?, image? }, meter) => Promise<{ flagged, categories, scores }>  // see ../moderation
+ *   }
+ * }
+ *
+ * Each capability sets meter.model (and meter.inputTokens / meter.outputTokens
+ * when the API reports them) for usage accounting, see ../usage, and calls its
+ * API through providerFetch() for timeouts, retries and the circuit breaker,
+ * see ../outbound.js. Image capabilities also accept `timeoutMs`
+ * and `retries`, which override the provider's policy for that call.
+ *
+ * Registry order is the default priority order for every capability.
+ * To add a backend, create a module here and append it to PROVIDERS.
+ */
+
+import gemini from './gemini.js'
+import clipdrop from './clipdrop.js'
+import huggingface from './huggingface.js'
+import openai from './openai.js'
+import together from './together.js'
+import { assertCircuitClosed } from '../outbound.js'
+import { meterCall } from '../usage/index.js'
+
+export const CAPABILITIES = ['text', 'textStream', 'vision', 'image', 'moderation']
+
+const PROVIDERS = [gemini, clipdrop, huggingface, openai, together]
+
+/**
+ * Look up a provider by id (case-insensitive)
+ */
+export function getProvider(id) {
+    const key = (id || '').toLowerCase()
+    return PROVIDERS.find(provider => provider.id === key) || null
+}
+
+/**
+ * Whether every env key the provider needs is present
+ */
+export function isConfigured(provider) {
+    return provider.envKeys.every(key => Boolean(process.env[key]))
+}
+
+/**
+ * Whether the provider offers the given capability
+ */
+export function supports(provider, capability) {
+    return typeof provider.capabilities[capability] === 'function'
+}
+
+/**
+ * Whether a capability the provider offers is turned on in the config
+ * (e.g. OpenAI image generation is off with USE_HUGGINGFACE=true)
+ */
+export function isEnabled(provider, capability) {
+    return !provider.enabled || provider.enabled(capability)
+}
+
+/**
+ * All providers offering a capability (or every provider), in priority order
+ */
+export function getProviders(capability) {
+    if (!capability) return [...PROVIDERS]
+    return PROVIDERS.filter(provider => supports(provider, capability))
+}
+
+/**
+ * Providers offering a capability that have their env keys set, in priority order
+ */
+export function getConfiguredProviders(capability) {
+    return getProviders(capability).filter(provider => isConfigured(provider) && (!capability || isEnabled(provider, capability)))
+}
+
+/**
+ * Resolve the ordered, configured image providers.
+ *
+ * IMAGE_PROVIDER_CHAIN (e.g. "together,huggingface,openai") sets the exact order.
+ * Otherwise every provider is tried in registry order, with the legacy
+ * IMAGE_PROVIDER moved to the front. Providers without keys, or whose image
+ * generation the config turns off, are skipped.
+ * Throws on an unknown or non-image provider id in the chain.
+ */
+export function getImageChain() {
+    const chain = process.env.IMAGE_PROVIDER_CHAIN
+    const preferred = process.env.IMAGE_PROVIDER
+
+    let ids
+    if (chain) {
+        ids = chain.split(',').map(id => id.trim().toLowerCase()).filter(Boolean)
+    } else {
+        ids = getProviders('image').map(provider => provider.id)
+        if (preferred) ids = [preferred.toLowerCase(), ...ids.filter(id => id !== preferred.toLowerCase())]
+    }
+
+    return ids.map(id => {
+        const provider = getProvider(id)
+        if (!provider) throw new Error(`Unknown provider: ${id}`)
+        if (!supports(provider, 'image')) throw new Error(`Provider ${id} does not support image generation`)
+        return provider
+    }).filter(provider => isConfigured(provider) && isEnabled(provider, 'image'))
+}
+
+/**
+ * Invoke a provider's capability, recording its usage.
+ * Throws (`circuitOpen`) without calling it while its circuit is open.
+ * @param {{ route?: string, workspace?: object|null }} context - Attribution for usage records
+ */
+export function invoke(provider, capability, input, context = {}) {
+    if (!supports(provider, capability)) {
+        throw new Error(`Provider ${provider.id} does not support ${capability}`)
+    }
+    assertCircuitClosed(provider.id)
+    return meterCall(provider, capability, input, context)
+}
@@ -0,0 +1,348 @@
+/**
+ * OpenAI Provider (and any OpenAI-compatible API)
+ *
+ * Capabilities:
+ * - text: Chat Completions (OPENAI_MODEL, default gpt-4o-mini)
+ * - textStream: Chat Completions with stream: true
+ * - vision: Chat Completions with image input (VISION_MODEL, default gpt-4o)
+ * - image: IMAGE_MODEL (DALL-E 3 or 2), or gpt-image-1 edits when an initImage is given
+ * - moderation: Moderations API (omni-moderation-latest), for ../moderation
+ *
+ * Environment Variables:
+ * - OPENAI_API_KEY: REQUIRED
+ * - OPENAI_BASE_URL, OPENAI_MODEL, VISION_MODEL, IMAGE_MODEL, IMAGE_SIZE,
+ *   IMAGE_QUALITY, USE_HUGGINGFACE: see ../config.js
+ */
+
+import { getConfig, getOpenAIImageSizes, OPENAI_IMAGE_MODELS } from '../config.js'
+import { toBlob } from '../dataUrl.js'
+import { apiError, providerError } from '../errors.js'
+import { providerFetch } from '../outbound.js'
+
+const MODERATION_MODEL = 'omni-moderation-latest'
+
+// gpt-image-1 edits take landscape/portrait sizes or "auto"
+const EDIT_SIZES = {
+    '1:1': '1024x1024',
+    '3:4': '1024x1536',
+    '4:3': '1536x1024'
+}
+
+function getBaseUrl() {
+    return getConfig().openai.baseUrl
+}
+
+/**
+ * Error for a failed response, with the API's own message and error code
+ */
+async function responseError(response, label = 'OpenAI error') {
+    const data = await response.json().catch(() => ({}))
+    const detail = data.error?.message
+    return providerError(`${label} ${response.status}${detail ? `: ${detail}` : ''}`, response.status, data.error?.code)
+}
+
+/**
+ * Copy token counts from an API `usage` object onto the meter
+ */
+function meterTokens(meter, usage) {
+    if (!usage) return
+    meter.inputTokens = usage.prompt_tokens || 0
+    meter.outputTokens = usage.completion_tokens || 0
+}
+
+/**
+ * Chat completion returning the raw message content
+ *
+ * @param {{ messages: object[], temperature?: number, maxTokens?: number }} input
+ * @returns {Promise<string>} Message content (JSON text)
+ */
+async function chatWithOpenAI({ messages, temperature = 0.7, maxTokens = 1000 }, meter = {}) {
+    const apiKey = process.env.OPENAI_API_KEY
+    const model = getConfig().openai.textModel
+    meter.model = model
+
+    if (!apiKey) {
+        throw apiError('NO_PROVIDER', 'OPENAI_API_KEY environment variable is not set')
+    }
+
+    const response = await providerFetch('openai', `${getBaseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            response_format: { type: 'json_object' }
+        })
+    })
+
+    if (!response.ok) throw await responseError(response)
+
+    const data = await response.json()
+    meterTokens(meter, data.usage)
+    const content = data.choices?.[0]?.message?.content
+
+    if (!content) {
+        throw apiError('INVALID_PROVIDER_RESPONSE', 'No response content from LLM')
+    }
+
+    return content
+}
+
+/**
+ * Streaming chat completion - yields content deltas as they arrive
+ *
+ * @param {{ messages: object[], temperature?: number, maxTokens?: number }} input
+ * @returns {AsyncGenerator<string>} Content deltas
+ */
+async function* streamWithOpenAI({ messages, temperature = 0.7, maxTokens = 1000 }, meter = {}) {
+    const apiKey = process.env.OPENAI_API_KEY
+    const { openai, huggingface } = getConfig()
+    const model = openai.textModel
+    meter.model = model
+
+    if (!apiKey) {
+        throw apiError('NO_PROVIDER', 'OPENAI_API_KEY environment variable is not set')
+    }
+
+    const response = await providerFetch('openai', `${getBaseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            response_format: { type: 'json_object' },
+            stream: true,
+            // Final chunk carries token usage (not supported by Hugging Face)
+            ...(!huggingface.compatibleApi && { stream_options: { include_usage: true } })
+        })
+    }, { stream: true })
+
+    if (!response.ok) throw await responseError(response)
+
+    // Server-sent events: "data: {...}\n\n" lines, terminated by "data: [DONE]"
+    const decoder = new TextDecoder()
+    let buffer = ''
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true })
+        const lines = buffer.split('\n')
+        buffer = lines.pop()
+
+        for (const line of lines) {
+            const trimmed = line.trim()
+            if (!trimmed.startsWith('data:')) continue
+
+            const payload = trimmed.slice(5).trim()
+            if (payload === '[DONE]') return
+
+            let event
+            try {
+                event = JSON.parse(payload)
+            } catch {
+                // A truncated or garbled event, reported like any other provider failure
+                throw apiError('PROVIDER_ERROR', 'Malformed event in the OpenAI stream', { provider: 'openai' })
+            }
+            meterTokens(meter, event.usage)
+            const delta = event.choices?.[0]?.delta?.content
+            if (delta) yield delta
+        }
+    }
+}
+
+/**
+ * OpenAI Vision (VISION_MODEL)
+ *
+ * @param {{ imageBase64: string, systemPrompt: string, followUp?: { reply: string, instruction: string } }} input
+ *   followUp: continue the conversation after an earlier reply (e.g. to repair it)
+ * @returns {Promise<string>} The model's reply (JSON text)
+ */
+async function analyzeWithOpenAI({ imageBase64, systemPrompt, followUp }, meter = {}) {
+    const apiKey = process.env.OPENAI_API_KEY
+    if (!apiKey) throw apiError('NO_PROVIDER', 'OPENAI_API_KEY not set')
+    const model = getConfig().openai.visionModel
+    meter.model = model
+
+    const response = await providerFetch('openai', `${getBaseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            model,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: 'Analyze this image.' },
+                        { type: 'image_url', image_url: { url: imageBase64 } }
+                    ]
+                },
+                ...(followUp ? [
+                    { role: 'assistant', content: followUp.reply },
+                    { role: 'user', content: followUp.instruction }
+                ] : [])
+            ],
+            response_format: { type: 'json_object' }
+        })
+    })
+
+    if (!response.ok) throw await responseError(response, 'OpenAI Vision error')
+    const data = await response.json()
+    meterTokens(meter, data.usage)
+    const content = data.choices?.[0]?.message?.content
+    if (!content) throw apiError('INVALID_PROVIDER_RESPONSE', 'No response content from OpenAI Vision')
+    return content
+}
+
+/**
+ * OpenAI image edits (gpt-image-1) - derives variations from initImage
+ *
+ * @param {{ prompt: string, count: number, aspectRatio: string|null, initImage: string, timeoutMs?: number, retries?: number }} input
+ * @returns {Promise<string[]>} Image data URLs
+ */
+async function editWithOpenAI({ prompt, count, aspectRatio, initImage, timeoutMs, retries }, meter = {}) {
+    const apiKey = process.env.OPENAI_API_KEY
+    const size = EDIT_SIZES[aspectRatio] || 'auto'
+    meter.model = 'gpt-image-1'
+    meter.size = size
+
+    const form = new FormData()
+    form.append('model', 'gpt-image-1')
+    form.append('image', toBlob(initImage), 'image')
+    form.append('prompt', prompt)
+    form.append('n', String(count))
+    form.append('size', size)
+
+    const response = await providerFetch('openai', `${getBaseUrl()}/images/edits`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        body: form
+    }, { timeoutMs, retries })
+    if (!response.ok) throw await responseError(response, 'OpenAI edit error')
+    const data = await response.json()
+    return data.data.map(item => `data:image/png;base64,${item.b64_json}`)
+}
+
+/**
+ * OpenAI DALL-E (IMAGE_MODEL). DALL-E 3 only supports n=1, so its images are
+ * generated sequentially; DALL-E 2 takes up to 10 per request.
+ *
+ * @param {{ prompt: string, count: number, aspectRatio: string|null, width: number, height: number, customSize: boolean, sizeIsDefault?: boolean, quality?: string, initImage?: string, timeoutMs?: number, retries?: number }} input
+ * @returns {Promise<string[]>} Image URLs
+ */
+async function generateWithOpenAI(input, meter = {}) {
+    const { prompt, count, aspectRatio, width, height, customSize, sizeIsDefault, quality, initImage, timeoutMs, retries } = input
+    const apiKey = process.env.OPENAI_API_KEY
+    if (!apiKey) throw apiError('NO_PROVIDER', 'OPENAI_API_KEY not set')
+
+    const { openai } = getConfig()
+    if (!openai.imagesEnabled) throw apiError('NO_PROVIDER', 'OpenAI image generation is unavailable with USE_HUGGINGFACE=true')
+
+    if (initImage) return editWithOpenAI(input, meter)
+
+    const model = openai.imageModel
+    const spec = OPENAI_IMAGE_MODELS[model]
+    meter.model = model
+
+    let size = spec.sizes[aspectRatio] || openai.imageSize
+    if (customSize) size = `${width}x${height}`
+    else if (sizeIsDefault) size = openai.imageSize
+
+    const body = { model, prompt, size, response_format: 'url' }
+    // Models with a single quality reject the parameter
+    if (spec.qualities.length > 1) {
+        body.quality = spec.qualities.includes(quality) ? quality : openai.imageQuality
+    }
+    meter.quality = body.quality || spec.qualities[0]
+    meter.size = size
+
+    const images = []
+    while (images.length < count) {
+        const n = Math.min(count - images.length, spec.maxPerRequest)
+        const response = await providerFetch('openai', `${getBaseUrl()}/images/generations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+            body: JSON.stringify({ ...body, n })
+        }, { timeoutMs, retries })
+        if (!response.ok) throw await responseError(response)
+        const data = await response.json()
+        images.push(...data.data.map(item => item.url))
+    }
+    return images
+}
+
+/**
+ * OpenAI moderation (omni-moderation-latest, free): one text or image per call
+ *
+ * @param {{ text?: string, image?: string, timeoutMs?: number, retries?: number }} input - image: a URL or data URL
+ * @returns {Promise<{ flagged: boolean, categories: object, scores: object }>}
+ *   categories: { [category]: boolean }, scores: { [category]: 0-1 }
+ */
+async function moderateWithOpenAI({ text, image, timeoutMs, retries }, meter = {}) {
+    const apiKey = process.env.OPENAI_API_KEY
+    if (!apiKey) throw apiError('NO_PROVIDER', 'OPENAI_API_KEY not set')
+    meter.model = MODERATION_MODEL
+
+    const response = await providerFetch('openai', `${getBaseUrl()}/moderations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+        body: JSON.stringify({
+            model: MODERATION_MODEL,
+            input: image ? [{ type: 'image_url', image_url: { url: image } }] : text
+        })
+    }, { timeoutMs, retries })
+    if (!response.ok) throw await responseError(response, 'OpenAI moderation error')
+
+    const result = (await response.json()).results?.[0]
+    if (!result) throw apiError('INVALID_PROVIDER_RESPONSE', 'No moderation result')
+    return { flagged: result.flagged, categories: result.categories || {}, scores: result.category_scores || {} }
+}
+
+/**
+ * Health probe: list models (free, verifies the key)
+ */
+function probeOpenAI(signal) {
+    return fetch(`${getBaseUrl()}/models`, {
+        headers: { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` },
+        signal
+    })
+}
+
+export default {
+    id: 'openai',
+    name: 'OpenAI',
+    envKeys: ['OPENAI_API_KEY'],
+    // Depends on IMAGE_MODEL
+    get imageOptions() {
+        const model = getConfig().openai.imageModel
+        return {
+            aspectRatios: Object.keys(OPENAI_IMAGE_MODELS[model].sizes),
+            sizes: getOpenAIImageSizes(model),
+            seed: false,
+            negativePrompt: false,
+            initImage: true,
+            strength: false
+        }
+    },
+    probe: probeOpenAI,
+    enabled: capability => capability !== 'image' || getConfig().openai.imagesEnabled,
+    capabilities: {
+        text: chatWithOpenAI,
+        textStream: streamWithOpenAI,
+        vision: analyzeWithOpenAI,
+        image: generateWithOpenAI,
+        moderation: moderateWithOpenAI
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Together.ai Provider
+ *
+ * Capabilities:
+ * - image: FLUX.1-schnell
+ *
+ * Environment Variables:
+ * - TOGETHER_API_KEY: REQUIRED
+ */
+
+import { apiError, providerError } from '../errors.js'
+import { providerFetch } from '../outbound.js'
+
+/**
+ * Together.ai (FLUX.1-schnell) - supports n images in a single call
+ *
+ * @param {{ prompt: string, count: number, width: number, height: number, seed?: number, negativePrompt?: string, timeoutMs?: number, retries?: number }} input
+ * @returns {Promise<string[]>} Image data URLs
+ */
+async function generateWithTogether({ prompt, count, width, height, seed, negativePrompt, timeoutMs, retries }, meter = {}) {
+    const apiKey = process.env.TOGETHER_API_KEY
+    if (!apiKey) throw apiError('NO_PROVIDER', 'TOGETHER_API_KEY not set')
+
+    meter.model = 'black-forest-labs/FLUX.1-schnell'
+    const body = { model: meter.model, prompt, n: count, width, height, response_format: 'base64' }
+    if (seed !== undefined) body.seed = seed
+    if (negativePrompt) body.negative_prompt = negativePrompt
+
+    const response = await providerFetch('together', 'https://api.together.xyz/v1/images/generations', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    }, { timeoutMs, retries })
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        const detail = data.error?.message
+        throw providerError(`Together error ${response.status}${detail ? `: ${detail}` : ''}`, response.status, data.error?.code)
+    }
+    const data = await response.json()
+    return data.data.map(item => `data:image/jpeg;base64,${item.b64_json}`)
+}
+
+/**
+ * Health probe: list models (free, verifies the key)
+ */
+function probeTogether(signal) {
+    return fetch('https://api.together.xyz/v1/models', {
+        headers: { 'Authorization': `Bearer ${process.env.TOGETHER_API_KEY}` },
+        signal
+    })
+}
+
+export default {
+    id: 'together',
+    name: 'Together.ai',
+    envKeys: ['TOGETHER_API_KEY'],
+    imageOptions: {
+        aspectRatios: ['1:1', '4:3', '3:4', '16:9', '9:16'],
+        sizes: 'any',
+        seed: true,
+        negativePrompt: true
+    },
+    probe: probeTogether,
+    capabilities: {
+        image: generateWithTogether
+    }
+}
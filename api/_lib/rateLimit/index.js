@@ -0,0 +1,160 @@
+/**
+ * Rate Limiting
+ *
+ * Fixed-window limits per client and route, shared by every API route.
+ *
+ * Limits are "<count>/<window>" strings (window: s, m, h or d), configured per
+ * route with RATE_LIMIT_<ROUTE> env vars, e.g. RATE_LIMIT_GENERATE_IMAGE=40/1h.
+ * "off" disables a route's limit; RATE_LIMIT=off disables all of them.
+ *
+ * Each request consumes a cost (1 by default). /api/generate-image consumes
+ * one unit per image, and refunds units for images that were not produced.
+ * POST /api/jobs charges the same generate-image units up front; polling and
+ * cancelling a job count against the separate jobs limit.
+ *
+ * Requests authenticated with an API key are counted per workspace (see
+ * ../auth.js). Anonymous requests are counted per IP, or by token when
+ * RATE_LIMIT_KEY=token (Authorization: Bearer <token> or X-API-Key; only use
+ * this when tokens are verified upstream, otherwise rotating tokens bypasses
+ * the limit).
+ *
+ * Store: RATE_LIMIT_STORE=memory|redis. Defaults to redis when a Redis URL is
+ * configured (see ./redis.js), otherwise memory. A custom store can be set
+ * with setRateLimitStore(); it needs increment(key, amount, windowMs) →
+ * { count, resetAt }.
+ *
+ * Rejections are RATE_LIMITED errors (429, see ../errors.js) with Retry-After
+ * and `retryAfter` (seconds); every limited response carries
+ * X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset (epoch seconds).
+ * If the store is unreachable, requests are allowed and a warning is logged.
+ *
+ * Invalid settings fail closed: routes that call getConfig() fail at startup
+ * (see ./limits.js and ../config.js), and any other route answers INTERNAL
+ * rather than going unlimited.
+ */
+
+import { createHash } from 'node:crypto'
+import { getBearerToken } from '../auth.js'
+import { sendError } from '../errors.js'
+import { log } from '../logger.js'
+import { getRouteLimit, getStoreKind } from './limits.js'
+import { createMemoryStore } from './memory.js'
+import { createRedisStore, getRedisConfig } from './redis.js'
+
+export { DEFAULT_LIMITS, getRouteLimit, parseLimit } from './limits.js'
+
+let store = null
+
+/**
+ * Replace the store (e.g. a different Redis client)
+ */
+export function setRateLimitStore(custom) {
+    store = custom
+}
+
+function getStore() {
+    if (!store) {
+        const redis = getRedisConfig()
+        const kind = getStoreKind()
+
+        if (kind === 'redis') {
+            if (!redis) throw new Error('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN')
+            store = createRedisStore(redis)
+        } else if (kind === 'memory') {
+            store = createMemoryStore()
+        } else {
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${kind}`)
+        }
+    }
+    return store
+}
+
+function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for']
+    if (forwarded) return String(forwarded).split(',')[0].trim()
+    return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown'
+}
+
+/**
+ * Stable client identifier. Tokens are hashed so they never reach the store.
+ */
+export function getClientId(req) {
+    if (req.workspace) return `workspace:${req.workspace.id}`
+
+    if ((process.env.RATE_LIMIT_KEY || 'ip').toLowerCase() === 'token') {
+        const token = getBearerToken(req)
+        if (token) return `token:${createHash('sha256').update(token).digest('hex').slice(0, 32)}`
+    }
+    return `ip:${getClientIp(req)}`
+}
+
+function setHeaders(res, limit, count, resetAt) {
+    res.setHeader('X-RateLimit-Limit', String(limit))
+    res.setHeader('X-RateLimit-Remaining', String(Math.max(0, limit - count)))
+    res.setHeader('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)))
+}
+
+/**
+ * Consume `cost` units of the route's limit for this client.
+ *
+ * Sends the 429 response and returns null when the limit is exceeded (the
+ * rejected request does not consume anything), or the INTERNAL response when
+ * the limit is misconfigured. Otherwise returns a handle
+ * whose refund(amount) gives back units that ended up unused.
+ */
+export async function enforceRateLimit(req, res, route, cost = 1) {
+    const allowed = { refund: async () => {} }
+
+    let config
+    let limiter
+    try {
+        config = getRouteLimit(route)
+        if (!config) return allowed
+        limiter = getStore()
+    } catch (error) {
+        // Fail closed: a typo must not switch the limit off
+        log.error('Rate limit misconfigured', { error })
+        sendError(res, 'INTERNAL', 'Rate limiting is misconfigured.')
+        return null
+    }
+
+    const { limit, windowMs } = config
+    const key = `${route}:${getClientId(req)}`
+
+    let count
+    let resetAt
+    try {
+        ({ count, resetAt } = await limiter.increment(key, cost, windowMs))
+    } catch (error) {
+        log.warn('Rate limit store unavailable, allowing request', { error })
+        return allowed
+    }
+
+    if (count > limit) {
+        // Don't charge for the rejected request
+        const after = await limiter.increment(key, -cost, windowMs).catch(() => ({ count: count - cost }))
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+
+        setHeaders(res, limit, after.count, resetAt)
+        res.setHeader('Retry-After', String(retryAfter))
+        sendError(res, 'RATE_LIMITED', cost > 1
+            ? `Rate limit exceeded: ${cost} requested, ${Math.max(0, limit - after.count)} of ${limit} left. Try again in ${retryAfter}s.`
+            : `Rate limit exceeded. Try again in ${retryAfter}s.`, { retryAfter })
+        return null
+    }
+
+    setHeaders(res, limit, count, resetAt)
+
+    return {
+        refund: async (amount) => {
+            // A refund after the window rolled over would credit the new window
+            if (amount <= 0 || Date.now() >= resetAt) return
+            try {
+                const after = await limiter.increment(key, -Math.min(amount, cost), windowMs)
+                if (!res.headersSent) setHeaders(res, limit, after.count, resetAt)
+            } catch (error) {
+                log.warn('Rate limit refund failed', { error })
+            }
+        }
+    }
+}
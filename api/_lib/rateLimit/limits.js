@@ -0,0 +1,92 @@
+/**
+ * Rate limit settings, parsed and validated
+ *
+ * Kept apart from ./index.js so ../config.js can validate them at startup
+ * without importing the request-handling side.
+ */
+
+import { getRedisConfig } from './redis.js'
+
+export const DEFAULT_LIMITS = {
+    'enhance-text': '30/1m',
+    'analyze-image': '20/1m',
+    'generate-image': '40/1h',
+    'jobs': '120/1m',
+    'styles': '120/1m',
+    'usage': '30/1m',
+    'health': '60/1m'
+}
+
+const WINDOW_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+// RATE_LIMIT_* variables that are not per-route limits
+const SETTINGS = ['RATE_LIMIT_STORE', 'RATE_LIMIT_KEY', 'RATE_LIMIT_REDIS_URL', 'RATE_LIMIT_REDIS_TOKEN']
+
+function getEnvKey(route) {
+    return `RATE_LIMIT_${route.toUpperCase().replace(/-/g, '_')}`
+}
+
+/**
+ * Parse "30/1m" into { limit, windowMs }; null when disabled
+ */
+export function parseLimit(value) {
+    const text = String(value).trim().toLowerCase()
+    if (text === 'off' || text === '0') return null
+
+    const match = text.match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/)
+    if (!match) throw new Error(`Invalid rate limit "${value}" (expected e.g. 30/1m)`)
+
+    return {
+        limit: parseInt(match[1], 10),
+        windowMs: parseInt(match[2] || '1', 10) * WINDOW_UNITS[match[3]]
+    }
+}
+
+/**
+ * The configured limit for a route, or null when disabled
+ */
+export function getRouteLimit(route, env = process.env) {
+    if ((env.RATE_LIMIT || '').toLowerCase() === 'off') return null
+    return parseLimit(env[getEnvKey(route)] || DEFAULT_LIMITS[route] || 'off')
+}
+
+/**
+ * RATE_LIMIT_STORE, defaulting to redis when a Redis URL is configured
+ */
+export function getStoreKind(env = process.env) {
+    return (env.RATE_LIMIT_STORE || (getRedisConfig(env) ? 'redis' : 'memory')).toLowerCase()
+}
+
+/**
+ * Every problem with the rate limit settings, for ../config.js
+ *
+ * @returns {string[]}
+ */
+export function checkRateLimitConfig(env = process.env) {
+    const errors = []
+    const routeKeys = Object.keys(DEFAULT_LIMITS).map(getEnvKey)
+
+    for (const route of Object.keys(DEFAULT_LIMITS)) {
+        try {
+            getRouteLimit(route, env)
+        } catch (error) {
+            errors.push(`${getEnvKey(route)}: ${error.message}`)
+        }
+    }
+
+    // A misspelled route variable would otherwise leave the default in place
+    for (const key of Object.keys(env)) {
+        if (key.startsWith('RATE_LIMIT_') && !routeKeys.includes(key) && !SETTINGS.includes(key)) {
+            errors.push(`Unknown rate limit setting ${key} (routes: ${routeKeys.join(', ')})`)
+        }
+    }
+
+    const kind = getStoreKind(env)
+    if (kind === 'redis' && !getRedisConfig(env)) {
+        errors.push('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN')
+    } else if (kind !== 'redis' && kind !== 'memory') {
+        errors.push(`RATE_LIMIT_STORE must be memory or redis (got "${kind}")`)
+    }
+
+    return errors
+}
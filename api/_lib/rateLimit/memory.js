@@ -0,0 +1,41 @@
+/**
+ * In-memory rate limit store (development / single instance)
+ *
+ * Counters live in the function instance, so on serverless platforms each
+ * warm instance counts separately. Use the Redis store in production.
+ */
+
+// Sweep expired windows once the map grows past this many keys
+const SWEEP_THRESHOLD = 10000
+
+export function createMemoryStore() {
+    const windows = new Map() // key -> { count, resetAt }
+
+    const sweep = (now) => {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key)
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        /**
+         * Add `amount` (may be negative) to the key's counter for the current window
+         * @returns {Promise<{ count: number, resetAt: number }>} resetAt in ms since epoch
+         */
+        async increment(key, amount, windowMs) {
+            const now = Date.now()
+            if (windows.size > SWEEP_THRESHOLD) sweep(now)
+
+            let window = windows.get(key)
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs }
+                windows.set(key, window)
+            }
+
+            window.count = Math.max(0, window.count + amount)
+            return { count: window.count, resetAt: window.resetAt }
+        }
+    }
+}
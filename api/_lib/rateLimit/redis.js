@@ -0,0 +1,57 @@
+/**
+ * Redis rate limit store (production)
+ *
+ * Talks to any Redis-compatible server exposing the Upstash REST protocol
+ * (POST /pipeline with a JSON array of commands), which works from serverless
+ * functions without a persistent TCP connection.
+ *
+ * Env: RATE_LIMIT_REDIS_URL + RATE_LIMIT_REDIS_TOKEN
+ *      (falls back to UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN)
+ */
+
+const KEY_PREFIX = 'ratelimit:'
+
+export function getRedisConfig(env = process.env) {
+    const url = env.RATE_LIMIT_REDIS_URL || env.UPSTASH_REDIS_REST_URL
+    const token = env.RATE_LIMIT_REDIS_TOKEN || env.UPSTASH_REDIS_REST_TOKEN
+    return url && token ? { url: url.replace(/\/+$/, ''), token } : null
+}
+
+export function createRedisStore({ url, token }) {
+    return {
+        name: 'redis',
+
+        /**
+         * Add `amount` (may be negative) to the key's counter for the current window.
+         * SET NX starts the window with its expiry, so the TTL is never extended.
+         * @returns {Promise<{ count: number, resetAt: number }>} resetAt in ms since epoch
+         */
+        async increment(key, amount, windowMs) {
+            const redisKey = KEY_PREFIX + key
+            const response = await fetch(`${url}/pipeline`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify([
+                    ['SET', redisKey, '0', 'PX', String(windowMs), 'NX'],
+                    ['INCRBY', redisKey, String(amount)],
+                    ['PTTL', redisKey]
+                ])
+            })
+
+            if (!response.ok) {
+                throw new Error(`Redis error: ${response.status} ${await response.text()}`)
+            }
+
+            const results = await response.json()
+            const failed = results.find(result => result.error)
+            if (failed) throw new Error(`Redis error: ${failed.error}`)
+
+            const count = Number(results[1].result)
+            const ttl = Number(results[2].result)
+            return { count: Math.max(0, count), resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) }
+        }
+    }
+}
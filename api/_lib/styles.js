@@ -0,0 +1,88 @@
+/**
+ * Style Preset Library
+ *
+ * Named styles applied by /api/generate-image through buildPrompt. Each preset
+ * carries a prompt template ("{prompt}" is replaced by the user's prompt), a
+ * negative prompt and a default aspect ratio.
+ *
+ * Presets are applied the same way for every provider:
+ * - The template always wraps the prompt
+ * - The negative prompt is passed natively where supported, otherwise folded
+ *   into the prompt as "Avoid: ..."
+ * - The aspect ratio is only a default: request-level sizes win, and providers
+ *   that cannot render it use their own default size
+ */
+
+export const STYLE_PRESETS = [
+    {
+        id: 'photorealistic',
+        name: 'Photorealistic',
+        description: 'True-to-life photography with natural light',
+        template: '{prompt}. Photorealistic photograph, natural lighting, sharp focus, high detail, 35mm lens',
+        negativePrompt: 'cartoon, illustration, painting, CGI, blurry, low quality, distorted',
+        aspectRatio: '4:3'
+    },
+    {
+        id: 'cinematic',
+        name: 'Cinematic',
+        description: 'Film still with dramatic lighting and color grading',
+        template: 'Cinematic film still of {prompt}. Dramatic lighting, shallow depth of field, anamorphic lens, color graded',
+        negativePrompt: 'flat lighting, cartoon, oversaturated, low quality, text, watermark',
+        aspectRatio: '16:9'
+    },
+    {
+        id: 'illustration',
+        name: 'Illustration',
+        description: 'Clean digital illustration with vibrant colors',
+        template: 'Digital illustration of {prompt}. Clean line work, vibrant colors, detailed shading',
+        negativePrompt: 'photograph, photorealistic, blurry, low quality, watermark',
+        aspectRatio: '1:1'
+    },
+    {
+        id: 'anime',
+        name: 'Anime',
+        description: 'Cel-shaded anime artwork',
+        template: 'Anime style artwork of {prompt}. Cel shading, expressive characters, vivid colors',
+        negativePrompt: 'photorealistic, 3d render, blurry, low quality',
+        aspectRatio: '3:4'
+    },
+    {
+        id: 'watercolor',
+        name: 'Watercolor',
+        description: 'Soft watercolor painting on textured paper',
+        template: 'Watercolor painting of {prompt}. Soft washes, visible paper texture, delicate brush strokes',
+        negativePrompt: 'photograph, digital art, harsh lines, low quality',
+        aspectRatio: '1:1'
+    },
+    {
+        id: 'product',
+        name: 'Product Shot',
+        description: 'Studio product photography on a clean background',
+        template: 'Professional product photo of {prompt}. Studio lighting, clean seamless background, commercial quality',
+        negativePrompt: 'clutter, busy background, people, text, watermark, low quality',
+        aspectRatio: '1:1'
+    },
+    {
+        id: '3d-render',
+        name: '3D Render',
+        description: 'Physically based 3D render',
+        template: '3D render of {prompt}. Global illumination, physically based materials, high detail',
+        negativePrompt: '2d, flat, sketch, photograph, low quality',
+        aspectRatio: '1:1'
+    }
+]
+
+/**
+ * Look up a preset by id
+ */
+export function getStylePreset(id) {
+    return STYLE_PRESETS.find(preset => preset.id === id) || null
+}
+
+/**
+ * Apply a preset's template to a prompt
+ */
+export function applyTemplate(preset, prompt) {
+    // A replacer function, so "$&" and the like in the prompt stay literal
+    return preset.template.replace('{prompt}', () => prompt)
+}
@@ -0,0 +1,229 @@
+/**
+ * Usage & Cost Accounting
+ *
+ * Every provider call made through the registry's invoke() is metered here:
+ * provider, capability, model, tokens or images, latency, success and the
+ * estimated cost (./pricing.js), attributed to the route and workspace.
+ *
+ * Providers report what only they know through the `meter` object passed as
+ * the second argument to each capability:
+ *   meter.model, meter.inputTokens, meter.outputTokens,
+ *   meter.quality and meter.size (for images priced by both)
+ * Image counts come from the returned array.
+ *
+ * Each call is also logged as a `Provider call` span (see ../logger.js) with
+ * its duration and outcome.
+ *
+ * Records are appended as JSON lines to USAGE_FILE (default: data/usage.jsonl).
+ * USAGE_TRACKING=off disables recording. Like the workspace store, the file
+ * needs persistent storage on serverless hosts.
+ *
+ * Record:
+ * { "timestamp": "...", "route": "generate-image", "workspaceId": "marketing" | null,
+ *   "provider": "openai", "capability": "image", "model": "dall-e-3",
+ *   "inputTokens": 0, "outputTokens": 0, "images": 2, "latencyMs": 8123,
+ *   "success": true, "error"?: "...", "estimatedCost": 0.08 }
+ */
+
+import { appendFile, mkdir, readFile } from 'node:fs/promises'
+import { dirname, resolve } from 'node:path'
+import { log, startSpan } from '../logger.js'
+import { estimateCost } from './pricing.js'
+
+function getUsagePath() {
+    return resolve(process.env.USAGE_FILE || 'data/usage.jsonl')
+}
+
+function isEnabled() {
+    return (process.env.USAGE_TRACKING || 'on').toLowerCase() !== 'off'
+}
+
+/**
+ * Append one usage record. Never throws: accounting must not fail a request.
+ */
+export async function recordUsage(record) {
+    if (!isEnabled()) return
+
+    try {
+        const path = getUsagePath()
+        await mkdir(dirname(path), { recursive: true })
+        await appendFile(path, JSON.stringify(record) + '\n')
+    } catch (error) {
+        log.warn('Failed to record usage', { error })
+    }
+}
+
+function buildRecord({ provider, capability, context, meter, started, images, error }) {
+    const usage = {
+        provider: provider.id,
+        model: meter.model || '',
+        inputTokens: meter.inputTokens || 0,
+        outputTokens: meter.outputTokens || 0,
+        images,
+        quality: meter.quality,
+        size: meter.size
+    }
+
+    return {
+        timestamp: new Date().toISOString(),
+        route: context.route || null,
+        workspaceId: context.workspace?.id || null,
+        provider: provider.id,
+        capability,
+        model: usage.model || null,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        images,
+        latencyMs: Date.now() - started,
+        success: !error,
+        ...(error && { error: error.message }),
+        estimatedCost: estimateCost(usage)
+    }
+}
+
+/**
+ * Wrap a streaming capability so the call is recorded once the stream ends
+ */
+async function* meterStream(stream, record) {
+    let failure = null
+    try {
+        yield* stream
+    } catch (error) {
+        failure = error
+        throw error
+    } finally {
+        // Also runs when the consumer stops early
+        await record(failure)
+    }
+}
+
+/**
+ * Run a provider capability and record its usage
+ * @param {object} provider - Registry descriptor
+ * @param {string} capability
+ * @param {object} input
+ * @param {{ route?: string, workspace?: object|null }} context
+ */
+export function meterCall(provider, capability, input, context = {}) {
+    const meter = {}
+    const started = Date.now()
+    const span = startSpan('Provider call', { provider: provider.id, capability })
+
+    const record = (error, result) => {
+        // Lets the route name the provider in its error response (see ../errors.js)
+        if (error) error.provider ??= provider.id
+        const images = capability === 'image' && Array.isArray(result) ? result.length : 0
+        span.end(error, { model: meter.model || null, ...(images && { images }) })
+        return recordUsage(buildRecord({ provider, capability, context, meter, started, images, error }))
+    }
+
+    const output = provider.capabilities[capability](input, meter)
+
+    if (capability === 'textStream') return meterStream(output, record)
+
+    return output.then(
+        async (result) => {
+            await record(null, result)
+            return result
+        },
+        async (error) => {
+            await record(error)
+            throw error
+        }
+    )
+}
+
+/**
+ * Parse a "from"/"to" query value: YYYY-MM-DD (UTC day) or any ISO timestamp.
+ * A bare date as `to` includes that whole day.
+ */
+export function parseDate(value, endOfDay = false) {
+    if (value === undefined || value === '') return null
+
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value)
+    if (Number.isNaN(time)) return undefined
+
+    return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time
+}
+
+function emptyTotals() {
+    return { calls: 0, failed: 0, images: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, estimatedCost: 0, unpriced: 0 }
+}
+
+function add(totals, record) {
+    totals.calls++
+    if (!record.success) totals.failed++
+    totals.images += record.images
+    totals.inputTokens += record.inputTokens
+    totals.outputTokens += record.outputTokens
+    totals.latencyMs += record.latencyMs
+    if (record.estimatedCost === null) totals.unpriced++
+    else totals.estimatedCost += record.estimatedCost
+}
+
+function finish(totals) {
+    const { latencyMs, ...rest } = totals
+    return {
+        ...rest,
+        avgLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : 0,
+        estimatedCost: Math.round(totals.estimatedCost * 1e6) / 1e6
+    }
+}
+
+function group(records, keyOf, labelOf) {
+    const groups = new Map()
+    for (const record of records) {
+        const key = keyOf(record)
+        if (!groups.has(key)) groups.set(key, { ...labelOf(record), totals: emptyTotals() })
+        add(groups.get(key).totals, record)
+    }
+    return [...groups.values()].map(({ totals, ...label }) => ({ ...label, ...finish(totals) }))
+}
+
+/**
+ * Aggregate usage records
+ * @param {{ from: number, to: number, workspaceId?: string, provider?: string, route?: string, includeRecords?: boolean }} filters
+ */
+export async function queryUsage({ from, to, workspaceId, provider, route, includeRecords = false }) {
+    let text = ''
+    try {
+        text = await readFile(getUsagePath(), 'utf8')
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+    }
+
+    const records = text.split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line)
+            } catch {
+                return null // Skip a partially written line
+            }
+        })
+        .filter(record => {
+            if (!record) return false
+            const time = Date.parse(record.timestamp)
+            return time >= from && time <= to &&
+                (!workspaceId || record.workspaceId === workspaceId) &&
+                (!provider || record.provider === provider) &&
+                (!route || record.route === route)
+        })
+
+    const totals = emptyTotals()
+    records.forEach(record => add(totals, record))
+
+    return {
+        totals: finish(totals),
+        byProvider: group(
+            records,
+            record => `${record.provider}|${record.capability}|${record.model}`,
+            record => ({ provider: record.provider, capability: record.capability, model: record.model })
+        ),
+        byWorkspace: group(records, record => record.workspaceId, record => ({ workspaceId: record.workspaceId })),
+        byDay: group(records, record => record.timestamp.slice(0, 10), record => ({ date: record.timestamp.slice(0, 10) }))
+            .sort((a, b) => a.date.localeCompare(b.date)),
+        ...(includeRecords && { records })
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Provider Price List (USD)
+ *
+ * Estimates for reconciling against provider bills, not the bills themselves.
+ * Token prices are per 1M tokens, image prices per image. Entries match a
+ * model by prefix; the first match wins.
+ *
+ * An image price is either one price for every image, or keyed by quality
+ * and size the way OpenAI bills, from what the provider reports in
+ * meter.quality and meter.size: { "<quality>": { "<size>": price } }. An
+ * unknown quality or size is priced as the first one listed.
+ *
+ * Override or extend with USAGE_PRICING, a JSON array of entries in the same
+ * shape, checked before the defaults:
+ * USAGE_PRICING='[{"provider":"clipdrop","model":"","image":0.05}]'
+ * An invalid value fails at startup (see ../config.js).
+ */
+
+import { log } from '../logger.js'
+
+export const DEFAULT_PRICES = [
+    // OpenAI
+    { provider: 'openai', model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+    { provider: 'openai', model: 'gpt-4o', input: 2.5, output: 10 },
+    {
+        provider: 'openai',
+        model: 'dall-e-3',
+        image: {
+            standard: { '1024x1024': 0.04, '1792x1024': 0.08, '1024x1792': 0.08 },
+            hd: { '1024x1024': 0.08, '1792x1024': 0.12, '1024x1792': 0.12 }
+        }
+    },
+    {
+        provider: 'openai',
+        model: 'dall-e-2',
+        image: { standard: { '1024x1024': 0.02, '512x512': 0.018, '256x256': 0.016 } }
+    },
+    {
+        // Edits are sent without a quality; priced as medium
+        provider: 'openai',
+        model: 'gpt-image-1',
+        image: {
+            medium: { '1024x1024': 0.042, '1024x1536': 0.063, '1536x1024': 0.063 },
+            low: { '1024x1024': 0.011, '1024x1536': 0.016, '1536x1024': 0.016 },
+            high: { '1024x1024': 0.167, '1024x1536': 0.25, '1536x1024': 0.25 }
+        }
+    },
+    { provider: 'openai', model: 'omni-moderation', input: 0, output: 0 },
+
+    // Google
+    { provider: 'gemini', model: 'imagen-3', image: 0.03 },
+    { provider: 'gemini', model: 'gemini-1.5-flash-8b', input: 0.0375, output: 0.15 },
+    { provider: 'gemini', model: 'gemini-1.5-flash', input: 0.075, output: 0.3 },
+    { provider: 'gemini', model: 'gemini-2.0-flash', input: 0.1, output: 0.4 },
+    { provider: 'gemini', model: 'gemini-1.5-pro', input: 1.25, output: 5 },
+
+    // Clipdrop bills in credits (1 per image); priced at the entry plan rate
+    { provider: 'clipdrop', model: '', image: 0.02 },
+
+    // Hugging Face serverless inference is free-tier / subscription based
+    { provider: 'huggingface', model: '', image: 0 },
+
+    // Together.ai FLUX.1-schnell (~1 megapixel)
+    { provider: 'together', model: 'black-forest-labs/FLUX.1-schnell', image: 0.0027 }
+]
+
+let overrides = null
+
+const isPrice = value => value === undefined || (typeof value === 'number' && value >= 0)
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+function isImagePrice(image) {
+    if (!isObject(image)) return isPrice(image)
+    return Object.values(image).every(sizes => isObject(sizes) && Object.values(sizes).every(isPrice))
+}
+
+function isPriceEntry(entry) {
+    return isObject(entry) &&
+        typeof entry.provider === 'string' && typeof entry.model === 'string' &&
+        isPrice(entry.input) && isPrice(entry.output) && isImagePrice(entry.image)
+}
+
+/**
+ * USAGE_PRICING entries
+ * @throws {Error} When it is not a JSON array of valid entries
+ */
+function parseOverrides(value) {
+    if (!value) return []
+    const parsed = JSON.parse(value)
+    if (!Array.isArray(parsed) || !parsed.every(isPriceEntry)) {
+        throw new Error('USAGE_PRICING must be a JSON array of { provider, model, input?, output?, image? } entries with non-negative prices')
+    }
+    return parsed
+}
+
+/**
+ * Every problem with USAGE_PRICING, for ../config.js
+ *
+ * @returns {string[]}
+ */
+export function checkPricingConfig(env = process.env) {
+    try {
+        parseOverrides(env.USAGE_PRICING)
+        return []
+    } catch (error) {
+        return [error instanceof SyntaxError ? `USAGE_PRICING is not valid JSON: ${error.message}` : error.message]
+    }
+}
+
+function getPrices() {
+    if (overrides === null) {
+        try {
+            overrides = parseOverrides(process.env.USAGE_PRICING)
+        } catch (error) {
+            // Reported at startup; a bad setting never fails the call being metered
+            log.error('Invalid USAGE_PRICING, using defaults', { error })
+            overrides = []
+        }
+    }
+    return [...overrides, ...DEFAULT_PRICES]
+}
+
+/**
+ * Price of one image: flat, or looked up by quality and size
+ */
+function getImagePrice(image, quality, size) {
+    if (!image || typeof image !== 'object') return image || 0
+
+    const sizes = image[quality] || Object.values(image)[0] || {}
+    return sizes[size] ?? Object.values(sizes)[0] ?? 0
+}
+
+/**
+ * Estimated cost of one call, or null when no price is known
+ * @param {{ provider: string, model?: string, inputTokens?: number, outputTokens?: number, images?: number, quality?: string, size?: string }} usage
+ */
+export function estimateCost({ provider, model = '', inputTokens = 0, outputTokens = 0, images = 0, quality, size }) {
+    const price = getPrices().find(entry => entry.provider === provider && model.startsWith(entry.model))
+    if (!price) return null
+
+    const cost = (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6 +
+        images * getImagePrice(price.image, quality, size)
+
+    return Math.round(cost * 1e6) / 1e6
+}
@@ -0,0 +1,117 @@
+/**
+ * Request Validation
+ *
+ * Shared checks for the API routes, so every route rejects bad input the
+ * same way and before any provider is called (codes from ./errors.js):
+ * - INVALID_REQUEST (400): malformed body, missing or mistyped fields, values
+ *   out of range
+ * - PAYLOAD_TOO_LARGE (413): an image over MAX_IMAGE_BYTES (decoded)
+ * - UNSUPPORTED_MEDIA_TYPE (415): a body that is not JSON, or an image that
+ *   is not PNG, JPEG or WebP
+ *
+ * Field checks return `{ value }` on success or `{ code, error }`, in the
+ * same shape as planGeneration(), so routes can pass the error straight on.
+ * Images are typed by their content (magic bytes), not the MIME type the
+ * data URL declares.
+ */
+
+import { parseDataUrl, sniffImageType } from './dataUrl.js'
+import { sendError } from './errors.js'
+
+export const MAX_PROMPT_LENGTH = 5000
+// About 4 MB as base64, so the JSON body stays under Vercel's 4.5 MB request
+// limit, which answers 413 without our envelope
+export const MAX_IMAGE_BYTES = 3 * 1024 * 1024
+
+function formatMegabytes(bytes) {
+    return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`
+}
+
+/**
+ * Require a JSON object body. Sends an error and returns null otherwise.
+ *
+ * @returns {object|null} The parsed body
+ */
+export function readJsonBody(req, res) {
+    const contentType = req.headers?.['content-type'] || ''
+    if (!contentType.includes('application/json')) {
+        sendError(res, 'UNSUPPORTED_MEDIA_TYPE', 'Unsupported Media Type. Use application/json.')
+        return null
+    }
+
+    let body
+    try {
+        // Vercel parses the body lazily and throws on invalid JSON
+        body = req.body
+    } catch {
+        sendError(res, 'INVALID_REQUEST', 'Invalid JSON body.')
+        return null
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        sendError(res, 'INVALID_REQUEST', 'Invalid request body.')
+        return null
+    }
+    return body
+}
+
+/**
+ * Check a free-text field
+ *
+ * @param {unknown} value
+ * @param {{ field?: string, required?: boolean, maxLength?: number }} options
+ *   An optional field that is missing or null yields `{ value: '' }`
+ * @returns {{ value?: string, code?: string, error?: string }} The trimmed text
+ */
+export function checkText(value, { field = 'prompt', required = true, maxLength = MAX_PROMPT_LENGTH } = {}) {
+    if (value === undefined || value === null) {
+        return required ? { code: 'INVALID_REQUEST', error: `Missing required field: ${field}` } : { value: '' }
+    }
+    if (typeof value !== 'string') {
+        return { code: 'INVALID_REQUEST', error: `Invalid field type: ${field} must be a string.` }
+    }
+
+    const trimmed = value.trim()
+    if (required && !trimmed) {
+        return { code: 'INVALID_REQUEST', error: `${field} cannot be empty.` }
+    }
+    if (trimmed.length > maxLength) {
+        return { code: 'INVALID_REQUEST', error: `${field} too long. Maximum ${maxLength.toLocaleString('en-US')} characters allowed.` }
+    }
+    return { value: trimmed }
+}
+
+/**
+ * Check a base64 image data URL: its structure, decoded size and content type
+ *
+ * @param {unknown} value
+ * @param {{ field?: string, maxBytes?: number }} options
+ * @returns {{ value?: string, code?: string, error?: string }} The data URL,
+ *   relabelled with the sniffed MIME type when it declared another
+ */
+export function checkImageDataUrl(value, { field = 'image', maxBytes = MAX_IMAGE_BYTES } = {}) {
+    if (value === undefined || value === null || value === '') {
+        return { code: 'INVALID_REQUEST', error: `Missing required field: ${field}` }
+    }
+
+    const dataUrl = parseDataUrl(value)
+    if (!dataUrl) {
+        return { code: 'INVALID_REQUEST', error: `Invalid ${field}: must be a base64 data URL (data:image/...;base64,...).` }
+    }
+
+    if (dataUrl.bytes > maxBytes) {
+        return {
+            code: 'PAYLOAD_TOO_LARGE',
+            error: `${field} too large: ${dataUrl.bytes.toLocaleString('en-US')} bytes. Maximum ${formatMegabytes(maxBytes)} allowed.`
+        }
+    }
+
+    const mimeType = sniffImageType(dataUrl.base64)
+    if (!mimeType) {
+        return { code: 'UNSUPPORTED_MEDIA_TYPE', error: `Unsupported ${field} type: must be a PNG, JPEG or WebP image.` }
+    }
+
+    return {
+        value: mimeType === dataUrl.mimeType ? value : `data:${mimeType};base64,${dataUrl.base64}`
+    }
+}
@@ -0,0 +1,371 @@
+/**
+ * Workspace & API Key Store
+ *
+ * Local JSON file holding team workspaces and the API keys issued to them.
+ * Path: WORKSPACES_FILE (default: data/workspaces.json). On serverless hosts
+ * point this at persistent storage; the bundled filesystem is read-only or
+ * ephemeral there.
+ *
+ * {
+ *   "workspaces": [{
+ *     "id": "marketing",
+ *     "name": "Marketing",
+ *     "allowedProviders": ["gemini", "clipdrop"],   // null = every configured provider
+ *     "defaults": { "preset": "product", "style": "...", "count": 2, "aspectRatio": "1:1" },
+ *     "moderation": "strict",                       // null = MODERATION_LEVEL (see ./moderation)
+ *     "createdAt": "..."
+ *   }],
+ *   "keys": [{
+ *     "id": "key_...", "workspaceId": "marketing", "name": "CMS integration",
+ *     "prefix": "pm_AbCd", "hash": "<sha256 of the key>",
+ *     "createdAt": "...", "lastUsedAt": "...", "revokedAt": null
+ *   }]
+ * }
+ *
+ * Only key hashes are stored; the plaintext key is returned once on creation.
+ *
+ * Every change is a read-modify-write under <file>.lock (created exclusively,
+ * taken over after LOCK_TTL_MS so a crashed writer never blocks the store):
+ * the file is re-read under the lock, so concurrent changes, such as a
+ * revocation and a key's lastUsedAt update, never undo each other. The lock
+ * holds its owner's token, so a writer that overran LOCK_TTL_MS never
+ * releases the lock of the one that took over (see ./fileLock.js).
+ */
+
+import { createHash, randomBytes } from 'node:crypto'
+import { mkdir, readFile, rename, stat, writeFile } from 'node:fs/promises'
+import { dirname, resolve } from 'node:path'
+import { apiError } from './errors.js'
+import { isStaleLock, newLockToken, releaseLock, takeOverStaleLock, tryLock } from './fileLock.js'
+import { ASPECT_RATIOS, MAX_COUNT } from './imageOptions.js'
+import { log } from './logger.js'
+import { MODERATION_LEVELS } from './moderation/index.js'
+import { getProvider } from './providers/index.js'
+import { getStylePreset } from './styles.js'
+
+const KEY_PREFIX = 'pm_'
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/
+const MAX_NAME_LENGTH = 100
+const MAX_STYLE_LENGTH = 500
+
+// Only persist lastUsedAt this often, so every request doesn't rewrite the file
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000
+
+const LOCK_TTL_MS = 10 * 1000
+const LOCK_TIMEOUT_MS = 5 * 1000
+const LOCK_RETRY_MS = 20
+
+let cache = null // { mtimeMs, data }
+
+function getStorePath() {
+    return resolve(process.env.WORKSPACES_FILE || 'data/workspaces.json')
+}
+
+export function hashKey(key) {
+    return createHash('sha256').update(key).digest('hex')
+}
+
+function parseStore(text) {
+    const data = JSON.parse(text)
+    return { workspaces: data.workspaces || [], keys: data.keys || [] }
+}
+
+async function load() {
+    const path = getStorePath()
+
+    let mtimeMs
+    try {
+        mtimeMs = (await stat(path)).mtimeMs
+    } catch (error) {
+        if (error.code === 'ENOENT') return { workspaces: [], keys: [] }
+        throw error
+    }
+
+    if (!cache || cache.mtimeMs !== mtimeMs) {
+        cache = { mtimeMs, data: parseStore(await readFile(path, 'utf8')) }
+    }
+
+    return structuredClone(cache.data)
+}
+
+/**
+ * Write atomically (temp file + rename) so readers never see a partial file
+ */
+async function save(data) {
+    const path = getStorePath()
+    const temp = `${path}.${process.pid}.tmp`
+    await writeFile(temp, JSON.stringify(data, null, 2))
+    await rename(temp, path)
+    cache = null
+}
+
+/**
+ * Wait for the store lock, taking over a stale one
+ *
+ * @returns {Promise<string>} The owner token, for releaseLock()
+ * @throws {Error} SERVICE_UNAVAILABLE when it stays held for LOCK_TIMEOUT_MS
+ */
+async function acquireLock(lockPath) {
+    const token = newLockToken()
+    const deadline = Date.now() + LOCK_TIMEOUT_MS
+
+    while (!(await tryLock(lockPath, token))) {
+        if (await isStaleLock(lockPath, LOCK_TTL_MS)) {
+            await takeOverStaleLock(lockPath, LOCK_TTL_MS)
+        } else if (Date.now() >= deadline) {
+            throw apiError('SERVICE_UNAVAILABLE', 'The workspace store is busy. Please try again.')
+        } else {
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS))
+        }
+    }
+    return token
+}
+
+/**
+ * Change the store under its lock. `change` gets the current contents, read
+ * under the lock, and edits them in place; it returns null or false to leave
+ * the file as it is.
+ *
+ * @param {(data: object) => any} change
+ * @returns {Promise<any>} What `change` returned
+ */
+async function update(change) {
+    const path = getStorePath()
+    const lockPath = `${path}.lock`
+    await mkdir(dirname(path), { recursive: true })
+    const token = await acquireLock(lockPath)
+
+    try {
+        let data
+        try {
+            data = parseStore(await readFile(path, 'utf8'))
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error
+            data = { workspaces: [], keys: [] }
+        }
+
+        const result = await change(data)
+        if (result !== null && result !== false) await save(data)
+        return result
+    } finally {
+        if (!(await releaseLock(lockPath, token))) log.warn('Workspace store lock was taken over before release')
+    }
+}
+
+/**
+ * Validate workspace fields from an admin request.
+ * @param {object} input
+ * @param {boolean} partial - Updates may omit fields
+ * @returns {{ fields?: object, error?: string }}
+ */
+export function validateWorkspace(input, partial = false) {
+    const fields = {}
+
+    if (input.name !== undefined || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > MAX_NAME_LENGTH) {
+            return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters.` }
+        }
+        fields.name = input.name.trim()
+    }
+
+    if (input.allowedProviders !== undefined) {
+        if (input.allowedProviders !== null && (
+            !Array.isArray(input.allowedProviders) ||
+            !input.allowedProviders.every(id => typeof id === 'string' && getProvider(id))
+        )) {
+            return { error: 'allowedProviders must be null or an array of provider ids.' }
+        }
+        fields.allowedProviders = input.allowedProviders && input.allowedProviders.map(id => id.toLowerCase())
+    }
+
+    if (input.defaults !== undefined) {
+        const { preset, style, count, aspectRatio, ...unknown } = input.defaults || {}
+
+        if (Object.keys(unknown).length > 0) {
+            return { error: `Unknown defaults: ${Object.keys(unknown).join(', ')}. Allowed: preset, style, count, aspectRatio.` }
+        }
+        if (preset !== undefined && !getStylePreset(preset)) {
+            return { error: `Unknown style preset: ${preset}` }
+        }
+        if (style !== undefined && (typeof style !== 'string' || style.length > MAX_STYLE_LENGTH)) {
+            return { error: `defaults.style must be a string of at most ${MAX_STYLE_LENGTH} characters.` }
+        }
+        if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) {
+            return { error: `defaults.count must be an integer from 1 to ${MAX_COUNT}.` }
+        }
+        if (aspectRatio !== undefined && !ASPECT_RATIOS[aspectRatio]) {
+            return { error: `defaults.aspectRatio must be one of ${Object.keys(ASPECT_RATIOS).join(', ')}.` }
+        }
+
+        fields.defaults = Object.fromEntries(
+            Object.entries({ preset, style, count, aspectRatio }).filter(([, value]) => value !== undefined)
+        )
+    }
+
+    if (input.moderation !== undefined) {
+        if (input.moderation !== null && !MODERATION_LEVELS.includes(input.moderation)) {
+            return { error: `moderation must be null or one of ${MODERATION_LEVELS.join(', ')}.` }
+        }
+        fields.moderation = input.moderation
+    }
+
+    return { fields }
+}
+
+export async function listWorkspaces() {
+    const data = await load()
+    return data.workspaces.map(workspace => ({
+        ...workspace,
+        activeKeys: data.keys.filter(key => key.workspaceId === workspace.id && !key.revokedAt).length
+    }))
+}
+
+export async function getWorkspace(id) {
+    const data = await load()
+    return data.workspaces.find(workspace => workspace.id === id) || null
+}
+
+/**
+ * @throws {Error} With `code` INVALID_REQUEST/CONFLICT for invalid or duplicate ids
+ */
+export async function createWorkspace(id, fields) {
+    if (id !== undefined && (typeof id !== 'string' || !WORKSPACE_ID_PATTERN.test(id))) {
+        throw apiError('INVALID_REQUEST', 'id must be 2-40 lowercase letters, digits or dashes.')
+    }
+
+    const workspaceId = id || `ws-${randomBytes(4).toString('hex')}`
+
+    return update(data => {
+        if (data.workspaces.some(workspace => workspace.id === workspaceId)) {
+            throw apiError('CONFLICT', `Workspace ${workspaceId} already exists`)
+        }
+
+        const workspace = {
+            id: workspaceId,
+            name: fields.name,
+            allowedProviders: fields.allowedProviders ?? null,
+            defaults: fields.defaults ?? {},
+            moderation: fields.moderation ?? null,
+            createdAt: new Date().toISOString()
+        }
+
+        data.workspaces.push(workspace)
+        return workspace
+    })
+}
+
+export async function updateWorkspace(id, fields) {
+    return update(data => {
+        const workspace = data.workspaces.find(item => item.id === id)
+        if (!workspace) return null
+
+        Object.assign(workspace, fields)
+        return workspace
+    })
+}
+
+/**
+ * Delete a workspace and every key issued to it
+ */
+export async function deleteWorkspace(id) {
+    return update(data => {
+        const before = data.workspaces.length
+        data.workspaces = data.workspaces.filter(workspace => workspace.id !== id)
+        if (data.workspaces.length === before) return false
+
+        data.keys = data.keys.filter(key => key.workspaceId !== id)
+        return true
+    })
+}
+
+/**
+ * Key metadata without the hash
+ */
+function publicKey({ hash, ...key }) {
+    return key
+}
+
+export async function listKeys(workspaceId) {
+    const data = await load()
+    return data.keys
+        .filter(key => !workspaceId || key.workspaceId === workspaceId)
+        .map(publicKey)
+}
+
+/**
+ * Issue a new key. The plaintext `key` is only ever returned here.
+ */
+export async function createKey(workspaceId, name) {
+    const key = KEY_PREFIX + randomBytes(24).toString('base64url')
+
+    const record = await update(data => {
+        if (!data.workspaces.some(workspace => workspace.id === workspaceId)) return null
+
+        const created = {
+            id: `key_${randomBytes(6).toString('hex')}`,
+            workspaceId,
+            name: name || '',
+            prefix: key.slice(0, 8),
+            hash: hashKey(key),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        }
+        data.keys.push(created)
+        return created
+    })
+
+    return record && { ...publicKey(record), key }
+}
+
+export async function revokeKey(id) {
+    const record = await update(data => {
+        const found = data.keys.find(key => key.id === id)
+        if (!found) return null
+
+        found.revokedAt ||= new Date().toISOString()
+        return found
+    })
+    return record && publicKey(record)
+}
+
+/**
+ * Record that a key was used, unless it was revoked in the meantime
+ */
+async function touchKey(id) {
+    await update(data => {
+        const record = data.keys.find(key => key.id === id && !key.revokedAt)
+        if (!record) return null
+
+        record.lastUsedAt = new Date().toISOString()
+        return record
+    })
+}
+
+/**
+ * Resolve a plaintext key to its (active) key record and workspace
+ * @returns {Promise<{ key: object, workspace: object } | null>}
+ */
+export async function findByKey(key) {
+    const data = await load()
+    const hash = hashKey(key)
+    const record = data.keys.find(item => item.hash === hash && !item.revokedAt)
+    if (!record) return null
+
+    const workspace = data.workspaces.find(item => item.id === record.workspaceId)
+    if (!workspace) return null
+
+    const lastUsed = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0
+    if (Date.now() - lastUsed > LAST_USED_INTERVAL_MS) {
+        await touchKey(record.id).catch(error => log.warn('Failed to record key usage', { error }))
+    }
+
+    return { key: publicKey(record), workspace }
+}
+
+/**
+ * Whether a workspace may use a provider (no workspace = anonymous = any)
+ */
+export function isProviderAllowed(workspace, providerId) {
+    return !workspace?.allowedProviders || workspace.allowedProviders.includes(providerId)
+}
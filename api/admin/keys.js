@@ -0,0 +1,68 @@
+/**
+ * API Key Admin API Route
+ *
+ * Requires: Authorization: Bearer <ADMIN_TOKEN>
+ *
+ * GET    /api/admin/keys?workspace=<id>   → { keys: [...] } (all workspaces if omitted)
+ * POST   /api/admin/keys                  { workspaceId, name? } → 201 { key: { id, key: "pm_...", ... } }
+ * DELETE /api/admin/keys?id=<key id>      → { key } (revoked; kept for attribution)
+ *
+ * The plaintext key is only returned by POST. Listings carry metadata
+ * (id, workspaceId, name, prefix, createdAt, lastUsedAt, revokedAt).
+ */
+
+import { requireAdmin } from '../_lib/auth.js'
+import { sendError } from '../_lib/errors.js'
+import { setSecurityHeaders } from '../_lib/http.js'
+import { log, withRequestTrace } from '../_lib/logger.js'
+import { readJsonBody } from '../_lib/validation.js'
+import { createKey, listKeys, revokeKey } from '../_lib/workspaces.js'
+
+const METHODS = ['GET', 'POST', 'DELETE']
+const MAX_NAME_LENGTH = 100
+
+export default withRequestTrace('admin/keys', async function handler(req, res) {
+    setSecurityHeaders(res)
+    res.setHeader('Cache-Control', 'no-store')
+
+    if (!METHODS.includes(req.method)) {
+        res.setHeader('Allow', METHODS.join(', '))
+        return sendError(res, 'METHOD_NOT_ALLOWED')
+    }
+
+    if (!requireAdmin(req, res)) return
+
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({ keys: await listKeys(req.query?.workspace) })
+        }
+
+        if (req.method === 'POST') {
+            const body = readJsonBody(req, res)
+            if (!body) return
+
+            const { workspaceId, name } = body
+
+            if (typeof workspaceId !== 'string' || !workspaceId) {
+                return sendError(res, 'INVALID_REQUEST', 'Missing required field: workspaceId')
+            }
+            if (name !== undefined && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+                return sendError(res, 'INVALID_REQUEST', `name must be a string of at most ${MAX_NAME_LENGTH} characters.`)
+            }
+
+            const key = await createKey(workspaceId, name?.trim())
+            if (!key) return sendError(res, 'NOT_FOUND', `Workspace ${workspaceId} not found`)
+            return res.status(201).json({ key })
+        }
+
+        const id = req.query?.id
+        if (!id) return sendError(res, 'INVALID_REQUEST', 'Missing ?id=<key id>')
+
+        const key = await revokeKey(id)
+        if (!key) return sendError(res, 'NOT_FOUND', `Key ${id} not found`)
+        return res.status(200).json({ key })
+    } catch (error) {
+        log.error('Key admin failed', { error })
+        return sendError(res, 'INTERNAL', 'Workspace store error')
+    }
+})
@@ -0,0 +1,87 @@
+/**
+ * Workspace Admin API Route
+ *
+ * Requires: Authorization: Bearer <ADMIN_TOKEN>
+ *
+ * GET    /api/admin/workspaces            → { workspaces: [...] }
+ * GET    /api/admin/workspaces?id=<id>    → { workspace }
+ * POST   /api/admin/workspaces            { id?, name, allowedProviders?, defaults?, moderation? } → 201 { workspace }
+ * PATCH  /api/admin/workspaces?id=<id>    { name?, allowedProviders?, defaults?, moderation? } → { workspace }
+ * DELETE /api/admin/workspaces?id=<id>    → 204 (also deletes the workspace's keys)
+ *
+ * allowedProviders: provider ids (see api/_lib/providers), or null for all.
+ * defaults: { preset?, style?, count?, aspectRatio? } applied to /api/generate-image.
+ * moderation: "off" | "standard" | "strict", or null for MODERATION_LEVEL
+ * (see api/_lib/moderation).
+ */
+
+import { requireAdmin } from '../_lib/auth.js'
+import { ERROR_CODES, sendError } from '../_lib/errors.js'
+import { setSecurityHeaders } from '../_lib/http.js'
+import { log, withRequestTrace } from '../_lib/logger.js'
+import { readJsonBody } from '../_lib/validation.js'
+import {
+    createWorkspace,
+    deleteWorkspace,
+    getWorkspace,
+    listWorkspaces,
+    updateWorkspace,
+    validateWorkspace
+} from '../_lib/workspaces.js'
+
+const METHODS = ['GET', 'POST', 'PATCH', 'DELETE']
+
+export default withRequestTrace('admin/workspaces', async function handler(req, res) {
+    setSecurityHeaders(res)
+    res.setHeader('Cache-Control', 'no-store')
+
+    if (!METHODS.includes(req.method)) {
+        res.setHeader('Allow', METHODS.join(', '))
+        return sendError(res, 'METHOD_NOT_ALLOWED')
+    }
+
+    if (!requireAdmin(req, res)) return
+
+    const id = req.query?.id
+    let body = {}
+    if (req.method === 'POST' || req.method === 'PATCH') {
+        body = readJsonBody(req, res)
+        if (!body) return
+    }
+
+    try {
+        if (req.method === 'GET') {
+            if (!id) return res.status(200).json({ workspaces: await listWorkspaces() })
+
+            const workspace = await getWorkspace(id)
+            if (!workspace) return sendError(res, 'NOT_FOUND', `Workspace ${id} not found`)
+            return res.status(200).json({ workspace })
+        }
+
+        if (req.method === 'POST') {
+            const { fields, error } = validateWorkspace(body)
+            if (error) return sendError(res, 'INVALID_REQUEST', error)
+
+            const workspace = await createWorkspace(body.id, fields)
+            return res.status(201).json({ workspace })
+        }
+
+        if (!id) return sendError(res, 'INVALID_REQUEST', 'Missing ?id=<workspace id>')
+
+        if (req.method === 'PATCH') {
+            const { fields, error } = validateWorkspace(body, true)
+            if (error) return sendError(res, 'INVALID_REQUEST', error)
+
+            const workspace = await updateWorkspace(id, fields)
+            if (!workspace) return sendError(res, 'NOT_FOUND', `Workspace ${id} not found`)
+            return res.status(200).json({ workspace })
+        }
+
+        if (!(await deleteWorkspace(id))) return sendError(res, 'NOT_FOUND', `Workspace ${id} not found`)
+        return res.status(204).end()
+    } catch (error) {
+        log.error('Workspace admin failed', { error })
+        if (ERROR_CODES[error.code]) return sendError(res, error.code, error.message)
+        return sendError(res, 'INTERNAL', 'Workspace store error')
+    }
+})
@@ -6,15 +6,70 @@
  * Analyzes an image using:
  * 1. Google Gemini (Gemini 1.5 Flash/Pro) - Primary (Free/Fast)
  * 2. OpenAI (GPT-4o) - Secondary
+ *
+ * Vision providers are resolved through the shared registry (api/_lib/providers),
+ * limited to the workspace's allowed providers for requests with an API key.
+ *
+ * Request: { imageBase64: PNG, JPEG or WebP data URL, at most 3 MB decoded }
+ *
+ * Response: {
+ *   analysis: { objects, style, mood, lighting, framing, subjectPosition, text,
+ *               focalLength, depthOfField },
+ *   palette: [{ hex, weight }], suggestedPrompt, missing?: [...]
+ * }
+ * `palette` holds the dominant colors, most common first, measured from the
+ * decoded pixels (see api/_lib/palette.js) rather than asked of the model, so
+ * it is the same for the same image; it is given to the model so the suggested
+ * prompt names them. `text` lists legible text in the image and may be empty.
+ * If the image cannot be decoded, `palette` is null and listed in `missing`.
+ *
+ * The model's reply is parsed leniently and checked against these fields; an
+ * incomplete one is sent back once to be repaired (see
+ * shared/structuredOutput.js). Fields still missing after that are omitted
+ * and listed in `missing` (e.g. "analysis.mood"); a reply with none of them is
+ * INVALID_PROVIDER_RESPONSE.
+ *
+ * Errors use the shared envelope { error: { code, message, provider?, retryable, requestId } }
+ * (see api/_lib/errors.js):
+ * - INVALID_REQUEST (400): missing or malformed imageBase64
+ * - PAYLOAD_TOO_LARGE (413): image too large; UNSUPPORTED_MEDIA_TYPE (415): not a
+ *   PNG, JPEG or WebP image, or a body that is not JSON (see api/_lib/validation.js)
+ * - NO_PROVIDER (503): no vision provider configured
+ * - provider failures by cause, e.g. PROVIDER_QUOTA, CONTENT_POLICY or TIMEOUT
+ *
+ * With RESULT_CACHE=on, analyses of the same image are replayed from the cache
+ * (X-Cache: HIT | MISS); `cache: false` in the body skips the lookup.
  */
 
+import { authenticate } from './_lib/auth.js'
+import { isCacheBypassed, openCacheEntry, setCacheHeader } from './_lib/cache/index.js'
+import { getConfig } from './_lib/config.js'
+import { apiError, sendError, sendFailure } from './_lib/errors.js'
+import { setSecurityHeaders } from './_lib/http.js'
+import { log, withRequestTrace } from './_lib/logger.js'
+import { getCircuitState } from './_lib/outbound.js'
+import { extractPalette } from './_lib/palette.js'
+import { enforceRateLimit } from './_lib/rateLimit/index.js'
+import { getConfiguredProviders, invoke } from './_lib/providers/index.js'
+import { checkImageDataUrl, readJsonBody } from './_lib/validation.js'
+import { isProviderAllowed } from './_lib/workspaces.js'
+import { IMAGE_ANALYSIS_SCHEMA, parseWithRepair } from '../shared/structuredOutput.js'
+
+// Fail fast on invalid provider settings
+getConfig()
+
 const SYSTEM_PROMPT = `Analyze the provided image and extract:
 1. Objects: List the main objects, subjects, and elements visible
 2. Style: Describe the visual/artistic style
 3. Mood: Describe the emotional mood and atmosphere
 4. Lighting: Describe the lighting conditions
+5. Framing: The shot type and framing (e.g. close-up, wide shot, symmetrical, low angle)
+6. Subject position: Where the main subject sits on the rule-of-thirds grid (e.g. "left third, on the upper intersection")
+7. Text: Any legible text in the image, word for word (an empty list if there is none)
+8. Focal length: How the lens feels (e.g. "wide-angle, around 24mm" or "telephoto compression")
+9. Depth of field: Shallow or deep, and what is in focus
 
-Then generate a detailed prompt suitable for DALL-E/Flux.
+Then generate a detailed prompt suitable for DALL-E/Flux that also reproduces the composition, camera and colors.
 
 Respond ONLY with valid JSON:
 {
@@ -22,146 +77,116 @@ Respond ONLY with valid JSON:
     "objects": ["obj1", "obj2"],
     "style": "...",
     "mood": "...",
-    "lighting": "..."
+    "lighting": "...",
+    "framing": "...",
+    "subjectPosition": "...",
+    "text": [],
+    "focalLength": "...",
+    "depthOfField": "..."
   },
   "suggestedPrompt": "..."
 }`
 
-function setSecurityHeaders(res) {
-    res.setHeader('X-Content-Type-Options', 'nosniff')
-    res.setHeader('X-Frame-Options', 'DENY')
-    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin')
-}
+/**
+ * The system prompt with the measured palette, so the suggested prompt names
+ * the image's actual colors
+ */
+function buildSystemPrompt(palette) {
+    if (!palette?.length) return SYSTEM_PROMPT
+    const colors = palette.map(({ hex, weight }) => `${hex} (${Math.round(weight * 100)}%)`).join(', ')
+    return `${SYSTEM_PROMPT}
 
-// Helper to clean base64 string
-function getBase64Data(dataUrl) {
-    return dataUrl.split(',')[1]
+The image's dominant colors, measured from its pixels: ${colors}. Describe them by name (not hex codes) in the suggested prompt.`
 }
 
-function getMimeType(dataUrl) {
-    return dataUrl.substring(dataUrl.indexOf(':') + 1, dataUrl.indexOf(';'))
+/**
+ * The image's palette, or null when it cannot be decoded (the analysis
+ * goes ahead without it)
+ */
+async function readPalette(imageBase64) {
+    try {
+        return await extractPalette(imageBase64)
+    } catch (error) {
+        log.warn('Palette extraction failed', { error })
+        return null
+    }
 }
 
-async function analyzeWithGemini(apiKey, imageBase64) {
-    // List of models to try in order of preference/stability
-    const models = [
-        'gemini-1.5-flash-001', // Stable version
-        'gemini-1.5-flash-002', // Newer stable
-        'gemini-1.5-flash',     // Alias
-        'gemini-1.5-flash-8b',  // High efficiency
-        'gemini-2.0-flash-exp', // Experimental (Good but hits quota)
-        'gemini-1.5-pro'        // Fallback
-    ]
-
-    const mimeType = getMimeType(imageBase64)
-    const rawBase64 = getBase64Data(imageBase64)
-    let lastError = null
-
-    for (const model of models) {
-        try {
-            console.log(`Trying Gemini model: ${model}...`)
-            const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`
-
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [
-                            { text: SYSTEM_PROMPT },
-                            {
-                                inline_data: {
-                                    mime_type: mimeType,
-                                    data: rawBase64
-                                }
-                            }
-                        ]
-                    }],
-                    generationConfig: {
-                        response_mime_type: "application/json"
-                    }
-                })
-            })
-
-            if (!response.ok) {
-                const err = await response.json().catch(() => ({}))
-                throw new Error(err.error?.message || `Status ${response.status}`)
-            }
-
-            const data = await response.json()
-            const text = data.candidates?.[0]?.content?.parts?.[0]?.text
-            if (!text) throw new Error('Empty response')
-
-            return JSON.parse(text)
-
-        } catch (e) {
-            console.warn(`Gemini model ${model} failed: ${e.message}`)
-            lastError = e
-            // Continue to next model
-        }
-    }
+/**
+ * Analyze the image, asking the provider once to repair an incomplete reply.
+ * Fields still missing after that are listed in `missing`, not made up.
+ *
+ * @returns {Promise<{ analysis: object, palette: object[]|null, suggestedPrompt: string, missing?: string[] }>}
+ */
+async function analyze(provider, imageBase64, context) {
+    const palette = await readPalette(imageBase64)
+    const input = { imageBase64, systemPrompt: buildSystemPrompt(palette) }
 
-    throw lastError || new Error('All Gemini models failed')
-}
+    const reply = await invoke(provider, 'vision', input, context)
+    const parsed = await parseWithRepair(reply, IMAGE_ANALYSIS_SCHEMA, instruction =>
+        invoke(provider, 'vision', { ...input, followUp: { reply, instruction } }, context)
+    )
 
-async function analyzeWithOpenAI(apiKey, imageSource, isUrl) {
-    const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
-    const imageContent = isUrl
-        ? { type: 'image_url', image_url: { url: imageSource } }
-        : { type: 'image_url', image_url: { url: imageSource } }
-
-    const response = await fetch(`${baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: 'gpt-4o',
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                {
-                    role: 'user',
-                    content: [
-                        { type: 'text', text: 'Analyze this image.' },
-                        imageContent
-                    ]
-                }
-            ],
-            response_format: { type: 'json_object' }
-        })
-    })
-
-    if (!response.ok) throw new Error(`OpenAI Vision error ${response.status}`)
-    const data = await response.json()
-    return JSON.parse(data.choices[0].message.content)
+    if (parsed.repaired) {
+        log.warn('Vision reply repaired', { provider: provider.id, fixed: parsed.missing.length === 0, missing: parsed.missing })
+    }
+    if (parsed.repairError) {
+        log.warn('Vision reply repair failed', { provider: provider.id, error: parsed.repairError, missing: parsed.missing })
+    }
+    if (!parsed.value || Object.keys(parsed.value).length === 0) {
+        throw apiError('INVALID_PROVIDER_RESPONSE')
+    }
+
+    const missing = palette ? parsed.missing : ['palette', ...parsed.missing]
+    return {
+        analysis: parsed.value.analysis || {},
+        palette,
+        suggestedPrompt: parsed.value.suggestedPrompt || '',
+        ...(missing.length > 0 && { missing })
+    }
 }
 
-export default async function handler(req, res) {
+export default withRequestTrace('analyze-image', async function handler(req, res) {
     setSecurityHeaders(res)
-    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' })
-    if (!req.body?.imageBase64) return res.status(400).json({ error: 'imageBase64 required' })
+    if (req.method !== 'POST') return sendError(res, 'METHOD_NOT_ALLOWED')
+    if (!(await authenticate(req, res))) return
+
+    const body = readJsonBody(req, res)
+    if (!body) return
+
+    const { value: imageBase64, code, error: imageError } = checkImageDataUrl(body.imageBase64, { field: 'imageBase64' })
+    if (imageError) return sendError(res, code, imageError)
 
-    const { imageBase64 } = req.body
+    const limit = await enforceRateLimit(req, res, 'analyze-image')
+    if (!limit) return
 
     try {
-        let result;
-
-        // Priority: Gemini -> OpenAI
-        if (process.env.GOOGLE_API_KEY) {
-            console.log('Using Gemini Vision...')
-            result = await analyzeWithGemini(process.env.GOOGLE_API_KEY, imageBase64)
-        } else if (process.env.OPENAI_API_KEY) {
-            console.log('Using OpenAI Vision...')
-            result = await analyzeWithOpenAI(process.env.OPENAI_API_KEY, imageBase64, false)
-        } else {
-            throw new Error('No Vision API keys found (GOOGLE_API_KEY or OPENAI_API_KEY)')
+        // Priority: registry order (Gemini -> OpenAI), passing over providers
+        // whose circuit breaker is open (see _lib/outbound.js)
+        const allowed = getConfiguredProviders('vision').filter(p => isProviderAllowed(req.workspace, p.id))
+        const provider = allowed.find(p => getCircuitState(p.id) !== 'open') || allowed[0]
+        if (!provider) {
+            throw apiError('NO_PROVIDER', 'No Vision API keys found (GOOGLE_API_KEY or OPENAI_API_KEY)')
         }
 
+        // The palette is derived from the image, so it needs no key of its own
+        const cache = openCacheEntry(
+            'vision',
+            { provider: provider.id, workspaceId: req.workspace?.id, imageBase64, systemPrompt: SYSTEM_PROMPT },
+            { bypass: isCacheBypassed(req) }
+        )
+
+        const cached = await cache.get()
+        if (cache.enabled) setCacheHeader(res, cached !== undefined)
+        if (cached !== undefined) return res.status(200).json(cached)
+
+        const result = await analyze(provider, imageBase64, { route: 'analyze-image', workspace: req.workspace })
+        // Incomplete analyses get another chance next time
+        if (!result.missing) await cache.set(result)
         return res.status(200).json(result)
 
     } catch (error) {
-        console.error('Analysis failed:', error.message)
-        return res.status(500).json({ error: error.message || 'Analysis failed' })
+        log.error('Analysis failed', { error })
+        return sendFailure(res, error)
     }
-}
+})
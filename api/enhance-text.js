@@ -8,7 +8,9 @@
  *
  * Request:
  * - Content-Type: application/json
- * - Body: { prompt: string }
+ * - Body: { prompt: string, candidates?: number (1-4), directions?: string[] }
+ * - Refine: { prompt?: string, previous: { analysis, enhancedPrompt }, instruction?: string }
+ * - Query: ?stream=1 to receive Server-Sent Events instead of a single JSON body
  *
  * Response:
  * {
@@ -17,9 +19,50 @@
  *     "tone": "formal | casual | creative | dramatic | etc.",
  *     "style": "Art style, realism, lighting, mood requirements"
  *   },
- *   "enhancedPrompt": "Rewritten high-quality image generation prompt"
+ *   "enhancedPrompt": "Rewritten high-quality image generation prompt",
+ *   "missing"?: ["analysis.tone"]
  * }
  *
+ * Replies are parsed leniently (JSON in code fences or prose is found) and
+ * checked against the expected fields. An incomplete reply is sent back to
+ * the model once to be repaired (see shared/structuredOutput.js); analysis
+ * fields it still leaves out are listed in `missing` and omitted, never made
+ * up. Without an enhanced prompt the reply is INVALID_PROVIDER_RESPONSE.
+ *
+ * With candidates > 1, each candidate takes the prompt in a different creative
+ * direction (photorealistic, illustrative, cinematic, painterly unless
+ * `directions` is given). The top-level fields mirror the first candidate so
+ * single-result clients keep working:
+ * {
+ *   "analysis": {...}, "enhancedPrompt": "...",
+ *   "candidates": [{ "direction": "photorealistic", "analysis": {...}, "enhancedPrompt": "..." }]
+ * }
+ *
+ * Refinement sends the user's (possibly hand-edited) analysis and prompt back
+ * as the assistant's previous turn, followed by the instruction as a new user
+ * turn (e.g. "make it moodier"). The response keeps the same analysis keys as
+ * `previous.analysis`, so the Image Workflow's analysis (objects, style, mood,
+ * lighting, composition, visible text and camera cues) can be refined too.
+ *
+ * Streaming response (text/event-stream):
+ * - event: delta  data: { "content": "<raw JSON text delta>" }
+ * - event: done   data: { "analysis": {...}, "enhancedPrompt": "...", "missing"?: [...] }
+ * - event: error  data: { "error": { "code": "...", "message": "...", ... } }
+ *
+ * Errors, including the stream's error event, use the shared envelope
+ * { error: { code, message, provider?, retryable, requestId } } (see
+ * api/_lib/errors.js): INVALID_REQUEST, NO_PROVIDER, FORBIDDEN (no text
+ * provider allowed for the workspace), INVALID_PROVIDER_RESPONSE, or the
+ * provider failure by cause (e.g. PROVIDER_QUOTA, CONTENT_POLICY, TIMEOUT).
+ * The prompt, instruction and previous prompt pass the moderation gate first
+ * (api/_lib/moderation); a flagged one is CONTENT_POLICY with `categories`.
+ *
+ * Rate limited per client (RATE_LIMITED, see api/_lib/rateLimit); each candidate counts once,
+ * and is refunded when it is blocked or fails.
+ * With RESULT_CACHE=on, repeated requests replay the cached completion
+ * (X-Cache: HIT | MISS); `cache: false` in the body skips the lookup.
+ * Requests with an API key only use their workspace's allowed providers.
+ *
  * Environment Variables:
  * - OPENAI_API_KEY: API key (OpenAI, Hugging Face, etc.) - REQUIRED
  * - OPENAI_BASE_URL: Custom base URL (default: https://api.openai.com/v1)
@@ -29,8 +72,26 @@
  * - OpenAI: OPENAI_MODEL=gpt-4o-mini
  * - Hugging Face: OPENAI_MODEL=meta-llama/Meta-Llama-3.1-70B-Instruct,
  *                 OPENAI_BASE_URL=https://api-inference.huggingface.co/v1
+ *
+ * Text providers are resolved through the shared registry (api/_lib/providers).
  */
 
+import { authenticate } from './_lib/auth.js'
+import { isCacheBypassed, normalizePrompt, openCacheEntry, setCacheHeader } from './_lib/cache/index.js'
+import { getConfig } from './_lib/config.js'
+import { apiError, describeError, errorBody, sendError, sendFailure } from './_lib/errors.js'
+import { sendEvent, setSecurityHeaders, startEventStream } from './_lib/http.js'
+import { log, withRequestTrace } from './_lib/logger.js'
+import { moderatePrompt } from './_lib/moderation/index.js'
+import { enforceRateLimit } from './_lib/rateLimit/index.js'
+import { getConfiguredProviders, invoke, supports } from './_lib/providers/index.js'
+import { checkText, MAX_PROMPT_LENGTH, readJsonBody } from './_lib/validation.js'
+import { isProviderAllowed } from './_lib/workspaces.js'
+import { parseStructured, parseWithRepair } from '../shared/structuredOutput.js'
+
+// Fail fast on invalid provider settings
+getConfig()
+
 const SYSTEM_PROMPT = `You are an expert prompt engineer specializing in image generation prompts.
 
 Your task is to analyze user input and transform it into a high-quality, detailed image generation prompt.
@@ -59,161 +120,400 @@ Guidelines for enhanced prompts:
 - Add composition details when relevant
 - Keep prompts focused and coherent`
 
+const REFINE_PROMPT = `You are an expert prompt engineer iterating on an image generation prompt together with the user.
+
+Your previous reply holds the current analysis and prompt, including any edits the user made by hand. Keep the user's edits unless the new instruction contradicts them. Apply the instruction, update the analysis to match, and keep the prompt detailed, specific and coherent.
+
+Respond ONLY with valid JSON containing "analysis" (with exactly the same keys as before, each with the same type) and "enhancedPrompt".`
+
+// Reply schema of a fresh enhancement (see shared/structuredOutput.js)
+const ENHANCEMENT_SCHEMA = {
+    analysis: { intent: 'string', tone: 'string', style: 'string' },
+    enhancedPrompt: 'string'
+}
+
+const MAX_INSTRUCTION_LENGTH = 1000
+const MAX_ANALYSIS_KEYS = 12
+const MAX_CANDIDATES = 4
+const MAX_DIRECTION_LENGTH = 100
+
+// Default creative directions for multi-candidate requests, in order
+const DIRECTIONS = ['photorealistic', 'illustrative', 'cinematic', 'painterly']
+
 /**
- * Set security headers
+ * Build the chat request for a prompt, optionally steered in a creative direction
  */
-function setSecurityHeaders(res) {
-    res.setHeader('X-Content-Type-Options', 'nosniff')
-    res.setHeader('X-Frame-Options', 'DENY')
-    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin')
+function buildRequest(prompt, direction) {
+    const system = direction
+        ? `${SYSTEM_PROMPT}\n\nCreative direction: take the enhanced prompt in a ${direction} direction, and reflect it in the analysis style.`
+        : SYSTEM_PROMPT
+
+    return {
+        messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+        ],
+        temperature: 0.7,
+        maxTokens: 1000
+    }
 }
 
 /**
- * Call the LLM API to analyze and enhance the prompt
+ * Build a follow-up turn that refines a previous (possibly edited) result
  */
-async function callLLM(prompt) {
-    const apiKey = process.env.OPENAI_API_KEY
-    const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
-    const model = process.env.OPENAI_MODEL || 'gpt-4o-mini'
-
-    if (!apiKey) {
-        throw new Error('OPENAI_API_KEY environment variable is not set')
-    }
-
-    const response = await fetch(`${baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-            model,
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                { role: 'user', content: prompt }
-            ],
-            temperature: 0.7,
-            max_tokens: 1000,
-            response_format: { type: 'json_object' }
-        })
-    })
+function buildRefineRequest(prompt, previous, instruction) {
+    const messages = [{ role: 'system', content: REFINE_PROMPT }]
+    if (prompt) messages.push({ role: 'user', content: prompt })
+    messages.push(
+        { role: 'assistant', content: JSON.stringify(previous) },
+        { role: 'user', content: instruction || 'Polish the prompt, keeping my edits.' }
+    )
+
+    return {
+        messages,
+        temperature: 0.7,
+        maxTokens: 1000
+    }
+}
+
+/**
+ * Check a refine request's `previous` payload
+ *
+ * @returns {string|null} Validation error, or null
+ */
+function validatePrevious(previous) {
+    if (!previous || typeof previous !== 'object' || Array.isArray(previous)) {
+        return 'Invalid field type: previous must be an object.'
+    }
+
+    const { analysis, enhancedPrompt } = previous
 
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}))
-        const errorMessage = errorData.error?.message || `API request failed with status ${response.status}`
-        throw new Error(errorMessage)
+    if (typeof enhancedPrompt !== 'string' || !enhancedPrompt.trim()) {
+        return 'previous.enhancedPrompt must be a non-empty string.'
     }
 
-    const data = await response.json()
-    const content = data.choices?.[0]?.message?.content
+    if (enhancedPrompt.length > MAX_PROMPT_LENGTH) {
+        return 'previous.enhancedPrompt too long. Maximum 5,000 characters allowed.'
+    }
+
+    if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+        return 'previous.analysis must be an object.'
+    }
 
-    if (!content) {
-        throw new Error('No response content from LLM')
+    const keys = Object.keys(analysis)
+    if (keys.length === 0 || keys.length > MAX_ANALYSIS_KEYS) {
+        return `previous.analysis must have between 1 and ${MAX_ANALYSIS_KEYS} fields.`
     }
 
-    // Parse and validate the JSON response
-    const parsed = JSON.parse(content)
+    const isField = value => typeof value === 'string' ||
+        (Array.isArray(value) && value.every(item => typeof item === 'string'))
+    if (!keys.every(key => isField(analysis[key]))) {
+        return 'previous.analysis values must be strings or arrays of strings.'
+    }
 
-    // Validate required fields
-    if (!parsed.analysis || !parsed.enhancedPrompt) {
-        throw new Error('Invalid response format from LLM')
+    if (JSON.stringify(analysis).length > MAX_PROMPT_LENGTH) {
+        return 'previous.analysis too long.'
     }
 
-    if (!parsed.analysis.intent || !parsed.analysis.tone || !parsed.analysis.style) {
-        throw new Error('Missing required analysis fields from LLM')
+    return null
+}
+
+/**
+ * Resolve the first configured provider for a text capability
+ * (limited to the workspace's allowed providers, if any)
+ */
+function getTextProvider(capability, workspace) {
+    const configured = getConfiguredProviders(capability)
+    const provider = configured.find(p => isProviderAllowed(workspace, p.id))
+
+    if (!provider) {
+        throw configured.length > 0
+            ? apiError('FORBIDDEN', 'No text provider is enabled for this workspace.')
+            : apiError('NO_PROVIDER', 'Server configuration error. API key not configured.')
     }
 
-    return parsed
+    return provider
+}
+
+/**
+ * Cache entry for a chat request's raw completion (shared by streamed and
+ * non-streamed calls to the same provider)
+ */
+function openTextCache(provider, request, { workspace, bypassCache }) {
+    return openCacheEntry('text', {
+        provider: provider.id,
+        workspaceId: workspace?.id,
+        messages: request.messages.map(({ role, content }) => ({ role, content: normalizePrompt(content) })),
+        temperature: request.temperature,
+        maxTokens: request.maxTokens
+    }, { bypass: bypassCache })
+}
+
+/**
+ * The reply schema of a refinement: the previous analysis keys, each with
+ * the same type
+ */
+function getRefineSchema(previous) {
+    const analysis = Object.fromEntries(Object.entries(previous.analysis).map(([key, value]) =>
+        // An empty list (e.g. no visible text) may stay empty
+        [key, Array.isArray(value) ? (value.length > 0 ? 'string[]' : 'string[]?') : 'string']
+    ))
+    return { analysis, enhancedPrompt: 'string' }
+}
+
+/**
+ * Ask the provider to fix its reply, as a follow-up turn to the request
+ */
+function createRepair(provider, request, content, workspace) {
+    if (!supports(provider, 'text')) return null
+    return instruction => invoke(provider, 'text', {
+        ...request,
+        messages: [
+            ...request.messages,
+            { role: 'assistant', content },
+            { role: 'user', content: instruction }
+        ]
+    }, { route: 'enhance-text', workspace })
+}
+
+/**
+ * Call the LLM API to analyze and enhance the prompt
+ * @returns {Promise<object>} Parsed result plus `cacheHit` (null while the cache is off)
+ */
+async function callLLM(request, schema = ENHANCEMENT_SCHEMA, { workspace = null, bypassCache = false } = {}) {
+    const provider = getTextProvider('text', workspace)
+    const cache = openTextCache(provider, request, { workspace, bypassCache })
+
+    const cached = await cache.get()
+    if (cached !== undefined) return { ...(await parseEnhancement(cached, schema)), cacheHit: true }
+
+    const content = await invoke(provider, 'text', request, { route: 'enhance-text', workspace })
+    const { reply, ...result } = await parseEnhancement(content, schema, createRepair(provider, request, content, workspace))
+    // Only complete replies are worth replaying
+    if (!result.missing) await cache.set(reply)
+    return { ...result, cacheHit: cache.enabled ? false : null }
 }
 
-export default async function handler(req, res) {
+/**
+ * Generate one candidate per direction in parallel.
+ * Failed candidates are dropped; throws only if every candidate fails.
+ */
+async function callLLMCandidates(prompt, directions, context = {}) {
+    const results = await Promise.allSettled(
+        directions.map(direction => callLLM(buildRequest(prompt, direction), ENHANCEMENT_SCHEMA, context))
+    )
+
+    const candidates = results
+        .map((result, index) => result.status === 'fulfilled' && {
+            direction: directions[index],
+            analysis: result.value.analysis,
+            enhancedPrompt: result.value.enhancedPrompt,
+            ...(result.value.missing && { missing: result.value.missing }),
+            cacheHit: result.value.cacheHit
+        })
+        .filter(Boolean)
+
+    if (candidates.length === 0) throw results[0].reason
+    return candidates
+}
+
+/**
+ * Stream the LLM response as SSE deltas, then send the parsed result.
+ * A cached completion is replayed as a single delta.
+ *
+ * @returns {Promise<boolean>} Whether the stream ended with a result, not an error event
+ */
+async function streamLLM(request, res, schema = ENHANCEMENT_SCHEMA, { workspace = null, bypassCache = false } = {}) {
+    // Resolve before opening the stream so config errors still get a JSON status
+    const provider = getTextProvider('textStream', workspace)
+    const cache = openTextCache(provider, request, { workspace, bypassCache })
+    const cached = await cache.get()
+
+    if (cache.enabled) setCacheHeader(res, cached !== undefined)
+    startEventStream(res)
+    let content = ''
+
+    try {
+        if (cached !== undefined) {
+            content = cached
+            sendEvent(res, 'delta', { content })
+        } else {
+            for await (const delta of invoke(provider, 'textStream', request, { route: 'enhance-text', workspace })) {
+                content += delta
+                sendEvent(res, 'delta', { content: delta })
+            }
+        }
+
+        // A cached reply is already complete; a repaired one arrives whole, after the deltas
+        const repair = cached === undefined ? createRepair(provider, request, content, workspace) : null
+        const { reply, ...result } = await parseEnhancement(content, schema, repair)
+        if (cached === undefined && !result.missing) await cache.set(reply)
+        sendEvent(res, 'done', result)
+        return true
+    } catch (error) {
+        log.error('Enhance-text stream failed', { error })
+        const { code, message, ...details } = describeError(error)
+        sendEvent(res, 'error', errorBody(code, message, details))
+        return false
+    } finally {
+        res.end()
+    }
+}
+
+/**
+ * Parse the LLM's reply against the schema, asking for one repair when it is
+ * incomplete (see shared/structuredOutput.js). Analysis fields still missing
+ * after that are listed in `missing` rather than filled in; a reply without
+ * an enhanced prompt is INVALID_PROVIDER_RESPONSE.
+ *
+ * @param {(instruction: string) => Promise<string>|null} [repair] - See createRepair()
+ * @returns {Promise<{ analysis, enhancedPrompt, missing?: string[], reply: string }>}
+ *   reply: the raw reply the result came from
+ */
+async function parseEnhancement(content, schema, repair = null) {
+    const parsed = repair
+        ? await parseWithRepair(content, schema, repair)
+        : { ...parseStructured(content, schema), reply: content }
+
+    if (parsed.repaired) {
+        log.warn('LLM reply repaired', { fixed: parsed.missing.length === 0, missing: parsed.missing })
+    }
+    if (parsed.repairError) {
+        log.warn('LLM reply repair failed', { error: parsed.repairError, missing: parsed.missing })
+    }
+    if (!parsed.value?.enhancedPrompt) {
+        throw apiError('INVALID_PROVIDER_RESPONSE')
+    }
+
+    return {
+        analysis: parsed.value.analysis || {},
+        enhancedPrompt: parsed.value.enhancedPrompt,
+        ...(parsed.missing.length > 0 && { missing: parsed.missing }),
+        reply: parsed.reply
+    }
+}
+
+export default withRequestTrace('enhance-text', async function handler(req, res) {
     // Set security headers
     setSecurityHeaders(res)
 
     // Only allow POST requests
     if (req.method !== 'POST') {
         res.setHeader('Allow', 'POST')
-        return res.status(405).json({
-            error: 'Method not allowed. Use POST.'
-        })
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed. Use POST.')
     }
 
-    // Validate Content-Type
-    const contentType = req.headers['content-type'] || ''
-    if (!contentType.includes('application/json')) {
-        return res.status(415).json({
-            error: 'Unsupported Media Type. Use application/json.'
-        })
-    }
+    if (!(await authenticate(req, res))) return
 
-    // Validate request body
-    if (!req.body || typeof req.body !== 'object') {
-        return res.status(400).json({
-            error: 'Invalid request body.'
-        })
+    // Validate Content-Type and request body (UNSUPPORTED_MEDIA_TYPE / INVALID_REQUEST)
+    const body = readJsonBody(req, res)
+    if (!body) return
+
+    const { previous } = body
+    const refining = previous !== undefined
+
+    // Validate prompt field (optional when refining a previous result)
+    const { value: trimmedPrompt, error: promptError } = checkText(body.prompt, { required: !refining })
+    if (promptError) {
+        return sendError(res, 'INVALID_REQUEST', promptError)
     }
 
-    const { prompt } = req.body
+    let instruction = ''
+    if (refining) {
+        const previousError = validatePrevious(previous)
+        if (previousError) {
+            return sendError(res, 'INVALID_REQUEST', previousError)
+        }
 
-    // Validate prompt field
-    if (prompt === undefined || prompt === null) {
-        return res.status(400).json({
-            error: 'Missing required field: prompt'
-        })
+        const checked = checkText(body.instruction, { field: 'instruction', required: false, maxLength: MAX_INSTRUCTION_LENGTH })
+        if (checked.error) {
+            return sendError(res, 'INVALID_REQUEST', checked.error)
+        }
+        instruction = checked.value
     }
 
-    if (typeof prompt !== 'string') {
-        return res.status(400).json({
-            error: 'Invalid field type: prompt must be a string.'
-        })
+    const { candidates = 1, directions } = body
+
+    if (!Number.isInteger(candidates) || candidates < 1 || candidates > MAX_CANDIDATES) {
+        return sendError(res, 'INVALID_REQUEST', `Invalid candidates: must be an integer from 1 to ${MAX_CANDIDATES}.`)
     }
 
-    const trimmedPrompt = prompt.trim()
+    if (refining && candidates > 1) {
+        return sendError(res, 'INVALID_REQUEST', 'Refinement returns a single candidate only.')
+    }
 
-    if (trimmedPrompt.length === 0) {
-        return res.status(400).json({
-            error: 'Prompt cannot be empty.'
-        })
+    if (directions !== undefined && (
+        !Array.isArray(directions) ||
+        directions.length < candidates ||
+        !directions.every(d => typeof d === 'string' && d.trim() && d.length <= MAX_DIRECTION_LENGTH)
+    )) {
+        return sendError(res, 'INVALID_REQUEST', `Invalid directions: must be an array of at least ${candidates} non-empty strings.`)
     }
 
-    if (trimmedPrompt.length > 5000) {
-        return res.status(400).json({
-            error: 'Prompt too long. Maximum 5,000 characters allowed.'
-        })
+    const stream = req.query?.stream === '1' || req.query?.stream === 'true'
+
+    if (stream && candidates > 1) {
+        return sendError(res, 'INVALID_REQUEST', 'Streaming supports a single candidate only.')
     }
 
-    try {
-        // Call LLM to analyze and enhance the prompt
-        const result = await callLLM(trimmedPrompt)
+    // Refinements keep the caller's analysis keys; fresh enhancements use intent/tone/style
+    const request = refining
+        ? buildRefineRequest(trimmedPrompt, previous, instruction)
+        : buildRequest(trimmedPrompt)
+    const schema = refining ? getRefineSchema(previous) : ENHANCEMENT_SCHEMA
 
-        return res.status(200).json({
-            analysis: result.analysis,
-            enhancedPrompt: result.enhancedPrompt
+    // Each candidate is a separate LLM call, charged up front and refunded when it fails
+    const limit = await enforceRateLimit(req, res, 'enhance-text', candidates)
+    if (!limit) return
+
+    const context = { workspace: req.workspace, bypassCache: isCacheBypassed(req) }
+
+    try {
+        // Before any provider sees it (or the cache answers)
+        // Directions go into the system prompt and the analysis into the refine turn
+        await moderatePrompt([
+            trimmedPrompt,
+            instruction,
+            previous?.enhancedPrompt,
+            ...Object.values(previous?.analysis || {}).flat(),
+            ...(directions || [])
+        ], {
+            route: 'enhance-text',
+            workspace: req.workspace
         })
-    } catch (error) {
-        console.error('Error in enhance-text:', error.message)
 
-        // Check for specific error types
-        if (error.message.includes('OPENAI_API_KEY')) {
-            return res.status(500).json({
-                error: 'Server configuration error. API key not configured.'
-            })
+        if (stream) {
+            if (!(await streamLLM(request, res, schema, context))) await limit.refund(candidates)
+            return
         }
 
-        if (error.message.includes('API request failed')) {
-            return res.status(502).json({
-                error: 'Failed to connect to AI service. Please try again.'
+        if (candidates > 1) {
+            const chosen = (directions || DIRECTIONS).slice(0, candidates).map(d => d.trim())
+            const results = await callLLMCandidates(trimmedPrompt, chosen, context)
+            await limit.refund(candidates - results.length)
+
+            setCacheHeader(res, ...results.map(result => result.cacheHit))
+            const list = results.map(({ cacheHit: _cacheHit, ...candidate }) => candidate)
+            return res.status(200).json({
+                analysis: list[0].analysis,
+                enhancedPrompt: list[0].enhancedPrompt,
+                ...(list[0].missing && { missing: list[0].missing }),
+                candidates: list
             })
         }
 
-        if (error instanceof SyntaxError || error.message.includes('Invalid response')) {
-            return res.status(502).json({
-                error: 'Invalid response from AI service. Please try again.'
-            })
-        }
+        // Call LLM to analyze and enhance (or refine) the prompt
+        const result = await callLLM(request, schema, context)
+        setCacheHeader(res, result.cacheHit)
 
-        return res.status(500).json({
-            error: 'Internal server error. Please try again later.'
+        return res.status(200).json({
+            analysis: result.analysis,
+            enhancedPrompt: result.enhancedPrompt,
+            ...(result.missing && { missing: result.missing })
         })
+    } catch (error) {
+        log.error('Enhance-text failed', { error })
+        await limit.refund(candidates)
+        return sendFailure(res, error)
     }
-}
+})
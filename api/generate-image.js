@@ -8,237 +8,131 @@
  * 2. Clipdrop (SDXL) - Secondary (High Quality, 100 credits)
  * 3. Hugging Face (FLUX.1-dev) - Tertiary
  * 4. OpenAI / Together (If available)
- * 
- * NOTE: If all fails, returns 503 so Frontend can fallback to Puter.js
- */
-
-function setSecurityHeaders(res) {
-    res.setHeader('X-Content-Type-Options', 'nosniff')
-    res.setHeader('X-Frame-Options', 'DENY')
-    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin')
-}
-
-function buildPrompt(prompt, style) {
-    if (!style) return prompt
-    return `${prompt}. Image style: ${style}`
-}
-
-/**
- * Google Gemini (Imagen 3)
+ *
+ * Providers are resolved through the shared registry (api/_lib/providers)
+ * and tried in order until one succeeds. Set IMAGE_PROVIDER_CHAIN to a
+ * comma-separated list (e.g. "together,huggingface,openai") to change the order.
+ *
+ * Request: { prompt, style?, preset?, count?, aspectRatio? | width?/height?, seed?, negativePrompt?, initImage?, strength?, quality? }
+ * (see api/_lib/imageOptions.js for accepted values, GET /api/styles for presets)
+ *
+ * Requests with an API key use their workspace's allowed providers, and its
+ * defaults for any of preset/style, count and aspectRatio the request omits
+ * (see api/_lib/workspaces.js and api/_lib/generation.js).
+ *
+ * With an initImage, only image-to-image capable providers are tried. If none
+ * is configured, generation falls back to text-only and the response says so.
+ *
+ * For long generations use /api/jobs instead, which produces one image per
+ * poll and so never outlives a serverless time limit.
+ *
+ * With RESULT_CACHE=on, requests that pass a seed are deterministic and served
+ * from the cache when repeated (X-Cache: HIT | MISS); `cache: false` in the
+ * body skips the lookup. Unseeded requests are never cached.
+ *
+ * Response: { images: [...], provider: "clipdrop", mode: "image-to-image" | "text-to-image",
+ *             notice?: "...", attempts: [{ provider, code, error }] }
+ *
+ * Errors use the shared envelope (see api/_lib/errors.js):
+ * { error: { code, message, provider?, retryable, requestId, attempts? } }
+ * - INVALID_REQUEST (400): invalid options, or no configured provider can honor them
+ * - PAYLOAD_TOO_LARGE / UNSUPPORTED_MEDIA_TYPE (413 / 415): initImage too large,
+ *   or not a PNG, JPEG or WebP image; 415 also for a body that is not JSON
+ *   (see api/_lib/validation.js)
+ * - CONTENT_POLICY (422): the prompt or negativePrompt was blocked, or the
+ *   generated images withheld, by the moderation gate (api/_lib/moderation),
+ *   with `categories`
+ * - RATE_LIMITED (429): counted per image, see api/_lib/rateLimit
+ * - NO_PROVIDER (503): no image provider configured
+ * - MODEL_WARMING_UP (503): with Retry-After and `warmingUp: { provider, model,
+ *   estimatedTime }`; a Hugging Face model was still loading, so retry rather than fall back
+ * - otherwise the code every provider failed with (e.g. PROVIDER_QUOTA,
+ *   CONTENT_POLICY, TIMEOUT), or PROVIDER_UNAVAILABLE when they differ
+ *
+ * NOTE: The frontend falls back to Puter.js when the providers are
+ * unavailable, but not for errors another provider would repeat (e.g.
+ * CONTENT_POLICY or INVALID_REQUEST).
  */
-async function generateWithGemini(prompt, imageCount) {
-    const apiKey = process.env.GOOGLE_API_KEY
-    if (!apiKey) throw new Error('GOOGLE_API_KEY not set')
 
-    console.log('Using Gemini (Imagen 3)...')
-    // Provide fallback model IDs if 001 is deprecated/restricted
-    const model = 'imagen-3.0-generate-001'
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:predict?key=${apiKey}`
+import { authenticate } from './_lib/auth.js'
+import { isCacheBypassed, normalizePrompt, setCacheHeader, withCache } from './_lib/cache/index.js'
+import { getConfig } from './_lib/config.js'
+import { sendError, sendFailure } from './_lib/errors.js'
+import { generateImages, planGeneration } from './_lib/generation.js'
+import { setSecurityHeaders } from './_lib/http.js'
+import { log, withRequestTrace } from './_lib/logger.js'
+import { moderatePrompt } from './_lib/moderation/index.js'
+import { enforceRateLimit } from './_lib/rateLimit/index.js'
+import { readJsonBody } from './_lib/validation.js'
 
-    const enhancedPrompt = `High quality, highly detailed image of: ${prompt}`
+// Fail fast on invalid provider settings
+getConfig()
 
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 8000)
-
-    try {
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                instances: [{ prompt: enhancedPrompt }],
-                parameters: {
-                    sampleCount: Math.min(imageCount, 4),
-                    aspectRatio: "1:1"
-                }
-            }),
-            signal: controller.signal
-        })
-        clearTimeout(timeoutId)
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}))
-            const msg = errorData.error?.message || `Gemini API error ${response.status}`
-            throw new Error(msg)
-        }
-
-        const data = await response.json()
-        if (!data.predictions) throw new Error('Gemini returned no predictions')
-
-        return data.predictions.map(pred => `data:${pred.mimeType};base64,${pred.bytesBase64Encoded}`)
-
-    } catch (error) {
-        clearTimeout(timeoutId)
-        throw error
-    }
-}
+const DEFAULT_WARMUP_RETRY_SECONDS = 20
 
 /**
- * Clipdrop API
+ * Seconds until a warming-up model is worth retrying
  */
-async function generateWithClipdrop(prompt, imageCount) {
-    const apiKey = process.env.CLIPDROP_API_KEY
-    if (!apiKey) throw new Error('CLIPDROP_API_KEY not set')
-
-    console.log('Using Clipdrop API...')
-    const requests = []
-
-    for (let i = 0; i < imageCount; i++) {
-        const form = new FormData()
-        form.append('prompt', prompt)
-
-        const request = fetch('https://clipdrop-api.co/text-to-image/v1', {
-            method: 'POST',
-            headers: { 'x-api-key': apiKey },
-            body: form
-        }).then(async (response) => {
-            if (!response.ok) {
-                const text = await response.text()
-                throw new Error(`Clipdrop error ${response.status}: ${text}`)
-            }
-            const arrayBuffer = await response.arrayBuffer()
-            const base64 = Buffer.from(arrayBuffer).toString('base64')
-            return `data:image/png;base64,${base64}`
-        })
-        requests.push(request)
-    }
-
-    return Promise.all(requests)
-}
-
-/**
- * Hugging Face API (FLUX.1-dev)
- */
-async function generateWithHuggingFace(prompt, imageCount) {
-    const apiKey = process.env.HUGGINGFACE_API_KEY
-    if (!apiKey) throw new Error('HUGGINGFACE_API_KEY not set')
-
-    console.log('Using Hugging Face (FLUX.1-dev)...')
-    const model = 'black-forest-labs/FLUX.1-dev'
-    const endpoint = `https://api-inference.huggingface.co/models/${model}`
-
-    const requests = []
-
-    for (let i = 0; i < imageCount; i++) {
-        const request = fetch(endpoint, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ inputs: prompt })
-        }).then(async (response) => {
-            if (!response.ok) {
-                // Handle 503 (Loading model) specifically could be retried, but for now throw
-                throw new Error(`HF error ${response.status}`)
-            }
-            // HF returns blob/buffer usually
-            const arrayBuffer = await response.arrayBuffer()
-            const base64 = Buffer.from(arrayBuffer).toString('base64')
-            return `data:image/jpeg;base64,${base64}`
-        })
-        requests.push(request)
-    }
-
-    return Promise.all(requests)
-}
-
-// Keep OpenAI/Together for compatibility if key present
-async function generateWithOpenAI(prompt, imageCount) {
-    const apiKey = process.env.OPENAI_API_KEY
-    if (!apiKey) throw new Error('Key not set')
-    // ... (Implementation truncated for brevity, assuming standard OpenAI call)
-    // Reuse previous OpenAI implementation or standard one
-    // Re-writing full function to be safe:
-    const images = []
-    for (let i = 0; i < imageCount; i++) {
-        const response = await fetch('https://api.openai.com/v1/images/generations', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-            body: JSON.stringify({ model: 'dall-e-3', prompt, n: 1, size: '1024x1024', response_format: 'url' })
-        })
-        if (!response.ok) throw new Error(`OpenAI error ${response.status}`)
-        const data = await response.json()
-        images.push(data.data[0].url)
-    }
-    return images
-}
-async function generateWithTogether(prompt, imageCount) {
-    const apiKey = process.env.TOGETHER_API_KEY
-    if (!apiKey) throw new Error('Key not set')
-    const response = await fetch('https://api.together.xyz/v1/images/generations', {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ model: 'black-forest-labs/FLUX.1-schnell', prompt, n: imageCount, width: 1024, height: 1024, response_format: 'base64' })
-    })
-    if (!response.ok) throw new Error(`Together error ${response.status}`)
-    const data = await response.json()
-    return data.data.map(item => `data:image/jpeg;base64,${item.b64_json}`)
+function getRetryAfter(warmingUp) {
+    return Math.ceil(warmingUp.estimatedTime || DEFAULT_WARMUP_RETRY_SECONDS)
 }
 
+export default withRequestTrace('generate-image', async function handler(req, res) {
+    setSecurityHeaders(res)
+    if (req.method !== 'POST') return sendError(res, 'METHOD_NOT_ALLOWED')
 
-async function generateImages(prompt, imageCount) {
-    let provider = (process.env.IMAGE_PROVIDER || '').toLowerCase()
+    if (!(await authenticate(req, res))) return
 
-    // Priority Order Detection
-    if (!provider) {
-        if (process.env.GOOGLE_API_KEY) provider = 'gemini'
-        else if (process.env.CLIPDROP_API_KEY) provider = 'clipdrop'
-        else if (process.env.HUGGINGFACE_API_KEY) provider = 'huggingface'
-        else if (process.env.OPENAI_API_KEY) provider = 'openai'
-        else if (process.env.TOGETHER_API_KEY) provider = 'together'
-    }
+    const body = readJsonBody(req, res)
+    if (!body) return
 
-    if (!provider) {
-        throw new Error('No supported API keys configured. Switching to Puter.js fallback.')
-    }
+    const { plan, code, error: planError, attempts } = planGeneration(body, req.workspace)
+    if (!plan) return sendError(res, code, planError, attempts && { attempts })
 
-    console.log(`Selected Provider: ${provider}`)
+    const { options, notice } = plan
 
+    let limit = null
     try {
-        switch (provider) {
-            case 'gemini': return await generateWithGemini(prompt, imageCount)
-            case 'clipdrop': return await generateWithClipdrop(prompt, imageCount)
-            case 'huggingface': return await generateWithHuggingFace(prompt, imageCount)
-            case 'openai': return await generateWithOpenAI(prompt, imageCount)
-            case 'together': return await generateWithTogether(prompt, imageCount)
-            default:
-                // Auto-fallback chain if primary fails?
-                // For now, let it throw so Puter.js takes over.
-                // Or we can try chain internally.
-                throw new Error(`Unknown provider: ${provider}`)
-        }
-    } catch (e) {
-        console.warn(`Provider ${provider} failed: ${e.message}`)
-
-        // Internal Fallback Chain
-        if (provider === 'gemini' && process.env.CLIPDROP_API_KEY) {
-            console.log('Gemini failed, failing over to Clipdrop...')
-            return await generateWithClipdrop(prompt, imageCount)
+        // Charged per requested image up front, then refunded for any not produced
+        limit = await enforceRateLimit(req, res, 'generate-image', options.count)
+        if (!limit) return
+
+        await moderatePrompt([plan.prompt, options.negativePrompt], { route: 'generate-image', workspace: req.workspace })
+
+        const generate = () => generateImages(plan, { route: 'generate-image', workspace: req.workspace })
+
+        let result = null
+        if (options.seed === undefined) {
+            result = await generate()
+        } else {
+            const cached = await withCache('image', {
+                prompt: normalizePrompt(plan.prompt),
+                negativePrompt: plan.preset?.negativePrompt,
+                options,
+                providers: plan.providers.map(provider => provider.id),
+                workspaceId: req.workspace?.id
+            }, {
+                bypass: isCacheBypassed(req),
+                // Hosted image URLs expire long before the entry would
+                storable: value => value.images.every(image => image.startsWith('data:'))
+            }, generate)
+            result = cached.value
+            setCacheHeader(res, cached.hit)
         }
-        if ((provider === 'gemini' || provider === 'clipdrop') && process.env.HUGGINGFACE_API_KEY) {
-            console.log('Failing over to Hugging Face...')
-            return await generateWithHuggingFace(prompt, imageCount)
-        }
-
-        throw e // Throw to trigger Puter.js
-    }
-}
 
-export default async function handler(req, res) {
-    setSecurityHeaders(res)
-    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' })
-
-    const { prompt, style } = req.body
-    if (!prompt) return res.status(400).json({ error: 'Missing prompt' })
-
-    const imageCount = Math.min(Math.max(1, parseInt(process.env.IMAGE_COUNT || '2', 10)), 4)
-
-    try {
-        const finalPrompt = buildPrompt(prompt, style)
-        const imageUrls = await generateImages(finalPrompt, imageCount)
-        return res.status(200).json({ images: imageUrls })
+        await limit.refund(options.count - result.images.length)
+        return res.status(200).json({
+            ...result,
+            mode: options.initImage ? 'image-to-image' : 'text-to-image',
+            ...(notice && { notice })
+        })
     } catch (error) {
-        console.warn('Backend generation failed:', error.message)
-        return res.status(503).json({ error: error.message || 'Service Unavailable' })
+        log.warn('Backend generation failed', { error, attempts: error.attempts })
+        await limit?.refund(options.count)
+        if (error.warmingUp) res.setHeader('Retry-After', String(getRetryAfter(error.warmingUp)))
+        return sendFailure(res, error, {
+            attempts: error.attempts || [],
+            ...(error.warmingUp && { warmingUp: error.warmingUp })
+        })
     }
-}
+})
@@ -0,0 +1,171 @@
+/**
+ * Health & Diagnostics API Route
+ *
+ * GET /api/health            → configuration report (no outbound calls)
+ * GET /api/health?probe=1    → also probes each configured provider
+ *
+ * Reports which providers are configured for which capability and the image
+ * provider chain /api/generate-image would walk (limited to the caller's
+ * workspace when an API key is sent). Only ids, names and booleans are
+ * returned: never key values, prefixes or upstream error bodies.
+ *
+ * Probes are free authenticated requests (model listings, account lookups),
+ * run in parallel with a timeout, and cached for PROBE_CACHE_MS so repeated
+ * polling does not fan out to the providers.
+ *
+ * Response:
+ * {
+ *   "status": "ok" | "degraded",
+ *   "timestamp": "...",
+ *   "providers": [{ "id": "openai", "name": "OpenAI", "configured": true,
+ *                   "capabilities": ["text", "textStream", "vision", "image", "moderation"],
+ *                   "circuit": "closed" | "open" | "half-open",
+ *                   "probe"?: { "reachable": true, "authenticated": true, "status": 200, "latencyMs": 182 } }],
+ *   "capabilities": { "text": ["openai"], "textStream": [...], "vision": [...], "image": [...], "moderation": [...] },
+ *   "imageChain": ["clipdrop", "openai"],
+ *   "selectedImageProvider": "clipdrop" | null,
+ *   "moderation": { "provider": "keyword" | "openai" | "off", "level": "standard", "outputs": false },
+ *   "issues": ["No provider configured for vision"],
+ *   "probedAt"?: "..."
+ * }
+ *
+ * "degraded" means a setting is invalid (see api/_lib/config.js), a capability
+ * has no configured provider, the chain is misconfigured, moderation is
+ * misconfigured (see api/_lib/moderation), a provider's circuit
+ * breaker is open (see api/_lib/outbound.js, this instance only), or a probe
+ * failed.
+ * The app still answers through the Puter.js fallback, so the status code
+ * stays 200.
+ */
+
+import { authenticate } from './_lib/auth.js'
+import { loadConfig } from './_lib/config.js'
+import { sendError } from './_lib/errors.js'
+import { setSecurityHeaders } from './_lib/http.js'
+import { withRequestTrace } from './_lib/logger.js'
+import { getModerationStatus } from './_lib/moderation/index.js'
+import { getCircuitState } from './_lib/outbound.js'
+import { CAPABILITIES, getConfiguredProviders, getImageChain, getProviders, isConfigured, isEnabled, supports } from './_lib/providers/index.js'
+import { enforceRateLimit } from './_lib/rateLimit/index.js'
+import { isProviderAllowed } from './_lib/workspaces.js'
+
+const PROBE_TIMEOUT_MS = 5000
+const PROBE_CACHE_MS = 60 * 1000
+
+let probeCache = null // { at, results: { [providerId]: probe } }
+
+/**
+ * Time one provider probe. Failures are reduced to a fixed vocabulary so no
+ * upstream detail (or URL) reaches the response.
+ */
+async function probeProvider(provider) {
+    if (typeof provider.probe !== 'function') return { supported: false }
+
+    const started = Date.now()
+    try {
+        const response = await provider.probe(AbortSignal.timeout(PROBE_TIMEOUT_MS))
+        return {
+            reachable: true,
+            authenticated: response.ok,
+            status: response.status,
+            latencyMs: Date.now() - started
+        }
+    } catch (error) {
+        return {
+            reachable: false,
+            error: error.name === 'TimeoutError' ? 'timeout' : 'unreachable',
+            latencyMs: Date.now() - started
+        }
+    }
+}
+
+async function probeConfigured(providers) {
+    if (probeCache && Date.now() - probeCache.at < PROBE_CACHE_MS) return probeCache
+
+    const entries = await Promise.all(
+        providers.map(async provider => [provider.id, await probeProvider(provider)])
+    )
+    probeCache = { at: Date.now(), results: Object.fromEntries(entries) }
+    return probeCache
+}
+
+export default withRequestTrace('health', async function handler(req, res) {
+    setSecurityHeaders(res)
+    res.setHeader('Cache-Control', 'no-store')
+
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET')
+        return sendError(res, 'METHOD_NOT_ALLOWED')
+    }
+
+    if (!(await authenticate(req, res))) return
+
+    const limit = await enforceRateLimit(req, res, 'health')
+    if (!limit) return
+
+    // Reported rather than thrown, so health still answers with a broken config
+    const issues = loadConfig().errors.map(error => `Config: ${error}`)
+    const providers = getProviders()
+        .map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            configured: isConfigured(provider),
+            capabilities: CAPABILITIES.filter(capability => supports(provider, capability) && isEnabled(provider, capability)),
+            circuit: getCircuitState(provider.id)
+        }))
+
+    for (const entry of providers) {
+        if (entry.configured && entry.circuit === 'open') {
+            issues.push(`${entry.id} is being skipped after repeated failures`)
+        }
+    }
+
+    const capabilities = Object.fromEntries(CAPABILITIES.map(capability => {
+        const ids = getConfiguredProviders(capability)
+            .filter(provider => isProviderAllowed(req.workspace, provider.id))
+            .map(provider => provider.id)
+        // Moderation only needs a provider when MODERATION_PROVIDER=openai (reported below)
+        if (ids.length === 0 && capability !== 'moderation') issues.push(`No provider configured for ${capability}`)
+        return [capability, ids]
+    }))
+
+    const { issues: moderationIssues, ...moderation } = getModerationStatus(req.workspace)
+    issues.push(...moderationIssues.map(issue => `Moderation: ${issue}`))
+
+    let imageChain = []
+    try {
+        imageChain = getImageChain()
+            .filter(provider => isProviderAllowed(req.workspace, provider.id))
+            .map(provider => provider.id)
+    } catch (error) {
+        // Unknown ids in IMAGE_PROVIDER_CHAIN: the message names the id, not a secret
+        issues.push(`IMAGE_PROVIDER_CHAIN: ${error.message}`)
+    }
+
+    let probedAt
+    const probe = req.query?.probe
+    if (probe === '1' || probe === 'true') {
+        const { at, results } = await probeConfigured(getProviders().filter(isConfigured))
+        probedAt = new Date(at).toISOString()
+
+        for (const entry of providers) {
+            if (!entry.configured) continue
+            entry.probe = results[entry.id]
+            if (entry.probe && entry.probe.supported !== false && !entry.probe.authenticated) {
+                issues.push(`Probe failed for ${entry.id}`)
+            }
+        }
+    }
+
+    return res.status(200).json({
+        status: issues.length === 0 ? 'ok' : 'degraded',
+        timestamp: new Date().toISOString(),
+        providers,
+        capabilities,
+        imageChain,
+        selectedImageProvider: imageChain[0] || null,
+        moderation,
+        issues,
+        ...(probedAt && { probedAt })
+    })
+})
@@ -0,0 +1,63 @@
+/**
+ * Image Generation Job API Route
+ *
+ * GET    /api/jobs/<id> → { job }  renders the next image, then reports the job
+ * DELETE /api/jobs/<id> → { job }  cancels it (finished jobs are unchanged)
+ *
+ * Jobs only progress while they are polled: each GET asks one provider for
+ * at most one image, so poll until the status is succeeded, failed or cancelled, showing
+ * `images` as they arrive. A failed job keeps the images rendered before the
+ * failure, describes the failure in `error` (the shared error shape, see
+ * api/_lib/errors.js; its requestId is the poll that failed) and lists every
+ * provider error in `attempts`. While `warmingUp` is
+ * set, a provider's model is loading: keep polling, ideally after its
+ * `estimatedTime` (seconds).
+ *
+ * A job created with an API key is only visible to that workspace; others
+ * get 404, as for unknown or expired jobs (see api/_lib/jobs).
+ */
+
+import { authenticate } from '../_lib/auth.js'
+import { getConfig } from '../_lib/config.js'
+import { sendError } from '../_lib/errors.js'
+import { setSecurityHeaders } from '../_lib/http.js'
+import { advanceJob, cancelJob, getJob, toPublicJob } from '../_lib/jobs/index.js'
+import { log, withRequestTrace } from '../_lib/logger.js'
+import { enforceRateLimit } from '../_lib/rateLimit/index.js'
+
+const METHODS = ['GET', 'DELETE']
+
+// Fail fast on invalid provider settings
+getConfig()
+
+export default withRequestTrace('jobs/[id]', async function handler(req, res) {
+    setSecurityHeaders(res)
+    res.setHeader('Cache-Control', 'no-store')
+
+    if (!METHODS.includes(req.method)) {
+        res.setHeader('Allow', METHODS.join(', '))
+        return sendError(res, 'METHOD_NOT_ALLOWED')
+    }
+
+    if (!(await authenticate(req, res))) return
+
+    const limit = await enforceRateLimit(req, res, 'jobs')
+    if (!limit) return
+
+    try {
+        const id = req.query?.id
+        const job = id ? await getJob(String(id)) : undefined
+        if (!job || job.workspaceId !== (req.workspace?.id || null)) {
+            return sendError(res, 'NOT_FOUND', 'Job not found')
+        }
+
+        const updated = req.method === 'DELETE'
+            ? await cancelJob(job)
+            : await advanceJob(job, { workspace: req.workspace })
+
+        return res.status(200).json({ job: await toPublicJob(updated) })
+    } catch (error) {
+        log.error('Job store error', { error })
+        return sendError(res, 'INTERNAL', 'Job store error')
+    }
+})
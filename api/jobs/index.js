@@ -0,0 +1,74 @@
+/**
+ * Image Generation Jobs API Route
+ *
+ * POST /api/jobs → 202 { job }  (Location: /api/jobs/<id>)
+ *
+ * Accepts the same body as /api/generate-image and validates it the same way
+ * (INVALID_REQUEST for invalid options, PAYLOAD_TOO_LARGE/UNSUPPORTED_MEDIA_TYPE
+ * for a bad initImage, NO_PROVIDER when no provider is configured,
+ * CONTENT_POLICY when the moderation gate blocks the prompt; see
+ * ../_lib/errors.js and ../_lib/moderation), but returns at once. Poll GET /api/jobs/<id> to render the
+ * images one at a time, and DELETE it to cancel (see ./[id].js).
+ *
+ * Images are charged to the generate-image rate limit when the job is
+ * created, one unit per requested image, and are not refunded (unless the
+ * prompt is blocked).
+ *
+ * Job: { id, status: "queued" | "running" | "succeeded" | "failed" | "cancelled",
+ *        count, completed, images: [...], providers: [...], mode, notice?,
+ *        attempts: [{ provider, code, error }], createdAt, updatedAt,
+ *        error: { code, message, provider?, retryable } | null,
+ *        warmingUp: { provider, model, estimatedTime } | null }
+ */
+
+import { authenticate } from '../_lib/auth.js'
+import { getConfig } from '../_lib/config.js'
+import { sendError, sendFailure } from '../_lib/errors.js'
+import { planGeneration } from '../_lib/generation.js'
+import { setSecurityHeaders } from '../_lib/http.js'
+import { createJob, toPublicJob } from '../_lib/jobs/index.js'
+import { log, withRequestTrace } from '../_lib/logger.js'
+import { moderatePrompt } from '../_lib/moderation/index.js'
+import { enforceRateLimit } from '../_lib/rateLimit/index.js'
+import { readJsonBody } from '../_lib/validation.js'
+
+// Fail fast on invalid provider settings
+getConfig()
+
+export default withRequestTrace('jobs', async function handler(req, res) {
+    setSecurityHeaders(res)
+    res.setHeader('Cache-Control', 'no-store')
+
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST')
+        return sendError(res, 'METHOD_NOT_ALLOWED')
+    }
+
+    if (!(await authenticate(req, res))) return
+
+    const body = readJsonBody(req, res)
+    if (!body) return
+
+    const { plan, code, error: planError, attempts } = planGeneration(body, req.workspace)
+    if (!plan) return sendError(res, code, planError, attempts && { attempts })
+
+    const limit = await enforceRateLimit(req, res, 'generate-image', plan.options.count)
+    if (!limit) return
+
+    try {
+        await moderatePrompt([plan.prompt, plan.options.negativePrompt], { route: 'jobs', workspace: req.workspace })
+    } catch (error) {
+        await limit.refund(plan.options.count)
+        return sendFailure(res, error)
+    }
+
+    try {
+        const job = await createJob(plan, req.workspace)
+        res.setHeader('Location', `/api/jobs/${job.id}`)
+        return res.status(202).json({ job: await toPublicJob(job) })
+    } catch (error) {
+        log.error('Job store error', { error })
+        await limit.refund(plan.options.count)
+        return sendError(res, 'INTERNAL', 'Job store error')
+    }
+})
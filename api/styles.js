@@ -0,0 +1,40 @@
+/**
+ * Style Presets API Route
+ *
+ * GET /api/styles
+ *
+ * Lists the style presets accepted by /api/generate-image as `preset`.
+ *
+ * Response:
+ * {
+ *   "styles": [
+ *     { "id": "cinematic", "name": "Cinematic", "description": "...",
+ *       "template": "...", "negativePrompt": "...", "aspectRatio": "16:9" }
+ *   ]
+ * }
+ */
+
+import { authenticate } from './_lib/auth.js'
+import { sendError } from './_lib/errors.js'
+import { setSecurityHeaders } from './_lib/http.js'
+import { withRequestTrace } from './_lib/logger.js'
+import { enforceRateLimit } from './_lib/rateLimit/index.js'
+import { STYLE_PRESETS } from './_lib/styles.js'
+
+export default withRequestTrace('styles', async function handler(req, res) {
+    setSecurityHeaders(res)
+
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET')
+        return sendError(res, 'METHOD_NOT_ALLOWED')
+    }
+
+    if (!(await authenticate(req, res))) return
+
+    const limit = await enforceRateLimit(req, res, 'styles')
+    if (!limit) return
+
+    // Presets only change on deploy
+    res.setHeader('Cache-Control', 'public, max-age=300')
+    return res.status(200).json({ styles: STYLE_PRESETS })
+})
@@ -0,0 +1,93 @@
+/**
+ * Usage Report API Route
+ *
+ * GET /api/usage?from=2025-01-01&to=2025-01-31&workspace=<id>&provider=<id>&route=<route>&records=1
+ *
+ * Aggregates the per-call usage records (see api/_lib/usage) for reconciling
+ * against provider bills. from/to accept YYYY-MM-DD (UTC, inclusive) or ISO
+ * timestamps; the default range is the current UTC month up to now.
+ *
+ * Access:
+ * - ADMIN_TOKEN: every workspace (optionally filtered with ?workspace=)
+ * - a workspace API key: that workspace only
+ *
+ * Response:
+ * {
+ *   "from": "...", "to": "...",
+ *   "totals": { "calls", "failed", "images", "inputTokens", "outputTokens",
+ *               "avgLatencyMs", "estimatedCost", "unpriced" },
+ *   "byProvider": [{ "provider", "capability", "model", ...totals }],
+ *   "byWorkspace": [{ "workspaceId", ...totals }],
+ *   "byDay": [{ "date", ...totals }],
+ *   "records"?: [...]
+ * }
+ */
+
+import { authenticate, isAdminRequest } from './_lib/auth.js'
+import { sendError } from './_lib/errors.js'
+import { setSecurityHeaders } from './_lib/http.js'
+import { log, withRequestTrace } from './_lib/logger.js'
+import { enforceRateLimit } from './_lib/rateLimit/index.js'
+import { parseDate, queryUsage } from './_lib/usage/index.js'
+
+function startOfMonth() {
+    const now = new Date()
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+}
+
+export default withRequestTrace('usage', async function handler(req, res) {
+    setSecurityHeaders(res)
+    res.setHeader('Cache-Control', 'no-store')
+
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET')
+        return sendError(res, 'METHOD_NOT_ALLOWED')
+    }
+
+    const admin = isAdminRequest(req)
+    if (!admin) {
+        if (!(await authenticate(req, res))) return
+        if (!req.workspace) {
+            res.setHeader('WWW-Authenticate', 'Bearer')
+            return sendError(res, 'UNAUTHORIZED', 'Usage reports need a workspace API key or the admin token.')
+        }
+    }
+
+    const limit = await enforceRateLimit(req, res, 'usage')
+    if (!limit) return
+
+    const query = req.query || {}
+    const from = parseDate(query.from)
+    const to = parseDate(query.to, true)
+
+    if (from === undefined || to === undefined) {
+        return sendError(res, 'INVALID_REQUEST', 'from and to must be YYYY-MM-DD dates or ISO timestamps.')
+    }
+
+    const range = { from: from ?? startOfMonth(), to: to ?? Date.now() }
+    if (range.from > range.to) {
+        return sendError(res, 'INVALID_REQUEST', 'from must not be after to.')
+    }
+
+    // Workspace keys only ever see their own usage
+    const workspaceId = admin ? query.workspace : req.workspace.id
+
+    try {
+        const report = await queryUsage({
+            ...range,
+            workspaceId,
+            provider: query.provider,
+            route: query.route,
+            includeRecords: query.records === '1' || query.records === 'true'
+        })
+
+        return res.status(200).json({
+            from: new Date(range.from).toISOString(),
+            to: new Date(range.to).toISOString(),
+            ...report
+        })
+    } catch (error) {
+        log.error('Usage report failed', { error })
+        return sendError(res, 'INTERNAL', 'Usage store error')
+    }
+})
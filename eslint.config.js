@@ -0,0 +1,42 @@
+import js from '@eslint/js'
+import globals from 'globals'
+import reactHooks from 'eslint-plugin-react-hooks'
+import reactRefresh from 'eslint-plugin-react-refresh'
+
+export default [
+    { ignores: ['dist', 'data', 'coverage'] },
+    {
+        files: ['**/*.{js,jsx}'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: globals.browser,
+            parserOptions: {
+                ecmaFeatures: { jsx: true }
+            }
+        },
+        rules: {
+            ...js.configs.recommended.rules,
+            'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]', ignoreRestSiblings: true }]
+        }
+    },
+    {
+        // The React app
+        files: ['src/**/*.{js,jsx}'],
+        plugins: {
+            'react-hooks': reactHooks,
+            'react-refresh': reactRefresh
+        },
+        rules: {
+            ...reactHooks.configs.recommended.rules,
+            'react-refresh/only-export-components': ['warn', { allowConstantExport: true }]
+        }
+    },
+    {
+        // Serverless functions, build config and tests run on Node
+        files: ['api/**/*.js', 'test/**/*.js', '*.config.js'],
+        languageOptions: {
+            globals: globals.node
+        }
+    }
+]
@@ -0,0 +1,217 @@
+/**
+ * Structured Model Output
+ *
+ * Text and vision models are asked for JSON, but still wrap it in Markdown
+ * fences or prose, or leave fields out. parseStructured() finds the JSON
+ * object in a reply and checks it against a schema, keeping the fields that
+ * are valid and naming the ones that are not. parseWithRepair() sends the
+ * problems back to the model once; if the repaired reply is still incomplete,
+ * callers report the `missing` fields rather than invent them.
+ *
+ * Schemas are plain objects whose values are 'string' (non-empty),
+ * 'string[]' (non-empty strings; a single string is accepted as one item),
+ * 'string[]?' (the same, but may be empty) or a nested schema. Every field is
+ * required.
+ *
+ * Shared by the API routes and the frontend (for the Puter.js fallback), so
+ * it has no imports and must stay free of Node-only APIs.
+ */
+
+// An image analysis, from /api/analyze-image or the Puter.js fallback
+export const IMAGE_ANALYSIS_SCHEMA = {
+    analysis: {
+        objects: 'string[]',
+        style: 'string',
+        mood: 'string',
+        lighting: 'string',
+        framing: 'string',
+        subjectPosition: 'string',
+        // Legible text in the image, often none
+        text: 'string[]?',
+        focalLength: 'string',
+        depthOfField: 'string'
+    },
+    suggestedPrompt: 'string'
+}
+
+/**
+ * The JSON objects embedded in some text, in order: each balanced {...} run
+ * outside of strings
+ */
+function* findObjects(text) {
+    for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+        let depth = 0
+        let inString = false
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i]
+            if (inString) {
+                if (char === '\\') i++
+                else if (char === '"') inString = false
+            } else if (char === '"') {
+                inString = true
+            } else if (char === '{') {
+                depth++
+            } else if (char === '}' && --depth === 0) {
+                yield text.slice(start, i + 1)
+                break
+            }
+        }
+    }
+}
+
+function parseObject(text) {
+    try {
+        const value = JSON.parse(text)
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined
+    } catch {
+        return undefined
+    }
+}
+
+/**
+ * The first JSON object in a model reply: the whole reply, a fenced code
+ * block, or an object inside prose
+ *
+ * @param {string|object} reply - Already-parsed objects are returned as they are
+ * @returns {object|undefined}
+ */
+export function extractJson(reply) {
+    if (reply && typeof reply === 'object') return Array.isArray(reply) ? undefined : reply
+    if (typeof reply !== 'string') return undefined
+
+    const text = reply.trim()
+    const whole = parseObject(text)
+    if (whole) return whole
+
+    for (const [, fenced] of text.matchAll(/```[a-z]*\s*([\s\S]*?)```/gi)) {
+        const value = parseObject(fenced.trim())
+        if (value) return value
+    }
+
+    for (const candidate of findObjects(text)) {
+        const value = parseObject(candidate)
+        if (value) return value
+    }
+    return undefined
+}
+
+function checkField(value, type) {
+    if (type === 'string') {
+        return typeof value === 'string' && value.trim() ? { value: value.trim() } : { error: 'must be a non-empty string' }
+    }
+
+    const items = typeof value === 'string' ? [value] : value
+    if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) {
+        return { error: 'must be an array of strings' }
+    }
+    const kept = items.map(item => item.trim()).filter(Boolean)
+    return kept.length > 0 || type === 'string[]?' ? { value: kept } : { error: 'must not be empty' }
+}
+
+/**
+ * Keep the fields of `value` that match `schema`
+ *
+ * @returns {{ value: object, missing: string[], errors: string[] }}
+ *   missing: dotted paths of absent or invalid fields; errors: one sentence each
+ */
+function checkSchema(value, schema, prefix = '') {
+    const result = { value: {}, missing: [], errors: [] }
+
+    for (const [key, type] of Object.entries(schema)) {
+        const path = `${prefix}${key}`
+        const field = value?.[key]
+
+        if (typeof type === 'object') {
+            const nested = checkSchema(field && typeof field === 'object' ? field : {}, type, `${path}.`)
+            if (Object.keys(nested.value).length > 0) result.value[key] = nested.value
+            result.missing.push(...nested.missing)
+            result.errors.push(...nested.errors)
+            continue
+        }
+
+        if (field === undefined || field === null || (field === '' && type !== 'string[]?')) {
+            result.missing.push(path)
+            result.errors.push(`${path} is missing`)
+            continue
+        }
+
+        const checked = checkField(field, type)
+        if (checked.error) {
+            result.missing.push(path)
+            result.errors.push(`${path} ${checked.error}`)
+        } else {
+            result.value[key] = checked.value
+        }
+    }
+    return result
+}
+
+/**
+ * Extract and check a model reply
+ *
+ * @param {string|object} reply
+ * @param {object} schema
+ * @returns {{ value: object|null, missing: string[], errors: string[] }}
+ *   value holds the valid fields only, or is null when the reply has no JSON
+ *   object (then `missing` lists every field)
+ */
+export function parseStructured(reply, schema) {
+    const json = extractJson(reply)
+    const result = checkSchema(json, schema)
+    if (json) return result
+    return { value: null, missing: result.missing, errors: ['The reply contains no JSON object'] }
+}
+
+/**
+ * An example object for a schema, e.g. { "style": "...", "objects": ["..."] }
+ */
+function describeSchema(schema) {
+    return Object.fromEntries(Object.entries(schema).map(([key, type]) => [
+        key,
+        typeof type === 'object' ? describeSchema(type) : type === 'string' ? '...' : type === 'string[]?' ? [] : ['...']
+    ]))
+}
+
+/**
+ * The follow-up message asking a model to fix its reply
+ *
+ * @param {string[]} errors - From parseStructured()
+ * @param {object} schema
+ */
+export function repairInstruction(errors, schema) {
+    return `Your previous reply could not be used: ${errors.join('; ')}. ` +
+        `Reply again with only a JSON object of this shape, every field filled in, and no other text:\n` +
+        JSON.stringify(describeSchema(schema), null, 2)
+}
+
+/**
+ * Parse a reply, asking the model to repair it once when it is incomplete
+ *
+ * @param {string|object} reply
+ * @param {object} schema
+ * @param {(instruction: string) => Promise<string|object>} repair - Sends the
+ *   instruction as a follow-up to the model and resolves with its new reply
+ * @returns {Promise<{ value: object|null, missing: string[], errors: string[], repaired: boolean, reply: string|object, repairError?: Error }>}
+ *   The better of the two attempts; `reply` is the raw reply it came from.
+ *   When the repair call itself fails, the first attempt is returned with the
+ *   error as `repairError`, so its valid fields are still usable
+ */
+export async function parseWithRepair(reply, schema, repair) {
+    const first = parseStructured(reply, schema)
+    if (first.missing.length === 0) return { ...first, repaired: false, reply }
+
+    let repairedReply
+    try {
+        repairedReply = await repair(repairInstruction(first.errors, schema))
+    } catch (repairError) {
+        return { ...first, repaired: false, reply, repairError }
+    }
+    const second = parseStructured(repairedReply, schema)
+
+    // Keep whichever reply got further
+    if (second.value && second.missing.length <= first.missing.length) {
+        return { ...second, repaired: true, reply: repairedReply }
+    }
+    return { ...first, repaired: true, reply }
+}
@@ -2,9 +2,20 @@ import { useState } from 'react'
 import './App.css'
 import TextWorkflow from './components/TextWorkflow'
 import ImageWorkflow from './components/ImageWorkflow'
+import BatchWorkflow from './components/BatchWorkflow'
+import HistoryPanel from './components/HistoryPanel'
 
 function App() {
     const [activeTab, setActiveTab] = useState('text')
+    const [historyOpen, setHistoryOpen] = useState(false)
+    // Entry re-opened from history; the key remounts the workflow so it starts from the entry
+    const [restored, setRestored] = useState({ key: 0, workflow: null, entry: null })
+
+    const handleOpenEntry = (workflow, entry) => {
+        setActiveTab(workflow)
+        setRestored({ key: restored.key + 1, workflow, entry })
+        setHistoryOpen(false)
+    }
 
     return (
         <div className="app">
@@ -31,11 +42,30 @@ function App() {
                     <span className="tab-icon">🖼️</span>
                     Image Workflow
                 </button>
+                <button
+                    className={`tab-btn ${activeTab === 'batch' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('batch')}
+                >
+                    <span className="tab-icon">📦</span>
+                    Batch
+                </button>
+                <button
+                    className={`tab-btn ${historyOpen ? 'active' : ''}`}
+                    onClick={() => setHistoryOpen(!historyOpen)}
+                >
+                    <span className="tab-icon">🕘</span>
+                    History
+                </button>
             </nav>
 
+            {historyOpen && (
+                <HistoryPanel onClose={() => setHistoryOpen(false)} onOpen={handleOpenEntry} />
+            )}
+
             <main className="workflow-content">
-                {activeTab === 'text' && <TextWorkflow />}
-                {activeTab === 'image' && <ImageWorkflow />}
+                {activeTab === 'text' && <TextWorkflow key={restored.key} initialEntry={restored.workflow === 'text' ? restored.entry : null} />}
+                {activeTab === 'image' && <ImageWorkflow key={restored.key} initialEntry={restored.workflow === 'image' ? restored.entry : null} />}
+                {activeTab === 'batch' && <BatchWorkflow />}
             </main>
 
             <footer className="app-footer">
@@ -0,0 +1,260 @@
+import { useRef, useState } from 'react'
+import './BatchWorkflow.css'
+import { describeApiError } from '../lib/apiError'
+import { buildBatchZip, DEFAULT_CONCURRENCY, MAX_BATCH_ROWS, parseBatchFile, processBatchRow, runWithConcurrency } from '../lib/batch'
+import { recordHistory } from '../lib/history'
+import { useStylePresets } from '../lib/styles'
+import StylePresetPicker from './StylePresetPicker'
+
+const STAGE_LABELS = {
+    pending: 'Pending',
+    enhancing: 'Enhancing…',
+    generating: 'Generating…',
+    warming: 'Model warming up…',
+    limited: 'Waiting for rate limit…',
+    done: 'Done',
+    failed: 'Failed',
+    skipped: 'Stopped'
+}
+
+/**
+ * BatchWorkflow Component
+ *
+ * Batch mode for many prompts at once:
+ * 1. Upload - CSV or JSONL file of prompts, each with an optional style
+ * 2. Run - Every row goes through /api/enhance-text then /api/generate-image,
+ *    a few rows at a time, with per-row progress and errors
+ * 3. Download - Zip of the generated images plus manifest.json
+ *
+ * @component
+ */
+function BatchWorkflow() {
+    const [fileName, setFileName] = useState('')
+    const [items, setItems] = useState([]) // [{ row, prompt, style, status, error?, result? }]
+    const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY)
+    const [stylePreset, setStylePreset] = useState(null) // Applied to rows without their own style
+    const stylePresets = useStylePresets()
+    const [isRunning, setIsRunning] = useState(false)
+    const [isPackaging, setIsPackaging] = useState(false)
+    const [status, setStatus] = useState(null)
+
+    const stopRef = useRef(false)
+
+    const updateItem = (index, changes) => {
+        setItems(current => current.map((item, i) => (i === index ? { ...item, ...changes } : item)))
+    }
+
+    /**
+     * Parse the uploaded file into rows
+     */
+    const handleFileSelect = async (event) => {
+        const file = event.target.files[0]
+        event.target.value = '' // Allow re-selecting the same file
+        if (!file) return
+
+        try {
+            const rows = parseBatchFile(await file.text(), file.name)
+            setFileName(file.name)
+            setItems(rows.map((row, index) => ({ row: index + 1, ...row, status: 'pending' })))
+            setStatus({ type: 'success', message: `Loaded ${rows.length} prompts from ${file.name}` })
+        } catch (error) {
+            setItems([])
+            setStatus({ type: 'error', message: error.message })
+        }
+    }
+
+    /**
+     * Run every pending (or previously failed/stopped) row
+     */
+    const handleRun = async () => {
+        const queue = items
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => item.status !== 'done')
+
+        if (queue.length === 0) return
+
+        stopRef.current = false
+        setIsRunning(true)
+        setStatus({ type: 'processing', message: `Processing ${queue.length} rows, ${concurrency} at a time...` })
+        queue.forEach(({ index }) => updateItem(index, { status: 'pending', error: undefined }))
+
+        const presetIds = stylePresets.map(preset => preset.id)
+        let failed = 0
+
+        await runWithConcurrency(queue, concurrency, async ({ item, index }) => {
+            try {
+                const result = await processBatchRow(item, {
+                    presetIds,
+                    defaultPreset: stylePreset,
+                    onStage: stage => updateItem(index, { status: stage }),
+                    shouldStop: () => stopRef.current
+                })
+                updateItem(index, { status: 'done', result })
+                recordHistory({
+                    workflow: 'text',
+                    kind: 'generate',
+                    input: { prompt: item.prompt },
+                    analysis: result.analysis,
+                    finalPrompt: result.enhancedPrompt,
+                    provider: result.provider,
+                    preset: result.preset,
+                    images: result.images
+                })
+            } catch (error) {
+                failed++
+                updateItem(index, { status: 'failed', error: describeApiError(error, 'Failed') })
+            }
+        }, () => stopRef.current)
+
+        // Rows never started because the run was stopped
+        setItems(current => current.map(item => (item.status === 'pending' ? { ...item, status: 'skipped' } : item)))
+        setIsRunning(false)
+        setStatus(failed > 0 || stopRef.current
+            ? { type: 'error', message: `Finished with ${failed} failed row${failed === 1 ? '' : 's'}${stopRef.current ? ' (stopped early)' : ''}. Run again to retry.` }
+            : { type: 'success', message: 'All rows completed!' })
+    }
+
+    /**
+     * Stop starting new rows; rows already in flight finish, except those
+     * waiting for the rate limit
+     */
+    const handleStop = () => {
+        stopRef.current = true
+        setStatus({ type: 'processing', message: 'Stopping after rows in progress...' })
+    }
+
+    /**
+     * Download results as a zip with manifest.json
+     */
+    const handleDownload = async () => {
+        setIsPackaging(true)
+        setStatus({ type: 'processing', message: 'Packaging images...' })
+
+        try {
+            const zip = await buildBatchZip(items)
+            const url = URL.createObjectURL(zip)
+            const link = document.createElement('a')
+            link.href = url
+            link.download = `${fileName.replace(/\.[^.]+$/, '') || 'batch'}-results.zip`
+            link.click()
+            URL.revokeObjectURL(url)
+            setStatus({ type: 'success', message: 'Download ready!' })
+        } catch (error) {
+            setStatus({ type: 'error', message: error.message || 'Packaging failed' })
+        } finally {
+            setIsPackaging(false)
+        }
+    }
+
+    const handleReset = () => {
+        setFileName('')
+        setItems([])
+        setStatus(null)
+    }
+
+    const completed = items.filter(item => item.status === 'done').length
+    const finished = items.filter(item => ['done', 'failed', 'skipped'].includes(item.status)).length
+
+    return (
+        <div className="batch-workflow">
+            <div className="workflow-card glass-panel">
+                <div className="workflow-step animate-fade-in">
+                    <h2>📦 Batch Generation</h2>
+                    <p className="step-description">
+                        Upload a CSV (with a <code>prompt</code> column and optional <code>style</code> column) or a JSONL file
+                        of <code>{'{ "prompt", "style" }'}</code> objects. Up to {MAX_BATCH_ROWS} rows.
+                    </p>
+
+                    <label className={`batch-upload ${isRunning ? 'disabled' : ''}`}>
+                        <input
+                            type="file"
+                            accept=".csv,.jsonl,.json,text/csv,application/jsonl"
+                            onChange={handleFileSelect}
+                            disabled={isRunning}
+                        />
+                        <span>📄</span>
+                        {fileName || 'Choose a CSV or JSONL file'}
+                    </label>
+
+                    {items.length > 0 && (
+                        <>
+                            <StylePresetPicker presets={stylePresets} value={stylePreset} onChange={setStylePreset} />
+
+                            <div className="candidate-count">
+                                <label htmlFor="batch-concurrency">Parallel rows</label>
+                                <select
+                                    id="batch-concurrency"
+                                    value={concurrency}
+                                    onChange={(e) => setConcurrency(parseInt(e.target.value, 10))}
+                                    disabled={isRunning}
+                                >
+                                    {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+                                </select>
+                            </div>
+
+                            <div className="batch-progress">
+                                <div className="batch-progress-bar" style={{ width: `${(finished / items.length) * 100}%` }}></div>
+                            </div>
+                            <p className="batch-summary">{completed} of {items.length} done</p>
+
+                            <ul className="batch-rows">
+                                {items.map(item => (
+                                    <li key={item.row} className={`batch-row ${item.status}`}>
+                                        <span className="batch-row-number">{item.row}</span>
+                                        <div className="batch-row-body">
+                                            <p className="batch-row-prompt">{item.prompt}</p>
+                                            {item.style && <span className="batch-row-style">{item.style}</span>}
+                                            {item.error && <p className="batch-row-error">{item.error}</p>}
+                                            {item.result?.images.length > 0 && (
+                                                <div className="batch-row-images">
+                                                    {item.result.images.map((url, index) => (
+                                                        <a key={index} href={url} target="_blank" rel="noopener noreferrer">
+                                                            <img src={url} alt={`Row ${item.row} image ${index + 1}`} />
+                                                        </a>
+                                                    ))}
+                                                </div>
+                                            )}
+                                        </div>
+                                        <span className="batch-row-status">
+                                            {['enhancing', 'generating', 'warming', 'limited'].includes(item.status) && <span className="spinner"></span>}
+                                            {STAGE_LABELS[item.status]}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+
+                            <div className="step-actions">
+                                <button className="btn btn-secondary" onClick={handleReset} disabled={isRunning}>
+                                    ↻ Clear
+                                </button>
+                                <button className="btn btn-secondary" onClick={handleDownload} disabled={isRunning || isPackaging || completed === 0}>
+                                    {isPackaging ? <span className="spinner"></span> : <span>⬇️</span>}
+                                    Download Zip
+                                </button>
+                                {isRunning ? (
+                                    <button className="btn btn-primary" onClick={handleStop}>
+                                        <span>⏹</span>
+                                        Stop
+                                    </button>
+                                ) : (
+                                    <button className="btn btn-primary" onClick={handleRun} disabled={completed === items.length}>
+                                        <span>🚀</span>
+                                        {finished > 0 ? 'Retry Remaining' : 'Run Batch'}
+                                    </button>
+                                )}
+                            </div>
+                        </>
+                    )}
+
+                    {status && (
+                        <div className={`status-message ${status.type}`}>
+                            {status.message}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default BatchWorkflow
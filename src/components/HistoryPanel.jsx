@@ -0,0 +1,106 @@
+import { useState } from 'react'
+import './HistoryPanel.css'
+import { deleteHistoryEntry, getEntryImage, matchesHistory, toWorkflowEntry, useHistoryEntries } from '../lib/history'
+
+const KIND_LABELS = {
+    enhance: '✨ Enhanced',
+    refine: '🔁 Refined',
+    analyze: '🔍 Analyzed',
+    generate: '🖼️ Generated'
+}
+
+/**
+ * HistoryPanel Component
+ *
+ * Searchable list of past enhancements, analyses and generations stored in
+ * IndexedDB. Entries can be re-opened into either workflow or deleted.
+ *
+ * @component
+ * @param {() => void} onClose
+ * @param {(workflow: 'text'|'image', entry: object) => void} onOpen - Receives the entry adapted for that workflow
+ */
+function HistoryPanel({ onClose, onOpen }) {
+    const { entries, error } = useHistoryEntries()
+    const [query, setQuery] = useState('')
+
+    const visible = entries.filter(entry => matchesHistory(entry, query))
+
+    const handleDelete = (id) => {
+        deleteHistoryEntry(id).catch(err => console.warn('Failed to delete history entry:', err))
+    }
+
+    return (
+        <aside className="history-panel glass-panel animate-fade-in">
+            <div className="history-header">
+                <h2>🕘 History</h2>
+                <button className="btn btn-secondary btn-small" onClick={onClose}>
+                    ✕ Close
+                </button>
+            </div>
+
+            <input
+                type="search"
+                className="history-search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search prompts, analysis, providers..."
+            />
+
+            {error && <p className="history-empty">History unavailable: {error}</p>}
+            {!error && visible.length === 0 && (
+                <p className="history-empty">
+                    {entries.length === 0 ? 'Nothing here yet. Enhancements and generations appear here.' : 'No matching entries.'}
+                </p>
+            )}
+
+            <ul className="history-list">
+                {visible.map(entry => {
+                    const thumbnail = entry.images?.[0] || entry.input?.image
+                    const textEntry = toWorkflowEntry(entry, 'text')
+                    const imageEntry = getEntryImage(entry) && toWorkflowEntry(entry, 'image')
+
+                    return (
+                        <li key={entry.id} className="history-entry">
+                            {thumbnail ? (
+                                <img src={thumbnail} alt="" className="history-thumbnail" />
+                            ) : (
+                                <div className="history-thumbnail placeholder">{entry.workflow === 'text' ? '✍️' : '🖼️'}</div>
+                            )}
+
+                            <div className="history-body">
+                                <div className="history-meta">
+                                    <span>{KIND_LABELS[entry.kind] || entry.kind}</span>
+                                    {entry.provider && <span>{entry.provider}</span>}
+                                    {entry.preset && <span>{entry.preset}</span>}
+                                    <time dateTime={new Date(entry.createdAt).toISOString()}>
+                                        {new Date(entry.createdAt).toLocaleString()}
+                                    </time>
+                                </div>
+                                <p className="history-prompt">{entry.finalPrompt || entry.input?.prompt}</p>
+
+                                <div className="history-actions">
+                                    <button className="btn btn-secondary btn-small" onClick={() => onOpen('text', textEntry)}>
+                                        Open in Text
+                                    </button>
+                                    <button
+                                        className="btn btn-secondary btn-small"
+                                        onClick={() => onOpen('image', imageEntry)}
+                                        disabled={!imageEntry}
+                                        title={imageEntry ? undefined : 'No stored image to open'}
+                                    >
+                                        Open in Image
+                                    </button>
+                                    <button className="btn btn-secondary btn-small history-delete" onClick={() => handleDelete(entry.id)}>
+                                        Delete
+                                    </button>
+                                </div>
+                            </div>
+                        </li>
+                    )
+                })}
+            </ul>
+        </aside>
+    )
+}
+
+export default HistoryPanel
@@ -1,28 +1,146 @@
 import { useState, useRef } from 'react'
 import './ImageWorkflow.css'
+import { IMAGE_ANALYSIS_SCHEMA, parseWithRepair } from '../../shared/structuredOutput.js'
+import { describeApiError, readJson, shouldFallback, toApiError } from '../lib/apiError'
+import { describeMissing, refinePrompt } from '../lib/enhance'
+import { applyStylePreset, useStylePresets } from '../lib/styles'
+import { dataUrlToFile, recordHistory } from '../lib/history'
+import { describeJobError, runImageJob, warmupLabel } from '../lib/jobs'
+import StylePresetPicker from './StylePresetPicker'
+
+// Largest edge sent as the init image (Clipdrop Reimagine caps inputs at 1024px)
+const MAX_INIT_IMAGE_SIZE = 1024
+// Largest edge sent for analysis, which keeps it well under the API's 3 MB limit
+const MAX_ANALYSIS_IMAGE_SIZE = 1536
+// The API's 3 MB image limit as base64 data URL characters (see api/_lib/validation.js)
+const MAX_UPLOAD_DATA_URL_LENGTH = Math.floor(3 * 1024 * 1024 / 3) * 4
+
+const PUTER_ANALYSIS_PROMPT = `Analyze this image. Return a VALID JSON object with:
+{
+    "analysis": {
+        "objects": ["list", "of", "items"],
+        "style": "artistic style",
+        "mood": "emotional atmosphere",
+        "lighting": "lighting description",
+        "framing": "shot type and framing, e.g. close-up, wide shot, low angle",
+        "subjectPosition": "where the main subject sits on the rule-of-thirds grid",
+        "text": ["legible text in the image, word for word (empty if none)"],
+        "focalLength": "lens feel, e.g. wide-angle around 24mm",
+        "depthOfField": "shallow or deep, and what is in focus"
+    },
+    "suggestedPrompt": "a detailed generation prompt that also reproduces the composition, camera and colors..."
+}
+Do not include markdown formatting or backticks. Just the raw JSON.`
+
+/**
+ * Text of a Puter.js chat response
+ */
+function puterText(response) {
+    return typeof response === 'object' ? response.message?.content || response.toString() : String(response)
+}
+
+/**
+ * Status line for an analysis, naming any fields the model left out so the
+ * user fills them in rather than trusting blanks
+ */
+function analysisStatus(message, missing) {
+    return missing?.length ? `${message}${describeMissing(missing)} Fill them in before generating.` : message
+}
+
+/**
+ * Downscale a data URL so its longest edge fits maxSize, re-encoded as JPEG
+ * (or `type`; browsers that cannot encode it fall back to JPEG rather than
+ * PNG). Quality, then size, steps down until it fits the API's image limit.
+ */
+function downscaleDataUrl(dataUrl, maxSize, type = 'image/jpeg') {
+    return new Promise((resolve, reject) => {
+        const img = new Image()
+        img.onload = () => {
+            const canvas = document.createElement('canvas')
+            const encode = (size, quality) => {
+                const scale = Math.min(1, size / Math.max(img.width, img.height))
+                canvas.width = Math.max(1, Math.round(img.width * scale))
+                canvas.height = Math.max(1, Math.round(img.height * scale))
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+
+                const encoded = canvas.toDataURL(type, quality)
+                return encoded.startsWith(`data:${type};`) ? encoded : canvas.toDataURL('image/jpeg', quality)
+            }
+
+            let size = maxSize
+            let quality = 0.92
+            let encoded = encode(size, quality)
+            while (encoded.length > MAX_UPLOAD_DATA_URL_LENGTH && size > 256) {
+                if (quality > 0.7) quality -= 0.1
+                else size = Math.round(size * 0.75)
+                encoded = encode(size, quality)
+            }
+            resolve(encoded)
+        }
+        img.onerror = reject
+        img.src = dataUrl
+    })
+}
+
+// Re-opened history entries resume at the furthest step they reached
+function getInitialStep(entry) {
+    if (!entry?.input?.image) return 1
+    if (entry.images?.length) return 3
+    if (entry.analysis) return 2
+    return 1
+}
 
 /**
  * ImageWorkflow Component
  * 
  * A multi-step workflow for image analysis and generation:
  * 1. Upload - User uploads an image file
- * 2. Analyze - Calls /api/analyze-image with base64 data
- * 3. Generate - Calls /api/generate-image with suggested prompt
+ * 2. Analyze - Calls /api/analyze-image with base64 data: objects, style, mood, lighting,
+ *    composition, visible text, camera cues and the image's measured color palette
+ *    The analysis and suggested prompt are editable, and can be refined via /api/enhance-text
+ * 3. Generate - Runs an /api/jobs job with suggested prompt + uploaded image (image-to-image),
+ *    displaying variations as they complete
+ * 
+ * Analyses, refinements and generations are recorded to the history panel.
  * 
  * @component
+ * @param {object|null} initialEntry - History entry to re-open (see lib/history.js)
  */
-function ImageWorkflow() {
+function ImageWorkflow({ initialEntry = null }) {
+    const initialImage = initialEntry?.input?.image || null
+
     // Workflow state
-    const [step, setStep] = useState(1) // 1: Upload, 2: Analyze, 3: Generate
-    const [selectedImage, setSelectedImage] = useState(null)
-    const [imagePreview, setImagePreview] = useState(null) // base64 data URL
-    const [analysis, setAnalysis] = useState(null)
-    const [suggestedPrompt, setSuggestedPrompt] = useState('')
-    const [generatedImages, setGeneratedImages] = useState([])
+    const [step, setStep] = useState(() => getInitialStep(initialEntry)) // 1: Upload, 2: Analyze, 3: Generate
+    const [selectedImage, setSelectedImage] = useState(() => initialImage && dataUrlToFile(initialImage))
+    const [imagePreview, setImagePreview] = useState(initialImage) // base64 data URL
+    const [analysis, setAnalysis] = useState(initialEntry?.analysis || null)
+    const [palette, setPalette] = useState(initialEntry?.palette || null) // [{ hex, weight }] from /api/analyze-image
+    const [suggestedPrompt, setSuggestedPrompt] = useState(initialEntry?.finalPrompt || '')
+    const [generatedImages, setGeneratedImages] = useState(initialEntry?.images || [])
+    const [pendingCount, setPendingCount] = useState(0) // variations still rendering
+    const [strength, setStrength] = useState(0.6) // How far variations move from the original
+    const [newObject, setNewObject] = useState('')
+    const [newText, setNewText] = useState('')
+    const [refineInstruction, setRefineInstruction] = useState('')
+    const [stylePreset, setStylePreset] = useState(initialEntry?.preset || null) // preset id from /api/styles
+    const stylePresets = useStylePresets()
     const [isLoading, setIsLoading] = useState(false)
     const [status, setStatus] = useState(null)
 
     const fileInputRef = useRef(null)
+    const generationRef = useRef(null) // AbortController of the running job
+
+    /**
+     * Save a history entry with the (downscaled) uploaded image as its input
+     */
+    const saveHistory = async (entry) => {
+        try {
+            const image = await downscaleDataUrl(imagePreview, MAX_INIT_IMAGE_SIZE)
+            await recordHistory({ workflow: 'image', input: { image }, palette, ...entry })
+        } catch (error) {
+            console.warn('Failed to save history entry:', error)
+        }
+    }
 
     /**
      * Handle file selection and convert to base64
@@ -71,21 +189,26 @@ function ImageWorkflow() {
     /**
      * Step 1 → 2: Analyze the uploaded image
      * API: POST /api/analyze-image { imageBase64 }
-     * Response: { analysis: { objects, style, mood, lighting }, suggestedPrompt }
+     * Response: { analysis: { objects, style, mood, lighting, framing, subjectPosition, text,
+     *             focalLength, depthOfField }, palette, suggestedPrompt, missing? }
      */
     const handleAnalyze = async () => {
         if (!selectedImage) return
 
         setIsLoading(true)
         setStatus({ type: 'processing', message: 'Analyzing image...' })
+        setPalette(null)
 
         try {
-            // 1. Convert to Base64
-            const base64 = await new Promise((resolve) => {
+            // 1. Convert to Base64, downscaled and re-encoded so large photos and
+            // formats the API does not accept (e.g. GIF, BMP) pass its validation.
+            // WebP keeps transparency, which the palette leaves out
+            const original = await new Promise((resolve) => {
                 const reader = new FileReader()
                 reader.onloadend = () => resolve(reader.result)
                 reader.readAsDataURL(selectedImage)
             })
+            const base64 = await downscaleDataUrl(original, MAX_ANALYSIS_IMAGE_SIZE, 'image/webp')
 
             // 2. Try Backend Analysis (Gemini/OpenAI)
             const response = await fetch('/api/analyze-image', {
@@ -94,73 +217,60 @@ function ImageWorkflow() {
                 body: JSON.stringify({ imageBase64: base64 })
             })
 
-            const data = await response.json()
+            const data = await readJson(response, 'Analysis failed')
 
-            if (!response.ok) {
-                console.warn('Backend analysis failed:', data.error)
-                throw new Error(data.error || 'Analysis failed')
-            }
+            if (!response.ok) throw toApiError(data, 'Analysis failed')
 
             setAnalysis(data.analysis)
+            setPalette(data.palette)
             setSuggestedPrompt(data.suggestedPrompt)
             setStep(2)
-            setStatus({ type: 'success', message: 'Analysis complete!' })
+            // The palette cannot be filled in by hand, so it is not asked for
+            setStatus({ type: 'success', message: analysisStatus('Analysis complete!', data.missing?.filter(field => field !== 'palette')) })
+            saveHistory({ kind: 'analyze', analysis: data.analysis, palette: data.palette, finalPrompt: data.suggestedPrompt })
 
         } catch (error) {
-            console.warn('Backend analysis failed, trying Puter.js fallback...', error)
+            // Puter.js would fail the same way on a bad or blocked image
+            if (!shouldFallback(error)) {
+                setStatus({ type: 'error', message: error.code === 'CONTENT_POLICY'
+                    ? 'This image was blocked by the content policy. Try another image.'
+                    : describeApiError(error, 'Analysis failed.') })
+                return
+            }
+
+            console.warn('Backend analysis failed, trying Puter.js fallback...', error.code, error.message)
             setStatus({ type: 'processing', message: 'Using Free AI Analysis (Puter.js)...' })
 
             // 3. Fallback to Puter.js Chat (Vision)
             try {
                 if (!window.puter) throw new Error('Puter.js not loaded')
 
-                // Improved prompt to request structured JSON
-                const prompt = `Analyze this image. Return a VALID JSON object with:
-                {
-                    "analysis": {
-                        "objects": ["list", "of", "items"],
-                        "style": "artistic style",
-                        "mood": "emotional atmosphere",
-                        "lighting": "lighting description"
-                    },
-                    "suggestedPrompt": "a detailed generation prompt..."
-                }
-                Do not include markdown formatting or backticks. Just the raw JSON.`
-
-                // Real attempt:
-                const resp = await window.puter.ai.chat(prompt, selectedImage)
-                let text = typeof resp === 'object' ? resp.message?.content || resp.toString() : resp.toString()
-
-                // Clean potential markdown code blocks
-                text = text.replace(/```json/g, '').replace(/```/g, '').trim()
-
-                let parsedData
-                try {
-                    parsedData = JSON.parse(text)
-                } catch (e) {
-                    console.warn('Failed to parse Puter JSON, falling back to text', e)
-                    // Fallback if AI returns plain text instead of JSON
-                    parsedData = {
-                        analysis: {
-                            objects: ['Detected elements'],
-                            style: 'AI Analyzed',
-                            mood: 'Auto',
-                            lighting: 'Auto'
-                        },
-                        suggestedPrompt: text
-                    }
-                }
+                const reply = puterText(await window.puter.ai.chat(PUTER_ANALYSIS_PROMPT, selectedImage))
 
+                // Same parsing as the server: one repair turn, then report what is still missing
+                const { value, missing } = await parseWithRepair(reply, IMAGE_ANALYSIS_SCHEMA, async instruction =>
+                    puterText(await window.puter.ai.chat(
+                        `${PUTER_ANALYSIS_PROMPT}\n\nYour previous reply:\n${reply}\n\n${instruction}`,
+                        selectedImage
+                    ))
+                )
+                if (!value || Object.keys(value).length === 0) throw new Error('Puter.js returned no usable analysis')
+
+                const parsedData = { analysis: value.analysis || {}, suggestedPrompt: value.suggestedPrompt || '' }
                 setAnalysis(parsedData.analysis)
                 setSuggestedPrompt(parsedData.suggestedPrompt)
                 setStep(2)
-                setStatus({ type: 'success', message: 'Analyzed with Puter.js!' })
+                setStatus({ type: 'success', message: analysisStatus('Analyzed with Puter.js!', missing) })
+                saveHistory({ kind: 'analyze', analysis: parsedData.analysis, finalPrompt: parsedData.suggestedPrompt, provider: 'puter' })
 
             } catch (puterError) {
                 console.error('Puter analysis failed:', puterError)
                 setStatus({ type: 'error', message: 'Analysis failed. Please describe the image manually.' })
                 // Allow manual entry
-                setAnalysis({ objects: [], style: '', mood: '', lighting: '' })
+                setAnalysis({
+                    objects: [], style: '', mood: '', lighting: '',
+                    framing: '', subjectPosition: '', text: [], focalLength: '', depthOfField: ''
+                })
                 setSuggestedPrompt(`Image of ${selectedImage.name}`)
                 setStep(2)
             }
@@ -170,44 +280,158 @@ function ImageWorkflow() {
     }
 
     /**
-     * Step 2 → 3: Generate variations using suggested prompt
-     * API: POST /api/generate-image { prompt, style? }
-     * Response: { images: [url1, url2, ...] }
+     * Step 2: Edit one analysis field inline
+     */
+    const handleAnalysisChange = (key, value) => {
+        setAnalysis({ ...analysis, [key]: value })
+    }
+
+    /**
+     * Step 2: Add a detected object tag
+     */
+    const handleAddObject = () => {
+        const value = newObject.trim()
+        if (!value) return
+        handleAnalysisChange('objects', [...(analysis?.objects || []), value])
+        setNewObject('')
+    }
+
+    /**
+     * Step 2: Add a line of visible text
+     */
+    const handleAddText = () => {
+        const value = newText.trim()
+        if (!value) return
+        handleAnalysisChange('text', [...(analysis?.text || []), value])
+        setNewText('')
+    }
+
+    /**
+     * Step 2: Copy a palette color's hex code
+     */
+    const handleCopyColor = async (hex) => {
+        try {
+            await navigator.clipboard.writeText(hex)
+            setStatus({ type: 'success', message: `Copied ${hex}` })
+        } catch {
+            setStatus({ type: 'error', message: `Could not copy ${hex}.` })
+        }
+    }
+
+    /**
+     * Step 2: Send the user's edits + an instruction back as a follow-up turn
+     * API: POST /api/enhance-text { previous: { analysis, enhancedPrompt }, instruction }
      */
+    const handleRefine = async () => {
+        setIsLoading(true)
+        setStatus({ type: 'processing', message: 'Refining prompt...' })
+
+        try {
+            const data = await refinePrompt({
+                analysis,
+                enhancedPrompt: suggestedPrompt,
+                instruction: refineInstruction.trim()
+            })
+
+            // Fields the model left out (data.missing) keep their current values.
+            // Keep objects and text lists even if the model returns a comma-separated string
+            const merged = { ...analysis, ...data.analysis }
+            const toList = value => Array.isArray(value) ? value : String(value || '').split(',').map(o => o.trim()).filter(Boolean)
+            const refined = {
+                ...merged,
+                objects: toList(merged.objects),
+                ...(merged.text !== undefined && { text: toList(merged.text) })
+            }
+            setAnalysis(refined)
+            setSuggestedPrompt(data.enhancedPrompt)
+            setRefineInstruction('')
+            setStatus({ type: 'success', message: data.missing
+                ? 'Prompt refined. The model left some fields out, so they keep their previous values.'
+                : 'Prompt refined!' })
+            saveHistory({ kind: 'refine', analysis: refined, finalPrompt: data.enhancedPrompt })
+        } catch (error) {
+            setStatus({ type: 'error', message: error.code === 'CONTENT_POLICY'
+                ? 'This instruction was blocked by the content policy. Try rewording it.'
+                : describeApiError(error, 'Refinement failed. Please try again.') })
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
     /**
-     * Step 2 → 3: Generate variations using suggested prompt
-     * API: POST /api/generate-image { prompt, style? }
-     * Fallback: Puter.js (Client-side)
+     * Step 2 → 3: Generate variations from the uploaded image + suggested prompt, one per poll
+     * API: POST /api/jobs { prompt, style? | preset?, initImage, strength }, then GET /api/jobs/<id> (see lib/jobs.js)
+     * Job: { status, count, images: [url1, ...], mode, notice?, providers, attempts, error: { code, message, ... } | null }
+     * Moves to step 3 with the first variation; the rest appear as they complete.
+     * Fallback: Puter.js (Client-side, text-only) when the backend produces nothing,
+     * unless the error would repeat there (see lib/apiError.js shouldFallback)
      */
     const handleGenerateVariations = async () => {
+        const controller = new AbortController()
+        generationRef.current = controller
         setIsLoading(true)
+        setGeneratedImages([])
         setStatus({ type: 'processing', message: 'Generating variations...' })
 
         try {
-            // 1. Try Backend API first (Gemini/Together/OpenAI)
-            const response = await fetch('/api/generate-image', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    prompt: suggestedPrompt,
-                    style: analysis?.style || undefined
-                })
+            // 1. Try Backend API first, passing the uploaded pixels for image-to-image
+            const initImage = await downscaleDataUrl(imagePreview, MAX_INIT_IMAGE_SIZE)
+            const job = await runImageJob({
+                prompt: suggestedPrompt,
+                // A preset carries its own style; otherwise use the analyzed one
+                preset: stylePreset || undefined,
+                style: stylePreset ? undefined : analysis?.style || undefined,
+                initImage,
+                strength
+            }, {
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    setGeneratedImages(progress.images)
+                    setPendingCount(progress.count - progress.images.length)
+                    if (progress.images.length > 0) setStep(3)
+                    setStatus({ type: 'processing', message: progress.warmingUp
+                        ? `Model warming up (${warmupLabel(progress.warmingUp)}), retrying... (${progress.images.length}/${progress.count})`
+                        : `Generating variations... (${progress.images.length}/${progress.count})` })
+                }
             })
 
-            const data = await response.json()
+            setStep(3)
+            if (job.status === 'succeeded') {
+                setStatus({
+                    type: 'success',
+                    message: job.notice
+                        ? `Generated ${job.images.length} variations. ${job.notice}`
+                        : `Generated ${job.images.length} variations!`
+                })
+            } else {
+                setStatus({ type: 'error', message: `Generated ${job.images.length} of ${job.count} variations. ${describeJobError(job)}` })
+            }
+            saveHistory({
+                kind: 'generate',
+                analysis,
+                finalPrompt: suggestedPrompt,
+                provider: job.providers[0] || null,
+                preset: stylePreset,
+                images: job.images
+            })
 
-            if (!response.ok) {
-                console.warn('Backend generation failed, switching to Puter.js fallback:', data.error)
-                throw new Error(data.error || 'Backend failed')
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                setStatus({ type: 'error', message: 'Generation cancelled.' })
+                return
             }
 
-            setGeneratedImages(data.images || [])
-            setStep(3)
-            setStatus({ type: 'success', message: `Generated ${data.images?.length || 0} variations!` })
+            if (error.code === 'CONTENT_POLICY') {
+                setStatus({ type: 'error', message: 'This prompt or its images were blocked by the content policy. Edit the suggested prompt and try again.' })
+                return
+            }
+            if (!shouldFallback(error)) {
+                setStatus({ type: 'error', message: describeApiError(error, 'Generation failed. Please try again.') })
+                return
+            }
 
-        } catch (error) {
             // 2. Fallback to Puter.js (Client-side) if backend fails
-            console.log('Attempting Puter.js fallback...')
+            console.warn('Backend generation failed, switching to Puter.js fallback:', error.code, error.attempts)
             setStatus({ type: 'processing', message: 'Using Free AI Fallback (Puter.js)...' })
 
             try {
@@ -215,38 +439,63 @@ function ImageWorkflow() {
 
                 // Puter returns an <img> element, we need the src
                 // Generating 2 images sequentially as Puter doesn't support batch count in one call easily
+                const preset = stylePresets.find(p => p.id === stylePreset)
+                const puterPrompt = applyStylePreset(preset, suggestedPrompt)
                 const images = []
                 for (let i = 0; i < 2; i++) {
-                    const imgElement = await window.puter.ai.txt2img(suggestedPrompt)
+                    const imgElement = await window.puter.ai.txt2img(puterPrompt)
                     images.push(imgElement.src)
                 }
 
                 setGeneratedImages(images)
                 setStep(3)
                 setStatus({ type: 'success', message: 'Generated with Puter.js!' })
+                saveHistory({
+                    kind: 'generate',
+                    analysis,
+                    finalPrompt: suggestedPrompt,
+                    provider: 'puter',
+                    preset: stylePreset,
+                    images
+                })
 
             } catch (puterError) {
                 console.error('Puter.js failed:', puterError)
                 setStatus({
                     type: 'error',
-                    message: 'All AI services are busy. Please try again later.'
+                    message: `All AI services are busy. ${describeApiError(error, 'Please try again later.')}`
                 })
             }
         } finally {
+            generationRef.current = null
+            setPendingCount(0)
             setIsLoading(false)
         }
     }
 
+    /**
+     * Stop polling and cancel the running job (variations so far are kept)
+     */
+    const handleCancelGenerate = () => {
+        generationRef.current?.abort()
+    }
+
     /**
      * Reset workflow to initial state
      */
     const handleReset = () => {
+        handleCancelGenerate()
         setStep(1)
         setSelectedImage(null)
         setImagePreview(null)
         setAnalysis(null)
+        setPalette(null)
         setSuggestedPrompt('')
         setGeneratedImages([])
+        setNewObject('')
+        setNewText('')
+        setRefineInstruction('')
+        setStylePreset(null)
         setStatus(null)
     }
 
@@ -350,26 +599,153 @@ function ImageWorkflow() {
                                     <h4>🎯 Objects Detected</h4>
                                     <div className="tags-container">
                                         {analysis?.objects?.map((obj, index) => (
-                                            <span key={index} className="tag">{obj}</span>
+                                            <span key={index} className="tag">
+                                                {obj}
+                                                <button
+                                                    className="tag-remove"
+                                                    onClick={() => handleAnalysisChange('objects', analysis.objects.filter((_, i) => i !== index))}
+                                                    aria-label={`Remove ${obj}`}
+                                                >
+                                                    ×
+                                                </button>
+                                            </span>
                                         ))}
+                                        <input
+                                            type="text"
+                                            className="tag-input"
+                                            value={newObject}
+                                            onChange={(e) => setNewObject(e.target.value)}
+                                            onKeyDown={(e) => e.key === 'Enter' && handleAddObject()}
+                                            onBlur={handleAddObject}
+                                            placeholder="+ Add"
+                                        />
                                     </div>
                                 </div>
 
                                 {/* Style */}
                                 <div className="analysis-section">
                                     <h4>🎨 Visual Style</h4>
-                                    <p>{analysis?.style || 'N/A'}</p>
+                                    <textarea
+                                        className="inline-edit"
+                                        value={analysis?.style || ''}
+                                        onChange={(e) => handleAnalysisChange('style', e.target.value)}
+                                        rows={2}
+                                    />
                                 </div>
 
                                 {/* Mood & Lighting */}
                                 <div className="analysis-row">
                                     <div className="analysis-section">
                                         <h4>💫 Mood</h4>
-                                        <p>{analysis?.mood || 'N/A'}</p>
+                                        <textarea
+                                            className="inline-edit"
+                                            value={analysis?.mood || ''}
+                                            onChange={(e) => handleAnalysisChange('mood', e.target.value)}
+                                            rows={2}
+                                        />
                                     </div>
                                     <div className="analysis-section">
                                         <h4>💡 Lighting</h4>
-                                        <p>{analysis?.lighting || 'N/A'}</p>
+                                        <textarea
+                                            className="inline-edit"
+                                            value={analysis?.lighting || ''}
+                                            onChange={(e) => handleAnalysisChange('lighting', e.target.value)}
+                                            rows={2}
+                                        />
+                                    </div>
+                                </div>
+
+                                {/* Palette, measured from the image's pixels */}
+                                {palette?.length > 0 && (
+                                    <div className="analysis-section">
+                                        <h4>🌈 Color Palette</h4>
+                                        <div className="color-palette">
+                                            {palette.map(({ hex, weight }) => (
+                                                <div key={hex} className="color-chip">
+                                                    <button
+                                                        className="color-swatch"
+                                                        style={{ background: hex }}
+                                                        onClick={() => handleCopyColor(hex)}
+                                                        title={`Copy ${hex}`}
+                                                        aria-label={`Copy ${hex}`}
+                                                    />
+                                                    <span className="color-label">{hex}</span>
+                                                    <span className="color-label">{Math.round(weight * 100)}%</span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Composition */}
+                                <div className="analysis-row">
+                                    <div className="analysis-section">
+                                        <h4>📐 Framing</h4>
+                                        <textarea
+                                            className="inline-edit"
+                                            value={analysis?.framing || ''}
+                                            onChange={(e) => handleAnalysisChange('framing', e.target.value)}
+                                            rows={2}
+                                        />
+                                    </div>
+                                    <div className="analysis-section">
+                                        <h4>📍 Subject Position</h4>
+                                        <textarea
+                                            className="inline-edit"
+                                            value={analysis?.subjectPosition || ''}
+                                            onChange={(e) => handleAnalysisChange('subjectPosition', e.target.value)}
+                                            rows={2}
+                                        />
+                                    </div>
+                                </div>
+
+                                {/* Visible Text */}
+                                <div className="analysis-section">
+                                    <h4>🔤 Visible Text</h4>
+                                    <div className="tags-container">
+                                        {analysis?.text?.map((line, index) => (
+                                            <span key={index} className="tag">
+                                                {line}
+                                                <button
+                                                    className="tag-remove"
+                                                    onClick={() => handleAnalysisChange('text', analysis.text.filter((_, i) => i !== index))}
+                                                    aria-label={`Remove ${line}`}
+                                                >
+                                                    ×
+                                                </button>
+                                            </span>
+                                        ))}
+                                        <input
+                                            type="text"
+                                            className="tag-input"
+                                            value={newText}
+                                            onChange={(e) => setNewText(e.target.value)}
+                                            onKeyDown={(e) => e.key === 'Enter' && handleAddText()}
+                                            onBlur={handleAddText}
+                                            placeholder="+ Add"
+                                        />
+                                    </div>
+                                </div>
+
+                                {/* Camera */}
+                                <div className="analysis-row">
+                                    <div className="analysis-section">
+                                        <h4>🔭 Focal Length</h4>
+                                        <textarea
+                                            className="inline-edit"
+                                            value={analysis?.focalLength || ''}
+                                            onChange={(e) => handleAnalysisChange('focalLength', e.target.value)}
+                                            rows={2}
+                                        />
+                                    </div>
+                                    <div className="analysis-section">
+                                        <h4>📷 Depth of Field</h4>
+                                        <textarea
+                                            className="inline-edit"
+                                            value={analysis?.depthOfField || ''}
+                                            onChange={(e) => handleAnalysisChange('depthOfField', e.target.value)}
+                                            rows={2}
+                                        />
                                     </div>
                                 </div>
                             </div>
@@ -378,17 +754,67 @@ function ImageWorkflow() {
                         {/* Suggested Prompt */}
                         <div className="suggested-prompt">
                             <h4>✨ Suggested Generation Prompt</h4>
-                            <div className="text-preview">{suggestedPrompt}</div>
+                            <textarea
+                                className="inline-edit"
+                                value={suggestedPrompt}
+                                onChange={(e) => setSuggestedPrompt(e.target.value)}
+                                rows={5}
+                            />
                         </div>
 
-                        <div className="step-actions">
-                            <button className="btn btn-secondary" onClick={() => setStep(1)}>
-                                ← Back
+                        {/* Refine */}
+                        <div className="refine-bar">
+                            <input
+                                type="text"
+                                value={refineInstruction}
+                                onChange={(e) => setRefineInstruction(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && !isLoading && suggestedPrompt.trim() && handleRefine()}
+                                placeholder="Refine with an instruction, e.g. 'make it moodier'"
+                            />
+                            <button
+                                className="btn btn-secondary"
+                                onClick={handleRefine}
+                                disabled={isLoading || !suggestedPrompt.trim()}
+                            >
+                                {isLoading ? <span className="spinner"></span> : <span>✨</span>}
+                                Refine
                             </button>
+                        </div>
+
+                        <StylePresetPicker presets={stylePresets} value={stylePreset} onChange={setStylePreset} />
+
+                        {/* Variation Strength */}
+                        <div className="strength-control">
+                            <label htmlFor="variation-strength">
+                                <span>🎚️ Variation Strength</span>
+                                <span>{Math.round(strength * 100)}%</span>
+                            </label>
+                            <input
+                                id="variation-strength"
+                                type="range"
+                                min="0.1"
+                                max="0.9"
+                                step="0.05"
+                                value={strength}
+                                onChange={(e) => setStrength(parseFloat(e.target.value))}
+                            />
+                            <small>Lower keeps closer to the original image; higher follows the prompt more.</small>
+                        </div>
+
+                        <div className="step-actions">
+                            {isLoading ? (
+                                <button className="btn btn-secondary" onClick={handleCancelGenerate}>
+                                    Cancel
+                                </button>
+                            ) : (
+                                <button className="btn btn-secondary" onClick={() => setStep(1)}>
+                                    ← Back
+                                </button>
+                            )}
                             <button
                                 className="btn btn-primary"
                                 onClick={handleGenerateVariations}
-                                disabled={isLoading}
+                                disabled={isLoading || !suggestedPrompt.trim()}
                             >
                                 {isLoading ? (
                                     <>
@@ -409,9 +835,11 @@ function ImageWorkflow() {
                 {/* Step 3: Generated Variations */}
                 {step === 3 && (
                     <div className="workflow-step animate-fade-in">
-                        <h2>🎨 Generated Variations</h2>
+                        <h2>{isLoading ? '⏳ Generating Variations...' : '🎨 Generated Variations'}</h2>
                         <p className="step-description">
-                            Here are AI-generated variations based on your image analysis.
+                            {isLoading
+                                ? 'Variations appear here as they complete.'
+                                : 'Here are AI-generated variations based on your image analysis.'}
                         </p>
 
                         <div className="variations-grid">
@@ -430,6 +858,11 @@ function ImageWorkflow() {
                                     <div className="variation-label">Variation {index + 1}</div>
                                 </div>
                             ))}
+                            {Array.from({ length: pendingCount }, (_, index) => (
+                                <div key={`pending-${index}`} className="variation-card pending">
+                                    <span className="spinner"></span>
+                                </div>
+                            ))}
                         </div>
 
                         <div className="prompt-used">
@@ -438,9 +871,15 @@ function ImageWorkflow() {
                         </div>
 
                         <div className="step-actions">
-                            <button className="btn btn-secondary" onClick={() => setStep(2)}>
-                                ← Regenerate
-                            </button>
+                            {isLoading ? (
+                                <button className="btn btn-secondary" onClick={handleCancelGenerate}>
+                                    Cancel
+                                </button>
+                            ) : (
+                                <button className="btn btn-secondary" onClick={() => setStep(2)}>
+                                    ← Regenerate
+                                </button>
+                            )}
                             <button className="btn btn-primary" onClick={handleReset}>
                                 <span>↻</span>
                                 Start New
@@ -0,0 +1,42 @@
+import './StylePresetPicker.css'
+
+/**
+ * StylePresetPicker Component
+ *
+ * Chip selector for the server-side style presets (GET /api/styles).
+ * Renders nothing until presets have loaded.
+ *
+ * @component
+ * @param {object[]} presets - Presets from useStylePresets()
+ * @param {string|null} value - Selected preset id, or null for none
+ * @param {(id: string|null) => void} onChange
+ */
+function StylePresetPicker({ presets, value, onChange }) {
+    if (presets.length === 0) return null
+
+    return (
+        <div className="style-preset-picker">
+            <h4>🎭 Style Preset</h4>
+            <div className="style-preset-options">
+                <button
+                    className={`style-preset ${value === null ? 'active' : ''}`}
+                    onClick={() => onChange(null)}
+                >
+                    None
+                </button>
+                {presets.map(preset => (
+                    <button
+                        key={preset.id}
+                        className={`style-preset ${value === preset.id ? 'active' : ''}`}
+                        onClick={() => onChange(preset.id)}
+                        title={`${preset.description} (${preset.aspectRatio})`}
+                    >
+                        {preset.name}
+                    </button>
+                ))}
+            </div>
+        </div>
+    )
+}
+
+export default StylePresetPicker
@@ -1,31 +1,75 @@
-import { useState } from 'react'
+import { useRef, useState } from 'react'
 import './TextWorkflow.css'
+import { describeApiError, readJson, toApiError } from '../lib/apiError'
+import { extractPartialString, readEventStream } from '../lib/sse'
+import { describeMissing, refinePrompt } from '../lib/enhance'
+import { useStylePresets } from '../lib/styles'
+import { recordHistory } from '../lib/history'
+import { describeJobError, runImageJob, warmupLabel } from '../lib/jobs'
+import StylePresetPicker from './StylePresetPicker'
+
+// Editable analysis fields shown in the Analyze step
+const ANALYSIS_FIELDS = [
+    { key: 'intent', label: '🎯 Intent' },
+    { key: 'tone', label: '🎨 Tone' },
+    { key: 'style', label: '✨ Style' }
+]
+
+// Split a prompt into phrases that can be picked when merging candidates
+function splitPieces(prompt) {
+    return prompt.split(/(?<=[.,;])\s+/).filter(Boolean)
+}
+
+// Re-opened history entries resume at the furthest step they reached
+function getInitialStep(entry) {
+    if (!entry) return 1
+    if (entry.images?.length) return 4
+    if (entry.analysis && entry.finalPrompt) return 2
+    return 1
+}
 
 /**
  * TextWorkflow Component
  * 
  * A multi-step workflow for prompt enhancement and image generation:
  * 1. Input - User enters a prompt description
- * 2. Analyze - Calls /api/enhance-text, displays analysis + enhanced prompt
+ * 2. Analyze - Streams /api/enhance-text, displays enhanced prompt as it arrives + analysis
+ *    (or requests N candidates in different directions to pick from / merge)
+ *    The analysis and enhanced prompt are editable, and can be refined with a follow-up instruction
  * 3. Approve - User reviews and approves the enhanced prompt
- * 4. Generate - Calls /api/generate-image, displays generated images
+ * 4. Generate - Runs an /api/jobs job, displaying images as they complete
+ * 
+ * Enhancements, refinements and generations are recorded to the history panel.
  * 
  * @component
+ * @param {object|null} initialEntry - History entry to re-open (see lib/history.js)
  */
-function TextWorkflow() {
+function TextWorkflow({ initialEntry = null }) {
     // Workflow state
-    const [step, setStep] = useState(1) // 1: Input, 2: Analyze, 3: Approve, 4: Generate
-    const [inputPrompt, setInputPrompt] = useState('')
-    const [analysis, setAnalysis] = useState(null)
-    const [enhancedPrompt, setEnhancedPrompt] = useState('')
-    const [generatedImages, setGeneratedImages] = useState([])
+    const [step, setStep] = useState(() => getInitialStep(initialEntry)) // 1: Input, 2: Analyze, 3: Approve, 4: Generate
+    const [inputPrompt, setInputPrompt] = useState(initialEntry?.input?.prompt || '')
+    const [analysis, setAnalysis] = useState(initialEntry?.analysis || null)
+    const [enhancedPrompt, setEnhancedPrompt] = useState(initialEntry?.finalPrompt || '')
+    const [generatedImages, setGeneratedImages] = useState(initialEntry?.images || [])
+    const [pendingCount, setPendingCount] = useState(0) // images still rendering
+    const generationRef = useRef(null) // AbortController of the running job
     const [isLoading, setIsLoading] = useState(false)
+    const [isStreaming, setIsStreaming] = useState(false)
+    const [candidateCount, setCandidateCount] = useState(1)
+    const [candidates, setCandidates] = useState([]) // [{ direction, analysis, enhancedPrompt }]
+    const [selectedCandidate, setSelectedCandidate] = useState(0) // null while merging
+    const [mergePieces, setMergePieces] = useState([]) // [{ key, candidate, text }]
+    const [refineInstruction, setRefineInstruction] = useState('')
+    const [stylePreset, setStylePreset] = useState(initialEntry?.preset || null) // preset id from /api/styles
+    const stylePresets = useStylePresets()
     const [status, setStatus] = useState(null)
 
     /**
      * Step 1 → 2: Submit prompt for AI analysis and enhancement
-     * API: POST /api/enhance-text { prompt }
-     * Response: { analysis: { intent, tone, style }, enhancedPrompt }
+     * API: POST /api/enhance-text?stream=1 { prompt }
+     * Events: delta { content } ... then done { analysis: { intent, tone, style }, enhancedPrompt, missing? }
+     * With candidateCount > 1: POST /api/enhance-text { prompt, candidates }
+     * Response: { analysis, enhancedPrompt, candidates: [{ direction, analysis, enhancedPrompt }] }
      */
     const handleEnhance = async () => {
         if (!inputPrompt.trim()) return
@@ -33,26 +77,162 @@ function TextWorkflow() {
         setIsLoading(true)
         setStatus({ type: 'processing', message: 'Analyzing and enhancing prompt...' })
 
+        // Candidates are generated in parallel and returned together, so only a single result streams
+        const streaming = candidateCount === 1
+        setCandidates([])
+        setSelectedCandidate(0)
+        setMergePieces([])
+
         try {
-            const response = await fetch('/api/enhance-text', {
+            const response = await fetch(streaming ? '/api/enhance-text?stream=1' : '/api/enhance-text', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ prompt: inputPrompt })
+                body: JSON.stringify(streaming
+                    ? { prompt: inputPrompt }
+                    : { prompt: inputPrompt, candidates: candidateCount })
             })
 
-            const data = await response.json()
+            // Validation/config errors come back as plain JSON before any streaming starts
+            if (!response.ok || !response.headers.get('content-type')?.includes('text/event-stream')) {
+                const data = await readJson(response, 'Enhancement failed')
+                if (!response.ok) throw toApiError(data, 'Enhancement failed')
+                setAnalysis(data.analysis)
+                setEnhancedPrompt(data.enhancedPrompt)
+                setCandidates(data.candidates || [])
+                setStep(2)
+                recordHistory({
+                    workflow: 'text',
+                    kind: 'enhance',
+                    input: { prompt: inputPrompt },
+                    analysis: data.analysis,
+                    finalPrompt: data.enhancedPrompt
+                })
+                setStatus({
+                    type: 'success',
+                    message: data.candidates?.length > 1
+                        ? `${data.candidates.length} candidates ready. Pick one or merge phrases.`
+                        : `Prompt analyzed and enhanced!${describeMissing(data.missing)}`
+                })
+                return
+            }
+
+            // Render the enhanced prompt as it streams in; analysis arrives with "done"
+            setAnalysis(null)
+            setEnhancedPrompt('')
+            setIsStreaming(true)
+            setStep(2)
 
-            if (!response.ok) {
-                throw new Error(data.error || 'Enhancement failed')
+            let content = ''
+            let streamError = null
+            let result = null
+            await readEventStream(response, (event, data) => {
+                if (event === 'delta') {
+                    content += data.content
+                    setEnhancedPrompt(extractPartialString(content, 'enhancedPrompt'))
+                } else if (event === 'done') {
+                    result = data
+                    setAnalysis(data.analysis)
+                    setEnhancedPrompt(data.enhancedPrompt)
+                } else if (event === 'error') {
+                    streamError = toApiError(data, 'Enhancement failed')
+                }
+            })
+
+            if (streamError) throw streamError
+            if (result) {
+                recordHistory({
+                    workflow: 'text',
+                    kind: 'enhance',
+                    input: { prompt: inputPrompt },
+                    analysis: result.analysis,
+                    finalPrompt: result.enhancedPrompt
+                })
             }
+            setStatus({ type: 'success', message: `Prompt analyzed and enhanced!${describeMissing(result?.missing)}` })
+        } catch (error) {
+            setStep(1)
+            setStatus({ type: 'error', message: error.code === 'CONTENT_POLICY'
+                ? 'This prompt was blocked by the content policy. Try rewording it.'
+                : describeApiError(error, 'Enhancement failed. Please try again.') })
+        } finally {
+            setIsStreaming(false)
+            setIsLoading(false)
+        }
+    }
 
-            // Store the analysis and enhanced prompt from API response
-            setAnalysis(data.analysis)
+    /**
+     * Step 2: Use one candidate as-is
+     */
+    const handleSelectCandidate = (index) => {
+        setSelectedCandidate(index)
+        setMergePieces([])
+        setAnalysis(candidates[index].analysis)
+        setEnhancedPrompt(candidates[index].enhancedPrompt)
+    }
+
+    /**
+     * Step 2: Toggle a phrase from any candidate into the merged prompt.
+     * The merged prompt takes its analysis from the first candidate contributing to it.
+     */
+    const handleTogglePiece = (candidateIndex, pieceIndex, text) => {
+        const key = `${candidateIndex}:${pieceIndex}`
+        const next = mergePieces.some(piece => piece.key === key)
+            ? mergePieces.filter(piece => piece.key !== key)
+            : [...mergePieces, { key, candidate: candidateIndex, text }]
+
+        if (next.length === 0) {
+            handleSelectCandidate(selectedCandidate ?? 0)
+            return
+        }
+
+        setMergePieces(next)
+        setSelectedCandidate(null)
+        setAnalysis(candidates[next[0].candidate].analysis)
+        setEnhancedPrompt(next.map(piece => piece.text).join(' '))
+    }
+
+    /**
+     * Step 2: Edit one analysis field inline
+     */
+    const handleAnalysisChange = (key, value) => {
+        setAnalysis({ ...analysis, [key]: value })
+    }
+
+    /**
+     * Step 2: Send the user's edits + an instruction back as a follow-up turn
+     * API: POST /api/enhance-text { prompt, previous: { analysis, enhancedPrompt }, instruction }
+     */
+    const handleRefine = async () => {
+        setIsLoading(true)
+        setStatus({ type: 'processing', message: 'Refining prompt...' })
+
+        try {
+            const data = await refinePrompt({
+                prompt: inputPrompt,
+                analysis,
+                enhancedPrompt,
+                instruction: refineInstruction.trim()
+            })
+
+            // Fields the model left out (data.missing) keep their current values
+            const refined = { ...analysis, ...data.analysis }
+            setAnalysis(refined)
             setEnhancedPrompt(data.enhancedPrompt)
-            setStep(2)
-            setStatus({ type: 'success', message: 'Prompt analyzed and enhanced!' })
+            setRefineInstruction('')
+            setStatus({ type: 'success', message: data.missing
+                ? 'Prompt refined. The model left some fields out, so they keep their previous values.'
+                : 'Prompt refined!' })
+            recordHistory({
+                workflow: 'text',
+                kind: 'refine',
+                input: { prompt: inputPrompt },
+                analysis: refined,
+                finalPrompt: data.enhancedPrompt
+            })
         } catch (error) {
-            setStatus({ type: 'error', message: error.message || 'Enhancement failed. Please try again.' })
+            setStatus({ type: 'error', message: error.code === 'CONTENT_POLICY'
+                ? 'This instruction was blocked by the content policy. Try rewording it.'
+                : describeApiError(error, 'Refinement failed. Please try again.') })
         } finally {
             setIsLoading(false)
         }
@@ -67,50 +247,90 @@ function TextWorkflow() {
     }
 
     /**
-     * Step 3 → 4: Generate images using the enhanced prompt
-     * API: POST /api/generate-image { prompt, style? }
-     * Response: { images: [url1, url2, ...] }
+     * Step 3 → 4: Generate images using the enhanced prompt, one per poll
+     * API: POST /api/jobs { prompt, style? | preset? }, then GET /api/jobs/<id> (see lib/jobs.js)
+     * Job: { status, count, images: [url1, ...], providers, attempts, error: { code, message, ... } | null }
+     * Moves to step 4 with the first image; the rest appear as they complete.
      */
     const handleGenerate = async () => {
+        const controller = new AbortController()
+        generationRef.current = controller
         setIsLoading(true)
-        setStatus({ type: 'processing', message: 'Generating images with DALL-E 3...' })
+        setGeneratedImages([])
+        setStatus({ type: 'processing', message: 'Generating images...' })
 
         try {
-            const response = await fetch('/api/generate-image', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    prompt: enhancedPrompt,
-                    style: analysis?.style || undefined
-                })
+            const job = await runImageJob({
+                prompt: enhancedPrompt,
+                // A preset carries its own style; otherwise use the analyzed one
+                preset: stylePreset || undefined,
+                style: stylePreset ? undefined : analysis?.style || undefined
+            }, {
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    setGeneratedImages(progress.images)
+                    setPendingCount(progress.count - progress.images.length)
+                    if (progress.images.length > 0) setStep(4)
+                    setStatus({ type: 'processing', message: progress.warmingUp
+                        ? `Model warming up (${warmupLabel(progress.warmingUp)}), retrying... (${progress.images.length}/${progress.count})`
+                        : `Generating images... (${progress.images.length}/${progress.count})` })
+                }
             })
 
-            const data = await response.json()
-
-            if (!response.ok) {
-                throw new Error(data.error || 'Image generation failed')
-            }
-
-            // Store generated image URLs
-            setGeneratedImages(data.images || [])
             setStep(4)
-            setStatus({ type: 'success', message: `Generated ${data.images?.length || 0} images!` })
+            setStatus(job.status === 'succeeded'
+                ? { type: 'success', message: `Generated ${job.images.length} images!` }
+                : { type: 'error', message: `Generated ${job.images.length} of ${job.count} images. ${describeJobError(job)}` })
+            recordHistory({
+                workflow: 'text',
+                kind: 'generate',
+                input: { prompt: inputPrompt },
+                analysis,
+                finalPrompt: enhancedPrompt,
+                provider: job.providers[0] || null,
+                preset: stylePreset,
+                images: job.images
+            })
         } catch (error) {
-            setStatus({ type: 'error', message: error.message || 'Generation failed. Please try again.' })
+            if (error.name === 'AbortError') {
+                setStatus({ type: 'error', message: 'Generation cancelled.' })
+            } else if (error.code === 'CONTENT_POLICY') {
+                // Let the user reword the prompt rather than retry it unchanged
+                setStep(2)
+                setStatus({ type: 'error', message: 'This prompt or its images were blocked by the content policy. Edit the prompt and try again.' })
+            } else {
+                console.warn('Image generation failed:', error.code, error.attempts)
+                setStatus({ type: 'error', message: describeApiError(error, 'Generation failed. Please try again.') })
+            }
         } finally {
+            generationRef.current = null
+            setPendingCount(0)
             setIsLoading(false)
         }
     }
 
+    /**
+     * Stop polling and cancel the running job (images so far are kept)
+     */
+    const handleCancelGenerate = () => {
+        generationRef.current?.abort()
+    }
+
     /**
      * Reset workflow to initial state
      */
     const handleReset = () => {
+        handleCancelGenerate()
         setStep(1)
         setInputPrompt('')
         setAnalysis(null)
         setEnhancedPrompt('')
         setGeneratedImages([])
+        setCandidates([])
+        setSelectedCandidate(0)
+        setMergePieces([])
+        setRefineInstruction('')
+        setStylePreset(null)
         setStatus(null)
     }
 
@@ -154,6 +374,19 @@ function TextWorkflow() {
                             placeholder="Describe what you want to create, e.g., 'A cat sitting on a windowsill at sunset'"
                             rows={6}
                         />
+                        <div className="candidate-count">
+                            <label htmlFor="candidate-count">Candidates</label>
+                            <select
+                                id="candidate-count"
+                                value={candidateCount}
+                                onChange={(e) => setCandidateCount(parseInt(e.target.value, 10))}
+                            >
+                                <option value={1}>1 (stream)</option>
+                                <option value={2}>2 directions</option>
+                                <option value={3}>3 directions</option>
+                                <option value={4}>4 directions</option>
+                            </select>
+                        </div>
                         <div className="step-actions">
                             <button
                                 className="btn btn-primary"
@@ -184,20 +417,61 @@ function TextWorkflow() {
                             Review the AI analysis and enhanced prompt for image generation.
                         </p>
 
+                        {/* Candidate Selection */}
+                        {candidates.length > 1 && (
+                            <>
+                                <div className="candidate-grid">
+                                    {candidates.map((candidate, index) => (
+                                        <div
+                                            key={index}
+                                            className={`candidate-card ${selectedCandidate === index ? 'selected' : ''}`}
+                                        >
+                                            <div className="candidate-header">
+                                                <span className="candidate-direction">{candidate.direction}</span>
+                                                <button
+                                                    className="btn btn-secondary btn-small"
+                                                    onClick={() => handleSelectCandidate(index)}
+                                                >
+                                                    {selectedCandidate === index ? '✓ Selected' : 'Use this'}
+                                                </button>
+                                            </div>
+                                            <div className="candidate-pieces">
+                                                {splitPieces(candidate.enhancedPrompt).map((piece, pieceIndex) => (
+                                                    <button
+                                                        key={pieceIndex}
+                                                        className={`piece-chip ${mergePieces.some(p => p.key === `${index}:${pieceIndex}`) ? 'active' : ''}`}
+                                                        onClick={() => handleTogglePiece(index, pieceIndex, piece)}
+                                                    >
+                                                        {piece}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                                <p className="candidate-hint">
+                                    Pick a candidate, or click phrases from any candidates to merge them into one prompt.
+                                </p>
+                            </>
+                        )}
+
                         {/* Analysis Cards */}
                         <div className="analysis-cards">
-                            <div className="analysis-card">
-                                <h4>🎯 Intent</h4>
-                                <p>{analysis?.intent || 'N/A'}</p>
-                            </div>
-                            <div className="analysis-card">
-                                <h4>🎨 Tone</h4>
-                                <p>{analysis?.tone || 'N/A'}</p>
-                            </div>
-                            <div className="analysis-card">
-                                <h4>✨ Style</h4>
-                                <p>{analysis?.style || 'N/A'}</p>
-                            </div>
+                            {ANALYSIS_FIELDS.map(({ key, label }) => (
+                                <div key={key} className="analysis-card">
+                                    <h4>{label}</h4>
+                                    {analysis ? (
+                                        <textarea
+                                            className="inline-edit"
+                                            value={analysis[key] || ''}
+                                            onChange={(e) => handleAnalysisChange(key, e.target.value)}
+                                            rows={3}
+                                        />
+                                    ) : (
+                                        <p>{isStreaming ? '…' : 'N/A'}</p>
+                                    )}
+                                </div>
+                            ))}
                         </div>
 
                         {/* Comparison View */}
@@ -207,16 +481,45 @@ function TextWorkflow() {
                                 <div className="text-preview">{inputPrompt}</div>
                             </div>
                             <div className="comparison-panel enhanced">
-                                <h4>Enhanced Prompt</h4>
-                                <div className="text-preview">{enhancedPrompt}</div>
+                                <h4>{selectedCandidate === null ? 'Merged Prompt' : 'Enhanced Prompt'}</h4>
+                                {isStreaming ? (
+                                    <div className="text-preview streaming">{enhancedPrompt}</div>
+                                ) : (
+                                    <textarea
+                                        className="inline-edit"
+                                        value={enhancedPrompt}
+                                        onChange={(e) => setEnhancedPrompt(e.target.value)}
+                                        rows={6}
+                                    />
+                                )}
                             </div>
                         </div>
 
+                        {/* Refine */}
+                        <div className="refine-bar">
+                            <input
+                                type="text"
+                                value={refineInstruction}
+                                onChange={(e) => setRefineInstruction(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && !isLoading && enhancedPrompt.trim() && handleRefine()}
+                                placeholder="Refine with an instruction, e.g. 'make it moodier'"
+                                disabled={isStreaming}
+                            />
+                            <button
+                                className="btn btn-secondary"
+                                onClick={handleRefine}
+                                disabled={isLoading || isStreaming || !analysis || !enhancedPrompt.trim()}
+                            >
+                                {isLoading ? <span className="spinner"></span> : <span>✨</span>}
+                                Refine
+                            </button>
+                        </div>
+
                         <div className="step-actions">
-                            <button className="btn btn-secondary" onClick={() => setStep(1)}>
+                            <button className="btn btn-secondary" onClick={() => setStep(1)} disabled={isStreaming || isLoading}>
                                 ← Back
                             </button>
-                            <button className="btn btn-primary" onClick={handleApprove}>
+                            <button className="btn btn-primary" onClick={handleApprove} disabled={isStreaming || isLoading || !analysis || !enhancedPrompt.trim()}>
                                 <span>✓</span>
                                 Approve & Continue
                             </button>
@@ -239,10 +542,18 @@ function TextWorkflow() {
                             <div className="text-preview">{enhancedPrompt}</div>
                         </div>
 
+                        <StylePresetPicker presets={stylePresets} value={stylePreset} onChange={setStylePreset} />
+
                         <div className="step-actions">
-                            <button className="btn btn-secondary" onClick={() => setStep(2)}>
-                                ← Back
-                            </button>
+                            {isLoading ? (
+                                <button className="btn btn-secondary" onClick={handleCancelGenerate}>
+                                    Cancel
+                                </button>
+                            ) : (
+                                <button className="btn btn-secondary" onClick={() => setStep(2)}>
+                                    ← Back
+                                </button>
+                            )}
                             <button
                                 className="btn btn-primary"
                                 onClick={handleGenerate}
@@ -267,9 +578,11 @@ function TextWorkflow() {
                 {/* Step 4: Generated Images */}
                 {step === 4 && (
                     <div className="workflow-step animate-fade-in">
-                        <h2>🎉 Images Generated!</h2>
+                        <h2>{isLoading ? '⏳ Generating Images...' : '🎉 Images Generated!'}</h2>
                         <p className="step-description">
-                            Your AI-generated images are ready. Click on any image to view full size.
+                            {isLoading
+                                ? 'Images appear here as they complete. Click on any image to view full size.'
+                                : 'Your AI-generated images are ready. Click on any image to view full size.'}
                         </p>
 
                         <div className="generated-images-grid">
@@ -281,6 +594,11 @@ function TextWorkflow() {
                                     <div className="image-label">Image {index + 1}</div>
                                 </div>
                             ))}
+                            {Array.from({ length: pendingCount }, (_, index) => (
+                                <div key={`pending-${index}`} className="generated-image-card pending">
+                                    <span className="spinner"></span>
+                                </div>
+                            ))}
                         </div>
 
                         <div className="prompt-used">
@@ -289,9 +607,15 @@ function TextWorkflow() {
                         </div>
 
                         <div className="step-actions">
-                            <button className="btn btn-secondary" onClick={() => setStep(3)}>
-                                ← Regenerate
-                            </button>
+                            {isLoading ? (
+                                <button className="btn btn-secondary" onClick={handleCancelGenerate}>
+                                    Cancel
+                                </button>
+                            ) : (
+                                <button className="btn btn-secondary" onClick={() => setStep(3)}>
+                                    ← Regenerate
+                                </button>
+                            )}
                             <button className="btn btn-primary" onClick={handleReset}>
                                 <span>↻</span>
                                 Start New
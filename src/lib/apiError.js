@@ -0,0 +1,115 @@
+/**
+ * Client helpers for the API's error envelope:
+ * { error: { code, message, provider?, retryable, requestId, ...details } }
+ * (codes are catalogued in api/_lib/errors.js and the README)
+ */
+
+// Errors the user can fix, or that any other AI service would repeat
+const USER_CODES = [
+    'INVALID_REQUEST',
+    'PAYLOAD_TOO_LARGE',
+    'UNSUPPORTED_MEDIA_TYPE',
+    'CONTENT_POLICY',
+    'RATE_LIMITED',
+    'UNAUTHORIZED',
+    'FORBIDDEN',
+    'NOT_FOUND',
+    'METHOD_NOT_ALLOWED'
+]
+
+const MESSAGES = {
+    CONTENT_POLICY: 'This request was blocked by the content policy. Try rewording it.',
+    PROVIDER_QUOTA: 'The AI service has reached its usage limit. Please try again later.',
+    PROVIDER_AUTH: 'The server\'s AI service credentials were rejected.',
+    PROVIDER_UNAVAILABLE: 'The AI service is unavailable right now. Please try again.',
+    INVALID_PROVIDER_RESPONSE: 'The AI service returned an unreadable response. Please try again.',
+    NO_PROVIDER: 'No AI service is configured on the server.',
+    TIMEOUT: 'The AI service took too long to respond. Please try again.'
+}
+
+/**
+ * Turn an error body (or a failed job) into an Error carrying its code
+ *
+ * @param {object} data - Response body, or a job whose `error` is set
+ * @param {string} fallback - Message when the body has none
+ * @returns {Error} With `code`, `retryable`, `requestId`, `provider`, `attempts`
+ *   and, when sent, `warmingUp` and `retryAfter`
+ */
+export function toApiError(data, fallback) {
+    const body = data?.error
+    // Bodies from outside the API (e.g. a platform error page) have no envelope
+    const details = body && typeof body === 'object' ? body : { message: body }
+
+    return Object.assign(new Error(details.message || fallback), {
+        code: details.code || 'INTERNAL',
+        retryable: Boolean(details.retryable),
+        requestId: details.requestId || null,
+        provider: details.provider || null,
+        attempts: details.attempts || data?.attempts || [],
+        warmingUp: details.warmingUp || null,
+        retryAfter: details.retryAfter || 0
+    })
+}
+
+// Codes for statuses a platform answers itself, without a JSON body
+const STATUS_CODES = {
+    400: 'INVALID_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    408: 'TIMEOUT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    429: 'RATE_LIMITED',
+    502: 'PROVIDER_UNAVAILABLE',
+    503: 'PROVIDER_UNAVAILABLE',
+    504: 'TIMEOUT'
+}
+
+const STATUS_MESSAGES = {
+    PAYLOAD_TOO_LARGE: 'The request is too large. Try a smaller image.',
+    RATE_LIMITED: 'Too many requests. Please wait a moment and try again.'
+}
+
+/**
+ * Parse a response body as JSON. A body that is not JSON (e.g. a platform's
+ * HTML 413 or 504 page) throws an error built from the HTTP status instead.
+ *
+ * @param {Response} response
+ * @param {string} fallback - Message when the status has no description
+ * @returns {Promise<object>}
+ */
+export async function readJson(response, fallback) {
+    const text = await response.text()
+    try {
+        return JSON.parse(text)
+    } catch {
+        const code = STATUS_CODES[response.status] || 'INTERNAL'
+        throw Object.assign(toApiError({ error: {
+            code,
+            message: STATUS_MESSAGES[code] || `${fallback} (${response.status})`,
+            retryable: response.status === 429 || response.status >= 500
+        } }, fallback), {
+            retryAfter: Number(response.headers.get('Retry-After')) || 0
+        })
+    }
+}
+
+/**
+ * Whether to try the Puter.js fallback after an API error: not for errors
+ * the user has to fix or that another service would repeat
+ */
+export function shouldFallback(error) {
+    return !USER_CODES.includes(error.code)
+}
+
+/**
+ * A message for the user. Errors on the server's side end with the request
+ * id, which matches the X-Request-Id header and the server logs.
+ */
+export function describeApiError(error, fallback = 'Something went wrong. Please try again.') {
+    const message = MESSAGES[error.code] || error.message || fallback
+    if (!error.requestId || USER_CODES.includes(error.code)) return message
+    return `${message} (Request ID: ${error.requestId})`
+}
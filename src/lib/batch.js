@@ -0,0 +1,326 @@
+/**
+ * Batch Generation
+ *
+ * Parses a CSV or JSONL file of prompts, runs every row through
+ * /api/enhance-text and /api/generate-image with bounded concurrency, and
+ * packages the results as a zip with a manifest.
+ *
+ * Accepted input:
+ * - CSV with a header row: a `prompt` column (or `description`), optional `style`
+ * - JSONL: one object per line, { "prompt": "...", "style"?: "..." }
+ *
+ * A row's `style` may be a style preset id (sent as `preset`) or free text
+ * (sent as `style`).
+ *
+ * A batch easily outruns the API's rate limits (see api/_lib/rateLimit), so
+ * a row that gets RATE_LIMITED waits out `retryAfter` and tries again, until
+ * the batch is stopped. Stopping also ends a wait for a warming-up model.
+ */
+
+import { readJson, toApiError } from './apiError.js'
+import { createZip } from './zip.js'
+
+export const MAX_BATCH_ROWS = 200
+export const DEFAULT_CONCURRENCY = 3
+
+// A row waits this many times for a warming-up model before failing
+const MAX_WARMUP_RETRIES = 3
+const MAX_WARMUP_WAIT_MS = 30000
+
+// Wait used when a RATE_LIMITED response names no retryAfter
+const DEFAULT_RATE_LIMIT_WAIT_MS = 60000
+// How often a waiting row checks whether the batch was stopped
+const STOP_POLL_MS = 1000
+
+const PROMPT_COLUMNS = ['prompt', 'description']
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields, "" escapes, CRLF)
+ */
+function parseCsvRows(text) {
+    const rows = []
+    let row = []
+    let field = ''
+    let quoted = false
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                field += char
+            }
+        } else if (char === '"') {
+            quoted = true
+        } else if (char === ',') {
+            row.push(field)
+            field = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ''
+        } else {
+            field += char
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field)
+        rows.push(row)
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim()))
+}
+
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text)
+    if (!header) throw new Error('CSV file is empty')
+
+    const columns = header.map(name => name.trim().toLowerCase())
+    const promptIndex = columns.findIndex(name => PROMPT_COLUMNS.includes(name))
+    const styleIndex = columns.indexOf('style')
+
+    if (promptIndex === -1) {
+        throw new Error('CSV needs a "prompt" (or "description") column in its header row')
+    }
+
+    return rows.map(fields => ({
+        prompt: fields[promptIndex] || '',
+        style: styleIndex === -1 ? '' : fields[styleIndex] || ''
+    }))
+}
+
+function parseJsonl(text) {
+    return text.split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => {
+            let value
+            try {
+                value = JSON.parse(line)
+            } catch {
+                throw new Error(`Line ${number} is not valid JSON`)
+            }
+            if (typeof value !== 'object' || value === null) {
+                throw new Error(`Line ${number} must be a JSON object`)
+            }
+            return {
+                prompt: String(value.prompt ?? value.description ?? ''),
+                style: value.style ? String(value.style) : ''
+            }
+        })
+}
+
+/**
+ * Parse an uploaded batch file into rows
+ * @returns {{ prompt: string, style: string }[]}
+ * @throws {Error} If the file is malformed, empty, or too large
+ */
+export function parseBatchFile(text, filename) {
+    const rows = /\.jsonl?$/i.test(filename) ? parseJsonl(text) : parseCsv(text)
+
+    const usable = rows
+        .map(row => ({ prompt: row.prompt.trim(), style: row.style.trim() }))
+        .filter(row => row.prompt)
+
+    if (usable.length === 0) throw new Error('No prompts found in file')
+    if (usable.length > MAX_BATCH_ROWS) {
+        throw new Error(`Batch is limited to ${MAX_BATCH_ROWS} rows (file has ${usable.length})`)
+    }
+
+    return usable
+}
+
+/**
+ * Run worker(item, index) over items with at most `limit` in flight.
+ * shouldStop() is checked before each item starts; items not started are skipped.
+ */
+export async function runWithConcurrency(items, limit, worker, shouldStop = () => false) {
+    let next = 0
+
+    const lane = async () => {
+        while (next < items.length && !shouldStop()) {
+            const index = next++
+            await worker(items[index], index)
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane))
+}
+
+/**
+ * Sleep for `ms`, ending early (with false) once shouldStop() is true
+ */
+async function waitUnlessStopped(ms, shouldStop) {
+    const until = Date.now() + ms
+    while (Date.now() < until) {
+        if (shouldStop()) return false
+        await new Promise(resolve => setTimeout(resolve, Math.min(STOP_POLL_MS, until - Date.now())))
+    }
+    return !shouldStop()
+}
+
+async function requestJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    })
+
+    const data = await readJson(response, 'Request failed')
+
+    if (!response.ok) {
+        const error = toApiError(data, `Request failed (${response.status})`)
+        error.retryAfter ||= Number(response.headers.get('Retry-After')) || 0
+        throw error
+    }
+
+    return data
+}
+
+/**
+ * POST JSON, waiting out RATE_LIMITED responses (stage 'limited') until the
+ * batch is stopped
+ *
+ * @param {{ stage: string, onStage: (stage: string) => void, shouldStop: () => boolean }} progress
+ *   `stage` is restored once a wait is over
+ */
+async function postJson(url, body, { stage, onStage, shouldStop }) {
+    for (;;) {
+        try {
+            return await requestJson(url, body)
+        } catch (error) {
+            if (error.code !== 'RATE_LIMITED') throw error
+            onStage('limited')
+            if (!(await waitUnlessStopped(error.retryAfter * 1000 || DEFAULT_RATE_LIMIT_WAIT_MS, shouldStop))) throw error
+            onStage(stage)
+        }
+    }
+}
+
+/**
+ * POST /api/generate-image, waiting out a warming-up model (503 with warmingUp)
+ * until the batch is stopped
+ */
+async function generateWithWarmup(body, progress) {
+    const { onStage, shouldStop } = progress
+    for (let retry = 0; ; retry++) {
+        try {
+            return await postJson('/api/generate-image', body, { ...progress, stage: 'generating' })
+        } catch (error) {
+            if (!error.warmingUp || retry >= MAX_WARMUP_RETRIES) throw error
+            onStage('warming')
+            if (!(await waitUnlessStopped(Math.min(error.retryAfter * 1000 || MAX_WARMUP_WAIT_MS, MAX_WARMUP_WAIT_MS), shouldStop))) throw error
+            onStage('generating')
+        }
+    }
+}
+
+/**
+ * Enhance and generate one row
+ * @param {{ prompt: string, style: string }} row
+ * @param {{ presetIds: string[], defaultPreset: string|null, onStage: (stage: string) => void, shouldStop?: () => boolean }} options
+ *   shouldStop ends a wait for the rate limit or a warming-up model (the row then
+ *   fails with RATE_LIMITED or MODEL_WARMING_UP)
+ * @returns {Promise<{ analysis, enhancedPrompt, preset, style, provider, images }>}
+ */
+export async function processBatchRow(row, { presetIds, defaultPreset, onStage, shouldStop = () => false }) {
+    // Row style wins over the batch-wide preset; unknown styles are free text
+    const preset = presetIds.includes(row.style) ? row.style : row.style ? null : defaultPreset
+    const style = preset ? null : row.style || null
+
+    onStage('enhancing')
+    const enhanced = await postJson('/api/enhance-text', { prompt: row.prompt }, { stage: 'enhancing', onStage, shouldStop })
+
+    onStage('generating')
+    const generated = await generateWithWarmup({
+        prompt: enhanced.enhancedPrompt,
+        preset: preset || undefined,
+        style: preset ? undefined : style || enhanced.analysis?.style || undefined
+    }, { onStage, shouldStop })
+
+    return {
+        analysis: enhanced.analysis,
+        enhancedPrompt: enhanced.enhancedPrompt,
+        preset,
+        style,
+        provider: generated.provider || null,
+        images: generated.images || []
+    }
+}
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' }
+
+/**
+ * Fetch an image (data URL or remote) as bytes.
+ * Remote provider URLs may block cross-origin reads; those resolve to null.
+ */
+async function fetchImage(url) {
+    try {
+        const response = await fetch(url)
+        if (!response.ok) return null
+        const blob = await response.blob()
+        return {
+            bytes: new Uint8Array(await blob.arrayBuffer()),
+            extension: EXTENSIONS[blob.type] || 'png'
+        }
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Package batch results as a zip: images/row-001-1.png ... plus manifest.json.
+ * Images that cannot be downloaded are listed in the manifest by URL instead.
+ * @param {object[]} results - [{ row, prompt, style, status, error?, result? }]
+ * @returns {Promise<Blob>}
+ */
+export async function buildBatchZip(results) {
+    const files = []
+    const manifest = {
+        createdAt: new Date().toISOString(),
+        total: results.length,
+        succeeded: results.filter(item => item.status === 'done').length,
+        failed: results.filter(item => item.status === 'failed').length,
+        rows: []
+    }
+
+    for (const item of results) {
+        const entry = {
+            row: item.row,
+            prompt: item.prompt,
+            style: item.style || null,
+            status: item.status
+        }
+
+        if (item.error) entry.error = item.error
+
+        if (item.result) {
+            const { analysis, enhancedPrompt, preset, provider, images } = item.result
+            Object.assign(entry, { preset, analysis, enhancedPrompt, provider, images: [], imageUrls: [] })
+
+            for (let i = 0; i < images.length; i++) {
+                const image = await fetchImage(images[i])
+                if (image) {
+                    const name = `images/row-${String(item.row).padStart(3, '0')}-${i + 1}.${image.extension}`
+                    files.push({ name, data: image.bytes })
+                    entry.images.push(name)
+                } else {
+                    entry.imageUrls.push(images[i])
+                }
+            }
+        }
+
+        manifest.rows.push(entry)
+    }
+
+    files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) })
+    return createZip(files)
+}
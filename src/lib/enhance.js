@@ -0,0 +1,40 @@
+/**
+ * Client helpers for /api/enhance-text
+ */
+
+import { readJson, toApiError } from './apiError.js'
+
+/**
+ * Refine a (possibly hand-edited) analysis + prompt with a follow-up instruction
+ * API: POST /api/enhance-text { prompt?, previous: { analysis, enhancedPrompt }, instruction }
+ * Response: { analysis (same keys as previous.analysis), enhancedPrompt, missing? }
+ * (`missing` lists analysis fields the model left out, e.g. "analysis.mood")
+ */
+export async function refinePrompt({ prompt, analysis, enhancedPrompt, instruction }) {
+    const response = await fetch('/api/enhance-text', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            prompt: prompt || undefined,
+            previous: { analysis, enhancedPrompt },
+            instruction
+        })
+    })
+
+    const data = await readJson(response, 'Refinement failed')
+
+    if (!response.ok) {
+        throw toApiError(data, 'Refinement failed')
+    }
+
+    return data
+}
+
+/**
+ * A status note for fields a model left out (`missing` from /api/enhance-text
+ * or /api/analyze-image, e.g. ["analysis.mood"]), or '' when there are none
+ */
+export function describeMissing(missing) {
+    if (!missing?.length) return ''
+    return ` The model left out: ${missing.map(path => path.split('.').pop()).join(', ')}.`
+}
@@ -0,0 +1,182 @@
+/**
+ * Prompt & Generation History (IndexedDB)
+ *
+ * Every enhancement, analysis, refinement and generation is stored locally so
+ * it survives page reloads and can be searched and re-opened.
+ *
+ * Entry shape:
+ * {
+ *   id: number,                          // auto-increment key
+ *   workflow: 'text' | 'image',
+ *   kind: 'enhance' | 'refine' | 'analyze' | 'generate',
+ *   createdAt: number,                   // ms since epoch
+ *   input: { prompt?: string, image?: string },  // image is a data URL
+ *   analysis: object | null,
+ *   palette?: { hex: string, weight: number }[] | null,  // image workflow only
+ *   finalPrompt: string,
+ *   provider: string | null,             // image provider used, or 'puter'
+ *   preset: string | null,               // style preset id
+ *   images: string[]
+ * }
+ */
+
+import { useCallback, useEffect, useState } from 'react'
+
+const DB_NAME = 'pearmedia'
+const DB_VERSION = 1
+const STORE = 'history'
+
+// Fired whenever the store changes so open panels refresh
+const events = new EventTarget()
+
+let dbPromise = null
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION)
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+                store.createIndex('createdAt', 'createdAt')
+            }
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => {
+                dbPromise = null
+                reject(request.error)
+            }
+        })
+    }
+    return dbPromise
+}
+
+/**
+ * Run one request in a transaction, resolving with its result once committed
+ */
+async function run(mode, operation) {
+    const db = await openDb()
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode)
+        const request = operation(transaction.objectStore(STORE))
+        transaction.oncomplete = () => resolve(request.result)
+        transaction.onerror = () => reject(transaction.error)
+    })
+}
+
+function notify() {
+    events.dispatchEvent(new Event('change'))
+}
+
+/**
+ * Store a new entry. Never throws: history must not break a workflow
+ * (e.g. private browsing with IndexedDB disabled).
+ */
+export async function recordHistory(entry) {
+    try {
+        const id = await run('readwrite', store => store.add({
+            analysis: null,
+            provider: null,
+            preset: null,
+            images: [],
+            ...entry,
+            createdAt: Date.now()
+        }))
+        notify()
+        return id
+    } catch (error) {
+        console.warn('Failed to save history entry:', error)
+        return null
+    }
+}
+
+/**
+ * All entries, newest first
+ */
+export async function listHistory() {
+    const entries = await run('readonly', store => store.getAll())
+    return entries.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+export async function deleteHistoryEntry(id) {
+    await run('readwrite', store => store.delete(id))
+    notify()
+}
+
+export async function clearHistory() {
+    await run('readwrite', store => store.clear())
+    notify()
+}
+
+/**
+ * Case-insensitive match against prompts, analysis, provider and preset
+ */
+export function matchesHistory(entry, query) {
+    const needle = query.trim().toLowerCase()
+    if (!needle) return true
+
+    const haystack = [
+        entry.input?.prompt,
+        entry.finalPrompt,
+        entry.provider,
+        entry.preset,
+        entry.kind,
+        entry.analysis && JSON.stringify(Object.values(entry.analysis))
+    ].filter(Boolean).join(' ').toLowerCase()
+
+    return haystack.includes(needle)
+}
+
+/**
+ * Live list of history entries (newest first), refreshed on every change
+ */
+export function useHistoryEntries() {
+    const [entries, setEntries] = useState([])
+    const [error, setError] = useState(null)
+
+    const refresh = useCallback(() => {
+        listHistory()
+            .then(list => {
+                setEntries(list)
+                setError(null)
+            })
+            .catch(err => setError(err.message || 'History unavailable'))
+    }, [])
+
+    useEffect(() => {
+        refresh()
+        events.addEventListener('change', refresh)
+        return () => events.removeEventListener('change', refresh)
+    }, [refresh])
+
+    return { entries, error }
+}
+
+/**
+ * The image an entry can be re-opened with in the Image Workflow: the uploaded
+ * image, else the first generated image that is stored inline (provider URLs expire)
+ */
+export function getEntryImage(entry) {
+    return entry.input?.image || entry.images?.find(src => src.startsWith('data:')) || null
+}
+
+/**
+ * Adapt an entry for re-opening in a workflow. Entries open as-is in their own
+ * workflow; across workflows only the prompt (text) or image (image) carries over.
+ * Returns null when the entry cannot be opened there.
+ */
+export function toWorkflowEntry(entry, workflow) {
+    if (entry.workflow === workflow) return entry
+    if (workflow === 'text') return { input: { prompt: entry.finalPrompt || entry.input?.prompt || '' }, preset: entry.preset }
+
+    const image = getEntryImage(entry)
+    return image ? { input: { image }, preset: entry.preset } : null
+}
+
+/**
+ * Turn a data URL back into a File (for re-opening an entry in the Image Workflow)
+ */
+export function dataUrlToFile(dataUrl, name = 'history-image') {
+    const [header, base64] = dataUrl.split(',')
+    const type = header.substring(header.indexOf(':') + 1, header.indexOf(';'))
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+    return new File([bytes], `${name}.${type.split('/')[1] || 'png'}`, { type })
+}
@@ -0,0 +1,90 @@
+/**
+ * Client helpers for /api/jobs
+ */
+
+import { describeApiError, readJson, toApiError } from './apiError.js'
+
+// Wait between polls only when another request is rendering the next image
+const POLL_INTERVAL_MS = 1500
+// Longest wait between polls while a model is warming up
+const MAX_WARMUP_POLL_MS = 10000
+
+const ACTIVE_STATUSES = ['queued', 'running']
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Describe a job's warmingUp state, e.g. "huggingface, ~20s"
+ */
+export function warmupLabel({ provider, estimatedTime }) {
+    return estimatedTime ? `${provider}, ~${Math.ceil(estimatedTime)}s` : provider
+}
+
+/**
+ * Why a job stopped before producing every image
+ */
+export function describeJobError(job) {
+    return describeApiError(toApiError(job, 'Generation stopped.'))
+}
+
+/**
+ * Cancel a job (best effort)
+ * API: DELETE /api/jobs/<id>
+ */
+export function cancelImageJob(id) {
+    return fetch(`/api/jobs/${id}`, { method: 'DELETE' }).catch(() => {})
+}
+
+/**
+ * Generate images through a job, one image per poll
+ * API: POST /api/jobs { same body as /api/generate-image } → 202 { job }
+ *      GET /api/jobs/<id> → { job } until its status is succeeded, failed or cancelled
+ *
+ * @param {object} body - { prompt, style? | preset?, initImage?, strength?, ... }
+ * @param {{ onProgress?: (job) => void, signal?: AbortSignal }} options
+ *   onProgress receives the job ({ status, count, images, warmingUp, ... }) after every poll;
+ *   aborting the signal cancels the job
+ * @returns {Promise<object>} The finished job. Throws an API error (see ./apiError.js, with
+ *   `attempts`) when no image was produced.
+ */
+export async function runImageJob(body, { onProgress = () => {}, signal } = {}) {
+    const response = await fetch('/api/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+    })
+
+    const data = await readJson(response, 'Image generation failed')
+    if (!response.ok) throw toApiError(data, 'Image generation failed')
+
+    let job = data.job
+    onProgress(job)
+
+    try {
+        while (ACTIVE_STATUSES.includes(job.status)) {
+            const completed = job.images.length
+            const pollResponse = await fetch(`/api/jobs/${job.id}`, { signal })
+            const pollData = await readJson(pollResponse, 'Image generation failed')
+            if (!pollResponse.ok) throw toApiError(pollData, 'Image generation failed')
+
+            job = pollData.job
+            onProgress(job)
+
+            if (job.warmingUp) {
+                const estimated = (job.warmingUp.estimatedTime || 0) * 1000
+                await wait(Math.min(Math.max(estimated, POLL_INTERVAL_MS), MAX_WARMUP_POLL_MS))
+            } else if (ACTIVE_STATUSES.includes(job.status) && job.images.length === completed) {
+                await wait(POLL_INTERVAL_MS)
+            }
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') cancelImageJob(job.id)
+        throw error
+    }
+
+    if (job.images.length === 0) throw toApiError(job, 'Image generation failed')
+    return job
+}
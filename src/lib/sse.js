@@ -0,0 +1,48 @@
+/**
+ * Server-Sent Events helpers for fetch() responses
+ */
+
+/**
+ * Read a text/event-stream response, calling onEvent(event, data) per message.
+ * `data` is JSON-parsed; resolves when the stream closes.
+ */
+export async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+
+    for (;;) {
+        const { value, done } = await reader.read()
+        if (done) break
+
+        buffer += decoder.decode(value, { stream: true })
+        const messages = buffer.split('\n\n')
+        buffer = messages.pop()
+
+        for (const message of messages) {
+            let event = 'message'
+            let data = ''
+            for (const line of message.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim()
+                else if (line.startsWith('data:')) data += line.slice(5).trim()
+            }
+            if (data) onEvent(event, JSON.parse(data))
+        }
+    }
+}
+
+/**
+ * Pull the (possibly unfinished) string value of `key` out of partial JSON text
+ */
+export function extractPartialString(json, key) {
+    const match = json.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`))
+    if (!match) return ''
+
+    // Drop a trailing escape sequence that hasn't fully arrived yet
+    const raw = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '')
+    try {
+        return JSON.parse(`"${raw}"`)
+    } catch {
+        return raw
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * Style presets from GET /api/styles
+ */
+
+import { useEffect, useState } from 'react'
+
+// Fetched once per page load and shared by every workflow
+let presetsRequest = null
+
+function loadStylePresets() {
+    if (!presetsRequest) {
+        presetsRequest = fetch('/api/styles')
+            .then(response => (response.ok ? response.json() : { styles: [] }))
+            .then(data => data.styles || [])
+            .catch(() => {
+                presetsRequest = null // Allow a retry on the next mount
+                return []
+            })
+    }
+    return presetsRequest
+}
+
+/**
+ * List of style presets ([] until loaded, or if the backend is unavailable)
+ */
+export function useStylePresets() {
+    const [presets, setPresets] = useState([])
+
+    useEffect(() => {
+        let active = true
+        loadStylePresets().then(styles => {
+            if (active) setPresets(styles)
+        })
+        return () => { active = false }
+    }, [])
+
+    return presets
+}
+
+/**
+ * Apply a preset's template client-side (used by the Puter.js fallback)
+ */
+export function applyStylePreset(preset, prompt) {
+    // A replacer function, so "$&" and the like in the prompt stay literal
+    return preset ? preset.template.replace('{prompt}', () => prompt) : prompt
+}
@@ -0,0 +1,97 @@
+/**
+ * Minimal ZIP writer
+ *
+ * Builds an uncompressed ("stored") ZIP archive in the browser. Generated
+ * images are already compressed (PNG/JPEG/WebP), so deflate would gain
+ * little and this avoids shipping a compression library.
+ */
+
+const encoder = new TextEncoder()
+
+let crcTable = null
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256)
+        for (let n = 0; n < 256; n++) {
+            let c = n
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+            }
+            crcTable[n] = c >>> 0
+        }
+    }
+
+    let crc = 0xffffffff
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date/time fields used by the ZIP headers
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    }
+}
+
+/**
+ * Create a ZIP archive
+ * @param {{ name: string, data: Uint8Array|string }[]} files - Strings are stored as UTF-8
+ * @returns {Blob} application/zip
+ */
+export function createZip(files) {
+    const { time, date } = dosDateTime(new Date())
+    const parts = []
+    const central = []
+    let offset = 0
+
+    for (const file of files) {
+        const name = encoder.encode(file.name)
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+        const crc = crc32(data)
+
+        const local = new DataView(new ArrayBuffer(30))
+        local.setUint32(0, 0x04034b50, true) // Local file header signature
+        local.setUint16(4, 20, true) // Version needed (2.0)
+        local.setUint16(6, 0x0800, true) // UTF-8 file names
+        local.setUint16(8, 0, true) // Stored
+        local.setUint16(10, time, true)
+        local.setUint16(12, date, true)
+        local.setUint32(14, crc, true)
+        local.setUint32(18, data.length, true)
+        local.setUint32(22, data.length, true)
+        local.setUint16(26, name.length, true)
+        parts.push(local, name, data)
+
+        const entry = new DataView(new ArrayBuffer(46))
+        entry.setUint32(0, 0x02014b50, true) // Central directory signature
+        entry.setUint16(4, 20, true) // Version made by
+        entry.setUint16(6, 20, true) // Version needed
+        entry.setUint16(8, 0x0800, true)
+        entry.setUint16(10, 0, true)
+        entry.setUint16(12, time, true)
+        entry.setUint16(14, date, true)
+        entry.setUint32(16, crc, true)
+        entry.setUint32(20, data.length, true)
+        entry.setUint32(24, data.length, true)
+        entry.setUint16(28, name.length, true)
+        entry.setUint32(42, offset, true) // Local header offset
+        central.push(entry, name)
+
+        offset += 30 + name.length + data.length
+    }
+
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0)
+
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, 0x06054b50, true) // End of central directory signature
+    end.setUint16(8, files.length, true)
+    end.setUint16(10, files.length, true)
+    end.setUint32(12, centralSize, true)
+    end.setUint32(16, offset, true)
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' })
+}
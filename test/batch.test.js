@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { MAX_BATCH_ROWS, parseBatchFile, processBatchRow, runWithConcurrency } from '../src/lib/batch.js'
+
+describe('parseBatchFile (CSV)', () => {
+    it('reads the prompt and style columns by header name', () => {
+        const rows = parseBatchFile('Style,Prompt\nwatercolor,a cat\n,a dog\n', 'batch.csv')
+        assert.deepEqual(rows, [
+            { prompt: 'a cat', style: 'watercolor' },
+            { prompt: 'a dog', style: '' }
+        ])
+    })
+
+    it('accepts a description column instead of prompt', () => {
+        assert.deepEqual(parseBatchFile('description\na boat', 'batch.csv'), [{ prompt: 'a boat', style: '' }])
+    })
+
+    it('keeps commas, newlines and escaped quotes inside quoted fields', () => {
+        const rows = parseBatchFile('prompt,style\r\n"a cat, ""Tom""\r\non a mat",noir\r\n', 'batch.csv')
+        assert.deepEqual(rows, [{ prompt: 'a cat, "Tom"\r\non a mat', style: 'noir' }])
+    })
+
+    it('skips blank lines and rows without a prompt', () => {
+        const rows = parseBatchFile('prompt,style\n\n ,noir\na fox,\n\n', 'batch.csv')
+        assert.deepEqual(rows, [{ prompt: 'a fox', style: '' }])
+    })
+
+    it('reads a last row without a trailing newline', () => {
+        assert.deepEqual(parseBatchFile('prompt\na\nb', 'batch.csv').map(row => row.prompt), ['a', 'b'])
+    })
+
+    it('rejects a header without a prompt column', () => {
+        assert.throws(() => parseBatchFile('text\na cat', 'batch.csv'), /"prompt" \(or "description"\) column/)
+    })
+
+    it('rejects an empty file', () => {
+        assert.throws(() => parseBatchFile('', 'batch.csv'), /CSV file is empty/)
+        assert.throws(() => parseBatchFile('prompt\n', 'batch.csv'), /No prompts found/)
+    })
+
+    it(`rejects more than ${MAX_BATCH_ROWS} rows`, () => {
+        const text = ['prompt', ...Array.from({ length: MAX_BATCH_ROWS + 1 }, (_, i) => `prompt ${i}`)].join('\n')
+        assert.throws(() => parseBatchFile(text, 'batch.csv'), /limited to 200 rows \(file has 201\)/)
+    })
+})
+
+describe('parseBatchFile (JSONL)', () => {
+    it('reads one object per line', () => {
+        const text = '{"prompt":"a cat","style":"noir"}\n\n{"description":"a dog"}\r\n'
+        assert.deepEqual(parseBatchFile(text, 'batch.jsonl'), [
+            { prompt: 'a cat', style: 'noir' },
+            { prompt: 'a dog', style: '' }
+        ])
+    })
+
+    it('names the line that is not a JSON object', () => {
+        assert.throws(() => parseBatchFile('{"prompt":"a"}\n{oops', 'batch.jsonl'), /Line 2 is not valid JSON/)
+        assert.throws(() => parseBatchFile('"a cat"', 'batch.jsonl'), /Line 1 must be a JSON object/)
+    })
+})
+
+describe('runWithConcurrency', () => {
+    it('never runs more than the limit at once and runs every item', async () => {
+        let running = 0
+        let peak = 0
+        const done = []
+
+        await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+            running++
+            peak = Math.max(peak, running)
+            await new Promise(resolve => setTimeout(resolve, 5))
+            done.push(item)
+            running--
+        })
+
+        assert.equal(peak, 2)
+        assert.deepEqual(done.sort(), [1, 2, 3, 4, 5])
+    })
+
+    it('starts no new items once stopped', async () => {
+        const started = []
+        await runWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+            started.push(item)
+        }, () => started.length >= 2)
+
+        assert.deepEqual(started, [1, 2])
+    })
+})
+
+describe('processBatchRow', () => {
+    it('stops waiting for a warming-up model once the batch is stopped', async (t) => {
+        t.mock.method(globalThis, 'fetch', async (url) => {
+            if (url === '/api/enhance-text') return Response.json({ analysis: {}, enhancedPrompt: 'A lighthouse' })
+            return Response.json({
+                error: { code: 'MODEL_WARMING_UP', message: 'Loading', retryable: true, warmingUp: { provider: 'huggingface' } }
+            }, { status: 503, headers: { 'Retry-After': '30' } })
+        })
+
+        const stages = []
+        let stopped = false
+        setTimeout(() => { stopped = true }, 50)
+
+        const started = Date.now()
+        await assert.rejects(processBatchRow({ prompt: 'a lighthouse', style: '' }, {
+            presetIds: [],
+            defaultPreset: null,
+            onStage: stage => stages.push(stage),
+            shouldStop: () => stopped
+        }), { code: 'MODEL_WARMING_UP' })
+
+        assert.ok(Date.now() - started < 5000)
+        assert.deepEqual(stages, ['enhancing', 'generating', 'warming'])
+    })
+})
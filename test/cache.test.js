@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { loadConfig } from '../api/_lib/config.js'
+import { checkCacheConfig, getTtl } from '../api/_lib/cache/settings.js'
+
+describe('cache settings', () => {
+    it('parses TTLs with their defaults', () => {
+        assert.equal(getTtl('text', {}), 24 * 60 * 60 * 1000)
+        assert.equal(getTtl('vision', { CACHE_TTL_VISION: ' 30M ' }), 30 * 60 * 1000)
+    })
+
+    it('accepts the defaults, on or off', () => {
+        assert.deepEqual(checkCacheConfig({}), [])
+        assert.deepEqual(checkCacheConfig({ RESULT_CACHE: 'on' }), [])
+    })
+
+    it('reports every invalid setting of an enabled cache', () => {
+        assert.deepEqual(checkCacheConfig({
+            RESULT_CACHE: 'on',
+            CACHE_TTL_TEXT: '1 week',
+            CACHE_TTL_IMAGE: '0h',
+            CACHE_MAX_BYTES: '5MB',
+            CACHE_STORE: 'kv'
+        }), [
+            'Invalid CACHE_TTL_TEXT "1 week" (expected e.g. 24h)',
+            'Invalid CACHE_TTL_IMAGE "0h" (expected e.g. 24h)',
+            'CACHE_MAX_BYTES must be a whole number of bytes (got "5MB")',
+            'CACHE_STORE=kv needs CACHE_KV_URL and CACHE_KV_TOKEN'
+        ])
+        assert.match(checkCacheConfig({ RESULT_CACHE: 'yes' })[0], /^RESULT_CACHE must be on or off/)
+    })
+
+    it('fails startup on an invalid TTL', () => {
+        const { config, errors } = loadConfig({ RESULT_CACHE: 'on', CACHE_TTL_VISION: 'forever' })
+        assert.equal(config, undefined)
+        assert.deepEqual(errors, ['Invalid CACHE_TTL_VISION "forever" (expected e.g. 24h)'])
+    })
+})
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+
+process.env.LOG_LEVEL = 'silent'
+process.env.USAGE_TRACKING = 'off'
+
+const { default: handler } = await import('../api/enhance-text.js')
+const { setRateLimitStore } = await import('../api/_lib/rateLimit/index.js')
+const { createMemoryStore } = await import('../api/_lib/rateLimit/memory.js')
+
+function createRequest(body) {
+    return {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-forwarded-for': '203.0.113.7' },
+        query: {},
+        body
+    }
+}
+
+function createResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        headersSent: false,
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value },
+        status(code) { this.statusCode = code; return this },
+        json(body) { this.body = body; this.headersSent = true; return this },
+        // Server-sent events
+        events: '',
+        write(text) { this.events += text; this.headersSent = true },
+        end() {}
+    }
+}
+
+async function enhance(body, query = {}) {
+    const res = createResponse()
+    await handler({ ...createRequest(body), query }, res)
+    return res
+}
+
+const previous = {
+    analysis: { intent: 'A poster', tone: 'calm', style: 'flat vector' },
+    enhancedPrompt: 'A calm flat vector poster of a lighthouse'
+}
+
+describe('enhance-text moderation', () => {
+    it('checks every creative direction', async () => {
+        const res = await enhance({
+            prompt: 'a lighthouse at dusk',
+            candidates: 2,
+            directions: ['cinematic', 'gore-soaked']
+        })
+        assert.equal(res.statusCode, 422)
+        assert.equal(res.body.error.code, 'CONTENT_POLICY')
+    })
+
+    it('checks the previous analysis of a refinement', async () => {
+        const res = await enhance({
+            previous: { ...previous, analysis: { ...previous.analysis, style: ['flat vector', 'hardcore porn'] } },
+            instruction: 'Make it warmer'
+        })
+        assert.equal(res.statusCode, 422)
+        assert.equal(res.body.error.code, 'CONTENT_POLICY')
+    })
+})
+
+describe('enhance-text rate limit', () => {
+    beforeEach(() => {
+        process.env.RATE_LIMIT_ENHANCE_TEXT = '3/1m'
+        process.env.OPENAI_API_KEY = 'test'
+        setRateLimitStore(createMemoryStore())
+    })
+
+    afterEach(() => {
+        delete process.env.RATE_LIMIT_ENHANCE_TEXT
+        delete process.env.OPENAI_API_KEY
+        setRateLimitStore(null)
+    })
+
+    it('refunds a blocked prompt', async () => {
+        const blocked = await enhance({ prompt: 'a gory battlefield', candidates: 3 })
+        assert.equal(blocked.statusCode, 422)
+        assert.equal(blocked.headers['x-ratelimit-remaining'], '3')
+
+        const again = await enhance({ prompt: 'a gory battlefield', candidates: 3 })
+        assert.equal(again.statusCode, 422)
+    })
+
+    it('refunds a failed provider call', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => new Response('failed', { status: 400 }))
+
+        const failed = await enhance({ prompt: 'a lighthouse at dusk' })
+        assert.equal(failed.statusCode, 502)
+        assert.equal(failed.headers['x-ratelimit-remaining'], '3')
+    })
+
+    it('refunds the candidates that failed', async (t) => {
+        let calls = 0
+        t.mock.method(globalThis, 'fetch', async () => {
+            if (++calls > 1) return new Response('failed', { status: 400 })
+            const content = JSON.stringify({ analysis: { intent: 'a', tone: 'b', style: 'c' }, enhancedPrompt: 'A lighthouse' })
+            return Response.json({ choices: [{ message: { content } }] })
+        })
+
+        const res = await enhance({ prompt: 'a lighthouse at dusk', candidates: 3 })
+        assert.equal(res.statusCode, 200)
+        assert.equal(res.body.candidates.length, 1)
+        assert.equal(res.headers['x-ratelimit-remaining'], '2')
+    })
+})
+
+describe('enhance-text streaming', () => {
+    beforeEach(() => {
+        process.env.OPENAI_API_KEY = 'test'
+    })
+
+    afterEach(() => {
+        delete process.env.OPENAI_API_KEY
+    })
+
+    it('reports a malformed stream event as a provider error', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => new Response(
+            'data: {"choices":[{"delta":{"content":"{\\"analysis\\""}}]}\n\ndata: {"choices":[{"del\n\n',
+            { headers: { 'content-type': 'text/event-stream' } }
+        ))
+
+        const res = await enhance({ prompt: 'a lighthouse at dusk' }, { stream: '1' })
+        const error = res.events.match(/event: error\ndata: (.*)\n/)
+        assert.ok(error, res.events)
+        assert.equal(JSON.parse(error[1]).error.code, 'PROVIDER_ERROR')
+        assert.equal(JSON.parse(error[1]).error.provider, 'openai')
+    })
+})
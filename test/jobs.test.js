@@ -0,0 +1,258 @@
+import assert from 'node:assert/strict'
+import { randomUUID } from 'node:crypto'
+import { existsSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+
+process.env.LOG_LEVEL = 'silent'
+process.env.USAGE_TRACKING = 'off'
+process.env.MODERATION_PROVIDER = 'off'
+process.env.IMAGE_PROVIDER_CHAIN = 'clipdrop,together'
+process.env.CLIPDROP_API_KEY = 'test'
+process.env.TOGETHER_API_KEY = 'test'
+
+const { planGeneration } = await import('../api/_lib/generation.js')
+const { advanceJob, cancelJob, createJob, getJob, setJobStore, toPublicJob } = await import('../api/_lib/jobs/index.js')
+const { createFileStore } = await import('../api/_lib/jobs/file.js')
+const { createKvStore } = await import('../api/_lib/jobs/kv.js')
+
+/**
+ * A job store in memory, with the same lock semantics as ./file.js and ./kv.js
+ */
+function createMemoryJobStore() {
+    const entries = new Map()
+    const locks = new Map()
+
+    return {
+        entries,
+        locks,
+        get: async id => structuredClone(entries.get(id)),
+        set: async (id, value) => { entries.set(id, structuredClone(value)) },
+        lock: async (id) => {
+            if (locks.has(id)) return null
+            const token = randomUUID()
+            locks.set(id, token)
+            return token
+        },
+        unlock: async (id, token) => {
+            if (locks.get(id) === token) locks.delete(id)
+        }
+    }
+}
+
+/**
+ * Provider responses: clipdrop and together answer with the given status
+ */
+function mockProviders(t, { clipdrop = 200, together = 200, delay = 0 } = {}) {
+    const calls = []
+    t.mock.method(globalThis, 'fetch', async (url) => {
+        const provider = String(url).includes('clipdrop') ? 'clipdrop' : 'together'
+        calls.push(provider)
+        if (delay) await new Promise(resolve => setTimeout(resolve, delay))
+
+        const status = provider === 'clipdrop' ? clipdrop : together
+        if (status !== 200) return new Response('failed', { status })
+        if (provider === 'clipdrop') return new Response(new Uint8Array([1, 2, 3]), { headers: { 'content-type': 'image/png' } })
+        return Response.json({ data: [{ b64_json: 'AAAA' }] })
+    })
+    return calls
+}
+
+async function newJob(count = 2) {
+    const { plan } = planGeneration({ prompt: 'a lighthouse at dusk', count })
+    return createJob(plan)
+}
+
+async function poll(id) {
+    return advanceJob(await getJob(id))
+}
+
+describe('image jobs', () => {
+    let store
+
+    beforeEach(() => {
+        store = createMemoryJobStore()
+        setJobStore(store)
+    })
+
+    afterEach(() => {
+        setJobStore(null)
+    })
+
+    it('renders one image per step', async (t) => {
+        const calls = mockProviders(t)
+        const job = await newJob(2)
+
+        const first = await poll(job.id)
+        assert.equal(first.status, 'running')
+        assert.equal(first.images.length, 1)
+
+        const second = await poll(job.id)
+        assert.equal(second.status, 'succeeded')
+        assert.deepEqual(second.providers, ['clipdrop', 'clipdrop'])
+        assert.deepEqual(calls, ['clipdrop', 'clipdrop'])
+
+        const publicJob = await toPublicJob(second)
+        assert.equal(publicJob.plan, undefined)
+        assert.equal(publicJob.chain, undefined)
+        assert.match(publicJob.images[0], /^data:image\/png;base64,/)
+    })
+
+    it('asks one provider per step, without retries, and moves down the chain', async (t) => {
+        const calls = mockProviders(t, { clipdrop: 500 })
+        const job = await newJob(1)
+
+        const failed = await poll(job.id)
+        assert.equal(failed.status, 'running')
+        assert.equal(failed.chain.index, 1)
+        assert.deepEqual(calls, ['clipdrop'])
+
+        const done = await poll(job.id)
+        assert.equal(done.status, 'succeeded')
+        assert.deepEqual(done.providers, ['together'])
+        assert.deepEqual(done.chain, { index: 0, attempts: [], warmingUp: null })
+        assert.deepEqual(done.attempts.map(attempt => attempt.provider), ['clipdrop'])
+    })
+
+    it('fails once every provider has failed for an image', async (t) => {
+        mockProviders(t, { clipdrop: 500, together: 500 })
+        const job = await newJob(1)
+
+        await poll(job.id)
+        const failed = await poll(job.id)
+        assert.equal(failed.status, 'failed')
+        assert.equal(failed.error.code, 'PROVIDER_UNAVAILABLE')
+        assert.equal(failed.attempts.length, 2)
+    })
+
+    it('reports the job unchanged while another step holds the lock', async (t) => {
+        const calls = mockProviders(t, { delay: 20 })
+        const job = await newJob(1)
+
+        const [first, second] = await Promise.all([poll(job.id), poll(job.id)])
+        assert.deepEqual([first.images.length, second.images.length].sort(), [0, 1])
+        assert.equal(calls.length, 1)
+        assert.equal(store.locks.size, 0)
+    })
+
+    it('never keeps more than count images', async (t) => {
+        mockProviders(t)
+        const job = await newJob(1)
+
+        const stale = await getJob(job.id)
+        await advanceJob(await getJob(job.id))
+        // A poll that read the job before the last image landed
+        const after = await advanceJob(stale)
+        assert.equal(after.images.length, 1)
+        assert.equal((await getJob(job.id)).images.length, 1)
+    })
+
+    it('cancels a job, keeping what earlier steps saved', async (t) => {
+        mockProviders(t)
+        const job = await newJob(2)
+        const stale = await getJob(job.id)
+        await poll(job.id)
+
+        const cancelled = await cancelJob(stale)
+        assert.equal(cancelled.status, 'cancelled')
+        assert.equal(cancelled.images.length, 1)
+        assert.equal((await getJob(job.id)).images.length, 1)
+    })
+
+    it('lets a cancel during a step win over its result', async (t) => {
+        mockProviders(t, { delay: 20 })
+        const job = await newJob(2)
+
+        const step = poll(job.id)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        assert.equal((await cancelJob(await getJob(job.id))).status, 'cancelled')
+        assert.equal((await getJob(job.id)).status, 'cancelled')
+
+        const after = await step
+        assert.equal(after.status, 'cancelled')
+        assert.equal(after.images.length, 0)
+        assert.equal(store.entries.get(job.id).status, 'cancelled')
+    })
+})
+
+describe('file job store', () => {
+    let dir
+    let store
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'jobs-'))
+        store = createFileStore(dir)
+        setJobStore(store)
+    })
+
+    afterEach(() => {
+        setJobStore(null)
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('lets one of many concurrent polls take over an expired lock', async (t) => {
+        const calls = mockProviders(t, { delay: 20 })
+        const job = await newJob(1)
+
+        const lockPath = join(dir, `${job.id}.lock`)
+        writeFileSync(lockPath, 'crashed-step')
+        const longAgo = new Date(Date.now() - 10 * 60 * 1000)
+        utimesSync(lockPath, longAgo, longAgo)
+
+        // Staggered, so some pollers find the expired lock after others have replaced it
+        const polls = await Promise.all(Array.from({ length: 10 }, async (_, i) => {
+            await new Promise(resolve => setTimeout(resolve, i))
+            return poll(job.id)
+        }))
+        assert.equal(calls.length, 1)
+        assert.equal(polls.filter(polled => polled.images.length === 1).length, 1)
+        assert.equal((await getJob(job.id)).status, 'succeeded')
+        assert.equal(existsSync(lockPath), false)
+    })
+
+    it('only releases a lock its owner still holds', async () => {
+        const first = await store.lock('job_a', 50)
+        assert.ok(first)
+        assert.equal(await store.lock('job_a', 50), null)
+
+        // The first step overran its ttl and a second one took over
+        await new Promise(resolve => setTimeout(resolve, 60))
+        const second = await store.lock('job_a', 50)
+        assert.ok(second)
+
+        await store.unlock('job_a', first)
+        assert.equal(await store.lock('job_a', 50), null)
+
+        await store.unlock('job_a', second)
+        assert.ok(await store.lock('job_a', 50))
+    })
+})
+
+describe('KV job store', () => {
+    it('releases a lock only while it holds the owner token', async (t) => {
+        const commands = []
+        t.mock.method(globalThis, 'fetch', async (url, { body }) => {
+            const args = JSON.parse(body)
+            commands.push(args)
+            return Response.json({ result: args[0] === 'SET' ? 'OK' : 1 })
+        })
+        const store = createKvStore({ url: 'https://kv.example', token: 'test' })
+
+        const token = await store.lock('job_a', 1000)
+        assert.deepEqual(commands[0], ['SET', 'job-lock:job_a', token, 'NX', 'PX', '1000'])
+
+        await store.unlock('job_a', token)
+        const [name, script, keys, key, owner] = commands[1]
+        assert.equal(name, 'EVAL')
+        assert.match(script, /GET.*ARGV\[1\].*DEL/)
+        assert.deepEqual([keys, key, owner], ['1', 'job-lock:job_a', token])
+    })
+
+    it('reports a held lock as null', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => Response.json({ result: null }))
+        const store = createKvStore({ url: 'https://kv.example', token: 'test' })
+
+        assert.equal(await store.lock('job_a', 1000), null)
+    })
+})
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getRequestId, withRequestTrace } from '../api/_lib/logger.js'
+
+process.env.LOG_LEVEL = 'silent'
+
+function createResponse() {
+    return {
+        headers: {},
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value }
+    }
+}
+
+describe('withRequestTrace', () => {
+    it('tags the request with the caller\'s id or a new one', async () => {
+        const handler = withRequestTrace('styles', async () => {
+            await new Promise(resolve => setTimeout(resolve, 1))
+            return getRequestId()
+        })
+
+        const res = createResponse()
+        assert.equal(await handler({ headers: { 'x-request-id': 'req-123' } }, res), 'req-123')
+        assert.equal(res.headers['x-request-id'], 'req-123')
+
+        const generated = createResponse()
+        assert.match(await handler({ headers: { 'x-request-id': 'not a token!' } }, generated), /^[0-9a-f-]{36}$/)
+    })
+
+    it('does not leak the id past the handler', async () => {
+        let later
+        const handler = withRequestTrace('styles', async () => {})
+
+        await handler({ headers: { 'x-request-id': 'req-123' } }, createResponse())
+        setTimeout(() => { later = getRequestId() }, 0)
+        await new Promise(resolve => setTimeout(resolve, 5))
+
+        assert.equal(getRequestId(), null)
+        assert.equal(later, null)
+    })
+})
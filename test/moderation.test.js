@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict'
+import { afterEach, describe, it } from 'node:test'
+import { checkBlocklist, checkKeywords } from '../api/_lib/moderation/keyword.js'
+
+describe('keyword moderation', () => {
+    afterEach(() => {
+        delete process.env.MODERATION_BLOCKLIST
+    })
+
+    for (const prompt of [
+        'A Gorey-style illustration of a Victorian parlour',
+        'A poster with the colour #XXX as a placeholder',
+        'A business card, phone XXX-XXX-XXXX',
+        'A register dump starting at 0xXXXX',
+        'A sextant on a ship captain\'s desk'
+    ]) {
+        it(`lets "${prompt}" through at the standard level`, () => {
+            assert.deepEqual(checkKeywords(prompt, 'standard'), { flagged: false, categories: [] })
+        })
+    }
+
+    for (const [prompt, category] of [
+        ['a gore-soaked battlefield', 'violence/graphic'],
+        ['Gory horror scene', 'violence/graphic'],
+        ['XXX movie poster', 'sexual'],
+        ['pornographic art', 'sexual']
+    ]) {
+        it(`blocks "${prompt}"`, () => {
+            assert.deepEqual(checkKeywords(prompt, 'standard'), { flagged: true, categories: [category] })
+        })
+    }
+
+    it('adds the broader terms at the strict level', () => {
+        assert.equal(checkKeywords('a knight in battle with a sword and blood', 'standard').flagged, false)
+        assert.deepEqual(checkKeywords('a knight in battle with a sword and blood', 'strict').categories, ['violence'])
+    })
+
+    it('blocks MODERATION_BLOCKLIST terms as whole words', () => {
+        process.env.MODERATION_BLOCKLIST = 'ren, Project X'
+        assert.equal(checkBlocklist('REN and Stimpy').flagged, true)
+        assert.equal(checkBlocklist('the project x launch').flagged, true)
+        assert.equal(checkBlocklist('a rendering of a city').flagged, false)
+        // Accented letters are part of the word
+        assert.equal(checkBlocklist('a René Magritte pastiche').flagged, false)
+    })
+})
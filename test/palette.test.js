@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import sharp from 'sharp'
+import { extractPalette } from '../api/_lib/palette.js'
+
+/**
+ * A PNG data URL, `width` pixels wide, of horizontal bands: [[r, g, b, a], rows]
+ */
+async function bandedPng(width, bands) {
+    const height = bands.reduce((sum, [, rows]) => sum + rows, 0)
+    const pixels = Buffer.concat(bands.map(([rgba, rows]) => Buffer.from(Array(width * rows).fill(rgba).flat())))
+    const png = await sharp(pixels, { raw: { width, height, channels: 4 } }).png().toBuffer()
+    return `data:image/png;base64,${png.toString('base64')}`
+}
+
+describe('extractPalette', () => {
+    it('returns the dominant colors, most common first', async () => {
+        const image = await bandedPng(40, [[[0, 0, 255, 255], 10], [[255, 0, 0, 255], 30]])
+
+        assert.deepEqual(await extractPalette(image), [
+            { hex: '#ff0000', weight: 0.75 },
+            { hex: '#0000ff', weight: 0.25 }
+        ])
+    })
+
+    it('ignores transparent pixels', async () => {
+        const image = await bandedPng(20, [[[0, 128, 0, 255], 5], [[255, 255, 255, 0], 15]])
+
+        assert.deepEqual(await extractPalette(image), [{ hex: '#008000', weight: 1 }])
+    })
+})
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+process.env.LOG_LEVEL = 'silent'
+
+/**
+ * A fresh copy of the module, which reads USAGE_PRICING once
+ */
+async function loadPricing(value) {
+    if (value === undefined) delete process.env.USAGE_PRICING
+    else process.env.USAGE_PRICING = value
+    return import(`../api/_lib/usage/pricing.js?${Math.random()}`)
+}
+
+describe('estimateCost', () => {
+    it('prices tokens per million and images per image', async () => {
+        const { estimateCost } = await loadPricing()
+        assert.equal(estimateCost({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18', inputTokens: 1e6, outputTokens: 5e5 }), 0.45)
+        assert.equal(estimateCost({ provider: 'openai', model: 'dall-e-3', images: 2 }), 0.08)
+        assert.equal(estimateCost({ provider: 'unknown', model: 'x' }), null)
+    })
+
+    it('prices OpenAI images by quality and size', async () => {
+        const { estimateCost } = await loadPricing()
+        const image = { provider: 'openai', model: 'dall-e-3', images: 1 }
+        assert.equal(estimateCost({ ...image, quality: 'standard', size: '1024x1024' }), 0.04)
+        assert.equal(estimateCost({ ...image, quality: 'standard', size: '1792x1024' }), 0.08)
+        assert.equal(estimateCost({ ...image, quality: 'hd', size: '1024x1024' }), 0.08)
+        assert.equal(estimateCost({ ...image, quality: 'hd', size: '1024x1792' }), 0.12)
+        assert.equal(estimateCost({ provider: 'openai', model: 'dall-e-2', images: 2, quality: 'standard', size: '256x256' }), 0.032)
+        assert.equal(estimateCost({ provider: 'openai', model: 'gpt-image-1', images: 1, size: '1536x1024' }), 0.063)
+    })
+
+    it('checks USAGE_PRICING entries before the defaults', async () => {
+        const { estimateCost } = await loadPricing('[{"provider":"clipdrop","model":"","image":0.05}]')
+        assert.equal(estimateCost({ provider: 'clipdrop', images: 1 }), 0.05)
+    })
+
+    for (const value of ['{"provider":"clipdrop"}', '[null]', '[{"image":1}]', 'not json']) {
+        it(`falls back to the defaults for USAGE_PRICING=${value}`, async () => {
+            const { estimateCost } = await loadPricing(value)
+            assert.equal(estimateCost({ provider: 'clipdrop', images: 1 }), 0.02)
+        })
+    }
+})
+
+describe('checkPricingConfig', () => {
+    it('accepts no overrides and valid ones', async () => {
+        const { checkPricingConfig } = await loadPricing()
+        assert.deepEqual(checkPricingConfig({}), [])
+        assert.deepEqual(checkPricingConfig({
+            USAGE_PRICING: '[{"provider":"openai","model":"dall-e-3","image":{"hd":{"1024x1024":0.09}}}]'
+        }), [])
+    })
+
+    it('fails startup on an invalid USAGE_PRICING', async () => {
+        const { loadConfig } = await import('../api/_lib/config.js')
+        for (const value of ['{"provider":"clipdrop"}', '[{"provider":"clipdrop","model":"","image":"cheap"}]', 'not json']) {
+            const { config, errors } = loadConfig({ USAGE_PRICING: value })
+            assert.equal(config, undefined)
+            assert.match(errors[0], /^USAGE_PRICING /)
+        }
+    })
+})
@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { checkRateLimitConfig, getStoreKind, parseLimit } from '../api/_lib/rateLimit/limits.js'
+import { enforceRateLimit, setRateLimitStore } from '../api/_lib/rateLimit/index.js'
+import { createMemoryStore } from '../api/_lib/rateLimit/memory.js'
+
+process.env.LOG_LEVEL = 'silent'
+
+function createRequest(ip = '203.0.113.7') {
+    return { headers: { 'x-forwarded-for': ip } }
+}
+
+function createResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        headersSent: false,
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value },
+        status(code) { this.statusCode = code; return this },
+        json(body) { this.body = body; this.headersSent = true; return this }
+    }
+}
+
+describe('parseLimit', () => {
+    it('parses counts and windows', () => {
+        assert.deepEqual(parseLimit('30/1m'), { limit: 30, windowMs: 60000 })
+        assert.deepEqual(parseLimit(' 40 / h '), { limit: 40, windowMs: 3600000 })
+        assert.deepEqual(parseLimit('5/2d'), { limit: 5, windowMs: 2 * 86400000 })
+    })
+
+    it('treats off and 0 as disabled', () => {
+        assert.equal(parseLimit('off'), null)
+        assert.equal(parseLimit('0'), null)
+    })
+
+    it('rejects anything else', () => {
+        assert.throws(() => parseLimit('30 per minute'), /Invalid rate limit/)
+        assert.throws(() => parseLimit('30/1w'), /Invalid rate limit/)
+    })
+})
+
+describe('checkRateLimitConfig', () => {
+    it('accepts the defaults', () => {
+        assert.deepEqual(checkRateLimitConfig({}), [])
+    })
+
+    it('reports invalid and misspelled route settings', () => {
+        const errors = checkRateLimitConfig({ RATE_LIMIT_JOBS: 'lots', RATE_LIMIT_GENERATE: '10/1m' })
+        assert.equal(errors.length, 2)
+        assert.match(errors[0], /^RATE_LIMIT_JOBS: Invalid rate limit "lots"/)
+        assert.match(errors[1], /^Unknown rate limit setting RATE_LIMIT_GENERATE/)
+    })
+
+    it('checks the Redis settings of the environment it is given', () => {
+        const redis = { RATE_LIMIT_REDIS_URL: 'https://redis.example.com', RATE_LIMIT_REDIS_TOKEN: 'token' }
+        assert.equal(getStoreKind(redis), 'redis')
+        assert.equal(getStoreKind({}), 'memory')
+        assert.deepEqual(checkRateLimitConfig({ RATE_LIMIT_STORE: 'redis', ...redis }), [])
+        assert.deepEqual(checkRateLimitConfig({ RATE_LIMIT_STORE: 'redis' }), [
+            'RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN'
+        ])
+        assert.match(checkRateLimitConfig({ RATE_LIMIT_STORE: 'disk' })[0], /must be memory or redis/)
+    })
+})
+
+describe('enforceRateLimit', () => {
+    beforeEach(() => {
+        process.env.RATE_LIMIT_GENERATE_IMAGE = '4/1m'
+        setRateLimitStore(createMemoryStore())
+    })
+
+    afterEach(() => {
+        delete process.env.RATE_LIMIT_GENERATE_IMAGE
+        setRateLimitStore(null)
+    })
+
+    it('charges the cost and reports what is left', async () => {
+        const res = createResponse()
+        assert.ok(await enforceRateLimit(createRequest(), res, 'generate-image', 3))
+        assert.equal(res.headers['x-ratelimit-limit'], '4')
+        assert.equal(res.headers['x-ratelimit-remaining'], '1')
+    })
+
+    it('rejects a request over the limit without charging it', async () => {
+        await enforceRateLimit(createRequest(), createResponse(), 'generate-image', 3)
+
+        const rejected = createResponse()
+        assert.equal(await enforceRateLimit(createRequest(), rejected, 'generate-image', 2), null)
+        assert.equal(rejected.statusCode, 429)
+        assert.equal(rejected.body.error.code, 'RATE_LIMITED')
+        assert.ok(rejected.body.error.retryAfter >= 1)
+        assert.equal(rejected.headers['retry-after'], String(rejected.body.error.retryAfter))
+        assert.equal(rejected.headers['x-ratelimit-remaining'], '1')
+
+        // The rejected units were not consumed
+        assert.ok(await enforceRateLimit(createRequest(), createResponse(), 'generate-image', 1))
+    })
+
+    it('counts clients separately', async () => {
+        await enforceRateLimit(createRequest('203.0.113.1'), createResponse(), 'generate-image', 4)
+        assert.ok(await enforceRateLimit(createRequest('203.0.113.2'), createResponse(), 'generate-image', 4))
+    })
+
+    it('refunds unused units, at most the cost', async () => {
+        const res = createResponse()
+        const limit = await enforceRateLimit(createRequest(), res, 'generate-image', 2)
+
+        await limit.refund(10)
+        assert.equal(res.headers['x-ratelimit-remaining'], '4')
+        assert.ok(await enforceRateLimit(createRequest(), createResponse(), 'generate-image', 4))
+    })
+
+    it('ignores refunds after the window has rolled over', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() })
+        const limit = await enforceRateLimit(createRequest(), createResponse(), 'generate-image', 2)
+
+        t.mock.timers.tick(60000)
+        await enforceRateLimit(createRequest(), createResponse(), 'generate-image', 4)
+        await limit.refund(2)
+
+        // The new window stays fully charged
+        assert.equal(await enforceRateLimit(createRequest(), createResponse(), 'generate-image', 1), null)
+    })
+
+    it('fails closed when the limit is misconfigured', async () => {
+        process.env.RATE_LIMIT_GENERATE_IMAGE = 'lots'
+        const res = createResponse()
+        assert.equal(await enforceRateLimit(createRequest(), res, 'generate-image'), null)
+        assert.equal(res.statusCode, 500)
+        assert.equal(res.body.error.code, 'INTERNAL')
+    })
+
+    it('allows requests when the store is unreachable', async () => {
+        setRateLimitStore({ increment: async () => { throw new Error('ECONNREFUSED') } })
+        assert.ok(await enforceRateLimit(createRequest(), createResponse(), 'generate-image'))
+    })
+})
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { extractJson, parseStructured, parseWithRepair, repairInstruction } from '../shared/structuredOutput.js'
+
+const SCHEMA = {
+    enhancedPrompt: 'string',
+    analysis: {
+        objects: 'string[]',
+        text: 'string[]?'
+    }
+}
+
+const COMPLETE = { enhancedPrompt: 'A lighthouse at dusk', analysis: { objects: ['lighthouse'], text: [] } }
+
+describe('extractJson', () => {
+    it('parses a bare reply', () => {
+        assert.deepEqual(extractJson('{"a": 1}'), { a: 1 })
+    })
+
+    it('finds the object in a Markdown fence', () => {
+        assert.deepEqual(extractJson('Here you go:\n```json\n{"a": 1}\n```\nEnjoy!'), { a: 1 })
+    })
+
+    it('finds the object inside prose, ignoring braces in strings', () => {
+        const reply = 'Sure! {"prompt": "a {curly} \\"quote\\"", "nested": {"b": 2}} Hope that helps.'
+        assert.deepEqual(extractJson(reply), { prompt: 'a {curly} "quote"', nested: { b: 2 } })
+    })
+
+    it('skips brace runs that are not JSON', () => {
+        assert.deepEqual(extractJson('Use {placeholders} like this: {"a": 1}'), { a: 1 })
+    })
+
+    it('returns objects as they are, and nothing for arrays or other values', () => {
+        const object = { a: 1 }
+        assert.equal(extractJson(object), object)
+        assert.equal(extractJson([1, 2]), undefined)
+        assert.equal(extractJson('[1, 2]'), undefined)
+        assert.equal(extractJson('no json here'), undefined)
+        assert.equal(extractJson(null), undefined)
+    })
+})
+
+describe('parseStructured', () => {
+    it('keeps a complete reply', () => {
+        const result = parseStructured(JSON.stringify(COMPLETE), SCHEMA)
+        assert.deepEqual(result, { value: COMPLETE, missing: [], errors: [] })
+    })
+
+    it('trims strings and accepts a single string for a list', () => {
+        const { value, missing } = parseStructured({ enhancedPrompt: '  A fox  ', analysis: { objects: 'fox', text: ['', ' EXIT '] } }, SCHEMA)
+        assert.deepEqual(value, { enhancedPrompt: 'A fox', analysis: { objects: ['fox'], text: ['EXIT'] } })
+        assert.deepEqual(missing, [])
+    })
+
+    it('keeps the valid fields and names the others', () => {
+        const { value, missing, errors } = parseStructured({ enhancedPrompt: '', analysis: { objects: [1] } }, SCHEMA)
+        assert.deepEqual(value, {})
+        assert.deepEqual(missing, ['enhancedPrompt', 'analysis.objects', 'analysis.text'])
+        assert.deepEqual(errors, [
+            'enhancedPrompt is missing',
+            'analysis.objects must be an array of strings',
+            'analysis.text is missing'
+        ])
+    })
+
+    it('lists every field when the reply has no JSON object', () => {
+        const result = parseStructured('I cannot help with that.', SCHEMA)
+        assert.equal(result.value, null)
+        assert.deepEqual(result.missing, ['enhancedPrompt', 'analysis.objects', 'analysis.text'])
+        assert.deepEqual(result.errors, ['The reply contains no JSON object'])
+    })
+})
+
+describe('parseWithRepair', () => {
+    it('does not ask for a repair when the reply is complete', async () => {
+        const result = await parseWithRepair(JSON.stringify(COMPLETE), SCHEMA, () => assert.fail('repair called'))
+        assert.equal(result.repaired, false)
+        assert.deepEqual(result.value, COMPLETE)
+    })
+
+    it('sends the problems back once and uses the repaired reply', async () => {
+        const instructions = []
+        const result = await parseWithRepair('{"enhancedPrompt": "A lighthouse at dusk"}', SCHEMA, async (instruction) => {
+            instructions.push(instruction)
+            return `\`\`\`json\n${JSON.stringify(COMPLETE)}\n\`\`\``
+        })
+
+        assert.equal(instructions.length, 1)
+        assert.match(instructions[0], /analysis\.objects is missing; analysis\.text is missing/)
+        assert.equal(result.repaired, true)
+        assert.deepEqual(result.value, COMPLETE)
+        assert.deepEqual(result.missing, [])
+    })
+
+    it('keeps the first reply when the repair gets less far', async () => {
+        const first = '{"enhancedPrompt": "A lighthouse", "analysis": {"objects": ["lighthouse"]}}'
+        const result = await parseWithRepair(first, SCHEMA, async () => 'Sorry, here is nothing useful.')
+
+        assert.equal(result.repaired, true)
+        assert.equal(result.reply, first)
+        assert.deepEqual(result.missing, ['analysis.text'])
+    })
+
+    it('keeps the first reply when the repair call fails', async () => {
+        const failure = new Error('timeout')
+        const result = await parseWithRepair('{"enhancedPrompt": "A lighthouse"}', SCHEMA, async () => { throw failure })
+
+        assert.equal(result.repaired, false)
+        assert.equal(result.repairError, failure)
+        assert.deepEqual(result.value, { enhancedPrompt: 'A lighthouse' })
+    })
+})
+
+describe('repairInstruction', () => {
+    it('shows the expected shape', () => {
+        const instruction = repairInstruction(['enhancedPrompt is missing'], SCHEMA)
+        assert.match(instruction, /^Your previous reply could not be used: enhancedPrompt is missing\./)
+        assert.deepEqual(JSON.parse(instruction.slice(instruction.indexOf('{'))), {
+            enhancedPrompt: '...',
+            analysis: { objects: ['...'], text: [] }
+        })
+    })
+})
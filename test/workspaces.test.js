@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict'
+import { existsSync, mkdtempSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { createWorkspace, getWorkspace, listWorkspaces, updateWorkspace } from '../api/_lib/workspaces.js'
+
+process.env.LOG_LEVEL = 'silent'
+
+describe('workspace store lock', () => {
+    let dir
+    let lockPath
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'workspaces-'))
+        process.env.WORKSPACES_FILE = join(dir, 'workspaces.json')
+        lockPath = `${process.env.WORKSPACES_FILE}.lock`
+    })
+
+    afterEach(() => {
+        delete process.env.WORKSPACES_FILE
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('keeps every one of many concurrent changes', async () => {
+        await Promise.all(Array.from({ length: 20 }, (_, i) => createWorkspace(`team-${i}`, { name: `Team ${i}` })))
+
+        assert.equal((await listWorkspaces()).length, 20)
+        assert.equal(existsSync(lockPath), false)
+    })
+
+    it('takes over a stale lock', async () => {
+        writeFileSync(lockPath, 'crashed-writer')
+        const longAgo = new Date(Date.now() - 60000)
+        utimesSync(lockPath, longAgo, longAgo)
+
+        await createWorkspace('design', { name: 'Design' })
+        assert.equal((await getWorkspace('design')).name, 'Design')
+        assert.equal(existsSync(lockPath), false)
+    })
+
+    it('lets one of many writers take over a stale lock at a time', async () => {
+        writeFileSync(lockPath, 'crashed-writer')
+        const longAgo = new Date(Date.now() - 60000)
+        utimesSync(lockPath, longAgo, longAgo)
+
+        // Staggered, so some writers find the stale lock after others have replaced it
+        await Promise.all(Array.from({ length: 10 }, async (_, i) => {
+            await new Promise(resolve => setTimeout(resolve, i))
+            return createWorkspace(`team-${i}`, { name: `Team ${i}` })
+        }))
+
+        assert.equal((await listWorkspaces()).length, 10)
+        assert.equal(existsSync(lockPath), false)
+    })
+
+    it('waits for a held lock', async () => {
+        writeFileSync(lockPath, 'other-writer')
+        setTimeout(() => rmSync(lockPath), 100)
+
+        const started = Date.now()
+        await createWorkspace('design', { name: 'Design' })
+        assert.ok(Date.now() - started >= 100)
+        assert.equal(existsSync(lockPath), false)
+    })
+
+    it('does not release a lock another writer has taken over', async () => {
+        await createWorkspace('design', { name: 'Design' })
+
+        // Runs under the lock, like a writer that outlived LOCK_TTL_MS and lost it
+        const fields = {}
+        Object.defineProperty(fields, 'name', {
+            enumerable: true,
+            get: () => {
+                writeFileSync(lockPath, 'new-owner')
+                return 'Renamed'
+            }
+        })
+        await updateWorkspace('design', fields)
+
+        assert.equal(readFileSync(lockPath, 'utf8'), 'new-owner')
+    })
+})
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { createZip } from '../src/lib/zip.js'
+
+/**
+ * Read the entries back through the central directory
+ */
+function readZip(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    const end = buffer.length - 22
+    assert.equal(view.getUint32(end, true), 0x06054b50)
+
+    const count = view.getUint16(end + 10, true)
+    let position = view.getUint32(end + 16, true)
+    const entries = []
+
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014b50)
+        const crc = view.getUint32(position + 16, true)
+        const size = view.getUint32(position + 20, true)
+        const nameLength = view.getUint16(position + 28, true)
+        const offset = view.getUint32(position + 42, true)
+        const name = buffer.subarray(position + 46, position + 46 + nameLength).toString('utf8')
+
+        assert.equal(view.getUint32(offset, true), 0x04034b50)
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true)
+        entries.push({ name, crc, data: buffer.subarray(dataStart, dataStart + size) })
+        position += 46 + nameLength
+    }
+    return entries
+}
+
+describe('createZip', () => {
+    it('stores every file with its name, contents and CRC-32', async () => {
+        const blob = createZip([
+            { name: 'manifest.json', data: 'hello' },
+            { name: 'images/row-001-1.png', data: new Uint8Array([0x89, 0x50, 0x4e, 0x47]) },
+            { name: 'café.txt', data: '' }
+        ])
+        assert.equal(blob.type, 'application/zip')
+
+        const entries = readZip(Buffer.from(await blob.arrayBuffer()))
+        assert.deepEqual(entries.map(entry => entry.name), ['manifest.json', 'images/row-001-1.png', 'café.txt'])
+        assert.equal(entries[0].data.toString('utf8'), 'hello')
+        assert.equal(entries[0].crc, 0x3610a686)
+        assert.deepEqual([...entries[1].data], [0x89, 0x50, 0x4e, 0x47])
+        assert.equal(entries[2].data.length, 0)
+        assert.equal(entries[2].crc, 0)
+    })
+
+    it('writes a valid empty archive', async () => {
+        const buffer = Buffer.from(await createZip([]).arrayBuffer())
+        assert.equal(buffer.length, 22)
+        assert.deepEqual(readZip(buffer), [])
+    })
+})